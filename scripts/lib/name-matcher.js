@@ -19,6 +19,43 @@ class NameMatcher {
     _CompendiumManager = cm;
   }
 
+  /**
+   * Creature name aliases checked before the exact-match stage
+   * Maps a normalized token name to the UUID of a compendium entry.
+   * @type {Map<string, string>}
+   * @static
+   * @private
+   */
+  static #aliases = new Map();
+
+  /**
+   * Replace the alias table used by findMatch()
+   * Keys are normalized on the way in, so callers may pass display names.
+   * @param {Object<string, string>|Map<string, string>|null} aliases - Map of creature name -> compendium UUID
+   * @returns {void}
+   * @static
+   * @example
+   * NameMatcher.setAliases({ "orog brute": "Compendium.dnd5e.monsters.Actor.abc123" });
+   */
+  static setAliases(aliases) {
+    const entries = aliases instanceof Map ? [...aliases] : Object.entries(aliases ?? {});
+    NameMatcher.#aliases = new Map(
+      entries
+        .map(([name, uuid]) => [NameMatcher.normalizeName(name), uuid])
+        .filter(([name, uuid]) => name && typeof uuid === "string" && uuid)
+    );
+  }
+
+  /**
+   * Get the compendium UUID aliased to a creature name
+   * @param {string} name - Creature name (normalized or not)
+   * @returns {string|null} The aliased UUID, or null when there is no alias
+   * @static
+   */
+  static getAlias(name) {
+    return NameMatcher.#aliases.get(NameMatcher.normalizeName(name)) ?? null;
+  }
+
   /**
    * Minimum character length for partial matching to avoid false positives
    * @type {number}
@@ -30,45 +67,419 @@ class NameMatcher {
   }
 
   /**
-   * Regular expression patterns for common creature name prefixes to strip
-   * Prefixes like "young", "adult", "ancient", "elder", "greater", "lesser"
+   * Built-in creature name prefixes stripped in Stage 2
+   * @type {string[]}
+   * @static
+   * @readonly
+   */
+  static #DEFAULT_PREFIXES = Object.freeze(["young", "adult", "ancient", "elder", "greater", "lesser"]);
+  static get DEFAULT_PREFIXES() {
+    return NameMatcher.#DEFAULT_PREFIXES;
+  }
+
+  /**
+   * Built-in creature name suffixes stripped in Stage 2
+   * @type {string[]}
+   * @static
+   * @readonly
+   */
+  static #DEFAULT_SUFFIXES = Object.freeze(["warrior", "guard", "scout", "champion", "leader", "chief", "captain", "shaman", "berserker"]);
+  static get DEFAULT_SUFFIXES() {
+    return NameMatcher.#DEFAULT_SUFFIXES;
+  }
+
+  /**
+   * Trailing number on a normalized name ("goblin 3", "zombie 12" from "Zombie #12")
+   * Always stripped before the prefix/suffix rules.
+   * @type {RegExp}
+   * @static
+   * @readonly
+   */
+  static #TRAILING_NUMBER_PATTERN = /\s+\d+$/;
+  static get TRAILING_NUMBER_PATTERN() {
+    return NameMatcher.#TRAILING_NUMBER_PATTERN;
+  }
+
+  /**
+   * Parenthetical or bracketed notes in a raw token name ("Cultist (Hooded)", "Orc [boss]")
+   * Stripped before normalization, since normalizeName() removes the brackets themselves.
    * @type {RegExp}
    * @static
    * @readonly
    */
-  static #PREFIX_PATTERN = /^(young|adult|ancient|elder|greater|lesser)\s+/i;
+  static #PARENTHETICAL_PATTERN = /\s*(\([^)]*\)|\[[^\]]*\]|\{[^}]*\})\s*/g;
+  static get PARENTHETICAL_PATTERN() {
+    return NameMatcher.#PARENTHETICAL_PATTERN;
+  }
+
+  /**
+   * User-defined variant rules added on top of the built-in ones
+   * @type {{prefixes: string[], suffixes: string[], patterns: string[]}}
+   * @static
+   * @private
+   */
+  static #variantRules = { prefixes: [], suffixes: [], patterns: [] };
+
+  /**
+   * Build an anchored alternation pattern from a list of words
+   * @param {string[]} words - Normalized words or phrases
+   * @param {'prefix'|'suffix'} position - Where the words are anchored
+   * @returns {RegExp} Case-insensitive pattern
+   * @static
+   * @private
+   */
+  static #buildWordPattern(words, position) {
+    const alternation = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+    return position === "prefix"
+      ? new RegExp(`^(${alternation})\\s+`, "i")
+      : new RegExp(`\\s+(${alternation})$`, "i");
+  }
+
+  /**
+   * Regular expression for creature name prefixes to strip
+   * Built-in prefixes ("young", "adult", "ancient", "elder", "greater", "lesser")
+   * plus any user-defined prefixes
+   * @type {RegExp}
+   * @static
+   * @readonly
+   */
+  static #PREFIX_PATTERN = NameMatcher.#buildWordPattern(NameMatcher.#DEFAULT_PREFIXES, "prefix");
   static get PREFIX_PATTERN() {
     return NameMatcher.#PREFIX_PATTERN;
   }
 
   /**
-   * Regular expression patterns for common creature name suffixes to strip
-   * Suffixes like "warrior", "guard", "scout", "champion", "leader", "chief", "captain", "shaman", "berserker"
+   * Regular expression for creature name suffixes to strip
+   * Built-in suffixes ("warrior", "guard", "scout", "champion", "leader", "chief",
+   * "captain", "shaman", "berserker") plus any user-defined suffixes
    * @type {RegExp}
    * @static
    * @readonly
    */
-  static #SUFFIX_PATTERN = /\s+(warrior|guard|scout|champion|leader|chief|captain|shaman|berserker)$/i;
+  static #SUFFIX_PATTERN = NameMatcher.#buildWordPattern(NameMatcher.#DEFAULT_SUFFIXES, "suffix");
   static get SUFFIX_PATTERN() {
     return NameMatcher.#SUFFIX_PATTERN;
   }
 
+  /**
+   * Build the Stage 2 transforms from the current prefix/suffix patterns and regex rules
+   * Every transform strips a trailing number first.
+   * @param {RegExp[]} customPatterns - Compiled user regex rules
+   * @returns {Array<function(string): string>} Frozen list of transforms
+   * @static
+   * @private
+   */
+  static #buildVariantTransforms(customPatterns) {
+    const stripNumber = name => name.replace(NameMatcher.#TRAILING_NUMBER_PATTERN, "");
+    const tidy = name => name.replace(/\s+/g, " ").trim();
+    return Object.freeze([
+      name => stripNumber(name),
+      name => stripNumber(name).replace(NameMatcher.#PREFIX_PATTERN, ""),
+      name => stripNumber(name).replace(NameMatcher.#SUFFIX_PATTERN, ""),
+      name => stripNumber(name).replace(NameMatcher.#PREFIX_PATTERN, "").replace(NameMatcher.#SUFFIX_PATTERN, ""),
+      ...customPatterns.map(pattern => name => tidy(stripNumber(name).replace(pattern, " ")))
+    ]);
+  }
+
   /**
    * Variant transforms for Stage 2 name matching
-   * Strips common prefixes, suffixes, or both
+   * Strips a trailing number, then common prefixes, suffixes, or both, then
+   * each user regex rule in turn
    * @type {Array<function(string): string>}
    * @static
    * @readonly
    */
-  static #VARIANT_TRANSFORMS = Object.freeze([
-    name => name.replace(NameMatcher.#PREFIX_PATTERN, ""),
-    name => name.replace(NameMatcher.#SUFFIX_PATTERN, ""),
-    name => name.replace(NameMatcher.#PREFIX_PATTERN, "").replace(NameMatcher.#SUFFIX_PATTERN, "")
-  ]);
+  static #VARIANT_TRANSFORMS = NameMatcher.#buildVariantTransforms([]);
   static get VARIANT_TRANSFORMS() {
     return NameMatcher.#VARIANT_TRANSFORMS;
   }
 
+  /**
+   * Get the user-defined variant rules currently in effect
+   * @returns {{prefixes: string[], suffixes: string[], patterns: string[]}} Copy of the rules
+   * @static
+   */
+  static getVariantRules() {
+    const rules = NameMatcher.#variantRules;
+    return { prefixes: [...rules.prefixes], suffixes: [...rules.suffixes], patterns: [...rules.patterns] };
+  }
+
+  /**
+   * Check a user regex rule
+   * @param {string} pattern - Regular expression source
+   * @returns {string|null} The syntax error message, or null when the pattern is valid
+   * @static
+   * @example
+   * NameMatcher.validatePattern("\\bboss\\b"); // null
+   * NameMatcher.validatePattern("(");          // "Invalid regular expression: ..."
+   */
+  static validatePattern(pattern) {
+    try {
+      new RegExp(pattern, "i");
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  }
+
+  /**
+   * Add user-defined prefix/suffix words and regex rules to the built-in ones
+   * Rebuilds PREFIX_PATTERN, SUFFIX_PATTERN and VARIANT_TRANSFORMS. Words are
+   * normalized; regex rules run case-insensitively on the normalized name and
+   * the matched text is removed. Invalid regex rules are skipped with a warning.
+   * @param {{prefixes?: string[], suffixes?: string[], patterns?: string[]}|null} rules - User rules
+   * @returns {void}
+   * @static
+   * @example
+   * NameMatcher.setVariantRules({ prefixes: ["elite", "veteran"], suffixes: ["boss"], patterns: ["\\bmk \\w+$"] });
+   */
+  static setVariantRules(rules) {
+    const words = list => [...new Set((Array.isArray(list) ? list : [])
+      .map(w => NameMatcher.normalizeName(typeof w === "string" ? w : ""))
+      .filter(Boolean))];
+    const prefixes = words(rules?.prefixes);
+    const suffixes = words(rules?.suffixes);
+
+    const patterns = [];
+    const compiled = [];
+    for (const source of Array.isArray(rules?.patterns) ? rules.patterns : []) {
+      if (typeof source !== "string" || !source.trim()) continue;
+      const error = NameMatcher.validatePattern(source);
+      if (error) {
+        Logger.warn(`Ignoring invalid variant rule /${source}/: ${error}`);
+        continue;
+      }
+      patterns.push(source);
+      compiled.push(new RegExp(source, "i"));
+    }
+
+    NameMatcher.#variantRules = { prefixes, suffixes, patterns };
+    NameMatcher.#PREFIX_PATTERN = NameMatcher.#buildWordPattern([...NameMatcher.#DEFAULT_PREFIXES, ...prefixes], "prefix");
+    NameMatcher.#SUFFIX_PATTERN = NameMatcher.#buildWordPattern([...NameMatcher.#DEFAULT_SUFFIXES, ...suffixes], "suffix");
+    NameMatcher.#VARIANT_TRANSFORMS = NameMatcher.#buildVariantTransforms(compiled);
+  }
+
+  /**
+   * List the Stage 2 name variants of a creature name, in the order they are tried
+   * The raw name is also tried with parenthetical notes removed, and every
+   * transform is applied to both forms. The normalized name itself is excluded.
+   * @param {string} creatureName - Raw creature/token name
+   * @returns {string[]} Distinct normalized variants
+   * @static
+   * @example
+   * NameMatcher.getVariantNames("Zombie #12");          // ["zombie"]
+   * NameMatcher.getVariantNames("Cultist (Hooded) 2"); // ["cultist hooded", "cultist 2", "cultist", ...]
+   */
+  static getVariantNames(creatureName) {
+    const normalized = NameMatcher.normalizeName(creatureName);
+    const bases = [normalized];
+    const withoutNotes = NameMatcher.normalizeName((creatureName ?? "").replace(NameMatcher.#PARENTHETICAL_PATTERN, " "));
+    if (withoutNotes && withoutNotes !== normalized) bases.push(withoutNotes);
+
+    const variants = new Set();
+    for (const base of bases) {
+      if (base !== normalized) variants.add(base);
+      for (const transform of NameMatcher.#VARIANT_TRANSFORMS) {
+        const variant = transform(base);
+        if (variant && variant !== normalized) variants.add(variant);
+      }
+    }
+    return [...variants];
+  }
+
+  /**
+   * Confidence reported for each fixed-confidence match stage
+   * Partial matches are scored by word overlap instead (see PARTIAL_MAX_CONFIDENCE).
+   * @type {Object<string, number>}
+   * @static
+   * @readonly
+   */
+  static #STAGE_CONFIDENCE = Object.freeze({
+    alias: 1,
+    exact: 1,
+    variant: 0.85
+  });
+  static get STAGE_CONFIDENCE() {
+    return NameMatcher.#STAGE_CONFIDENCE;
+  }
+
+  /**
+   * Highest confidence a partial match can get (when every significant word overlaps)
+   * @type {number}
+   * @static
+   * @readonly
+   */
+  static get PARTIAL_MAX_CONFIDENCE() {
+    return 0.75;
+  }
+
+  /**
+   * Highest confidence a fuzzy match can get (scaled by its similarity)
+   * @type {number}
+   * @static
+   * @readonly
+   */
+  static get FUZZY_MAX_CONFIDENCE() {
+    return 0.8;
+  }
+
+  /**
+   * Default minimum similarity for the fuzzy stage
+   * @type {number}
+   * @static
+   * @readonly
+   */
+  static get DEFAULT_FUZZY_THRESHOLD() {
+    return 0.8;
+  }
+
+  /**
+   * Current minimum similarity (0-1) a fuzzy candidate needs; 1 disables the stage
+   * @type {number}
+   * @static
+   * @private
+   */
+  static #fuzzyThreshold = 0.8;
+
+  /**
+   * Get the fuzzy-stage similarity threshold
+   * @returns {number} Threshold between 0 and 1
+   * @static
+   */
+  static getFuzzyThreshold() {
+    return NameMatcher.#fuzzyThreshold;
+  }
+
+  /**
+   * Set the fuzzy-stage similarity threshold
+   * Invalid values reset the threshold to DEFAULT_FUZZY_THRESHOLD.
+   * @param {number} threshold - Minimum similarity between 0 and 1 (1 disables fuzzy matching)
+   * @returns {void}
+   * @static
+   */
+  static setFuzzyThreshold(threshold) {
+    const value = Number(threshold);
+    NameMatcher.#fuzzyThreshold = Number.isFinite(value) && value >= 0 && value <= 1
+      ? value
+      : NameMatcher.DEFAULT_FUZZY_THRESHOLD;
+  }
+
+  /**
+   * Get the distinct character trigrams of a normalized name
+   * The name is padded with a space on both sides so word starts and ends count.
+   * Used to precompute a trigram index in loadMonsterIndex() and to find
+   * fuzzy-match candidates without scanning the whole index.
+   * @param {string} normalizedName - A name from normalizeName()
+   * @returns {string[]} Distinct trigrams
+   * @static
+   * @example
+   * NameMatcher.trigrams("orc"); // [" or", "orc", "rc "]
+   */
+  static trigrams(normalizedName) {
+    if (!normalizedName) return [];
+    const padded = ` ${normalizedName} `;
+    const result = new Set();
+    for (let i = 0; i <= padded.length - 3; i++) {
+      result.add(padded.substring(i, i + 3));
+    }
+    return [...result];
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+   * Stops early and returns maxDistance + 1 once the distance is known to exceed maxDistance.
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} [maxDistance=Infinity] - Bound after which computation stops
+   * @returns {number} Edit distance, or maxDistance + 1 when above the bound
+   * @static
+   * @example
+   * NameMatcher.editDistance("gobiln", "goblin"); // 1 (transposition)
+   */
+  static editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+        row[j] = value;
+        if (value < rowMin) rowMin = value;
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  /**
+   * Stage 4: find the most similar index entry by bounded edit distance
+   * Candidates come from the precomputed trigram index when available (entries
+   * sharing at least one trigram), otherwise from the whole index.
+   * @param {string} normalizedSearch - Normalized creature name
+   * @param {Array<Object>} index - Index items from loadMonsterIndex()
+   * @returns {{item: Object, similarity: number}|null} Best candidate above the threshold
+   * @static
+   * @private
+   */
+  static #findFuzzy(normalizedSearch, index) {
+    const threshold = NameMatcher.#fuzzyThreshold;
+    if (threshold >= 1) return null;
+
+    let candidates = index;
+    const trigramIndex = _CompendiumManager?.getTrigramIndex?.() ?? null;
+    if (trigramIndex) {
+      const found = new Set();
+      for (const trigram of NameMatcher.trigrams(normalizedSearch)) {
+        for (const item of trigramIndex.get(trigram) ?? []) found.add(item);
+      }
+      candidates = found;
+    }
+
+    let best = [];
+    let bestSimilarity = 0;
+    for (const item of candidates) {
+      const name = item.normalizedName || NameMatcher.normalizeName(item.entry.name);
+      const longest = Math.max(name.length, normalizedSearch.length);
+      const maxDistance = Math.floor((1 - threshold) * longest);
+      const distance = NameMatcher.editDistance(normalizedSearch, name, maxDistance);
+      if (distance > maxDistance) continue;
+
+      const similarity = 1 - distance / longest;
+      if (similarity > bestSimilarity) {
+        best = [item];
+        bestSimilarity = similarity;
+      } else if (similarity === bestSimilarity) {
+        best.push(item);
+      }
+    }
+
+    if (best.length === 0) return null;
+    return { item: NameMatcher.selectBestMatch(best), similarity: bestSimilarity };
+  }
+
+  /**
+   * Build a findMatch() result from an index item
+   * The index item is copied so its cached fields are never mutated.
+   * @param {Object} item - Index item from loadMonsterIndex()
+   * @param {string} stage - Match stage: 'alias', 'exact', 'variant' or 'partial'
+   * @param {number} confidence - Confidence between 0 and 1
+   * @returns {{entry: Object, pack: CompendiumCollection, stage: string, confidence: number}} Match result
+   * @static
+   * @private
+   */
+  static #toResult(item, stage, confidence) {
+    return { ...item, stage, confidence: Math.round(confidence * 100) / 100 };
+  }
+
   /**
    * Normalize a creature name for matching
    * Converts to lowercase, trims whitespace, removes special characters,
@@ -93,7 +504,9 @@ class NameMatcher {
   /**
    * Select the best match from a list of matches based on compendium priority
    * When multiple compendiums contain the same creature, this selects the one
-   * from the highest priority compendium (adventures > expansions > core > SRD)
+   * from the highest priority compendium (adventures > expansions > core > SRD,
+   * unless the GM ranked the compendiums). Equal priorities fall back to the
+   * GM ranking, then to the pack collection name.
    * @param {Array<{entry: Object, pack: CompendiumCollection}>} matches - Array of match objects
    * @returns {{entry: Object, pack: CompendiumCollection}|null} The best match or null if empty
    * @static
@@ -121,12 +534,22 @@ class NameMatcher {
       });
     }
 
+    // Position in the GM's compendium ranking; unranked packs sort last
+    const getRank = m => {
+      const rank = _CompendiumManager?.getCompendiumRank?.(m.pack) ?? -1;
+      return rank === -1 ? Infinity : rank;
+    };
+
     // O(n) max-scan — no mutation of input array
-    // Tie-break by pack collection name for deterministic results
+    // Tie-break by the GM's compendium ranking, then by pack collection name
+    // for deterministic results
     const best = matches.reduce((a, b) => {
       const pa = getPriority(a);
       const pb = getPriority(b);
       if (pb !== pa) return pb > pa ? b : a;
+      const ra = getRank(a);
+      const rb = getRank(b);
+      if (ra !== rb) return rb < ra ? b : a;
       return a.pack.collection < b.pack.collection ? a : b;
     });
     Logger.debug(`  Selected: ${best.pack.metadata.label} (priority ${getPriority(best)})`);
@@ -137,19 +560,26 @@ class NameMatcher {
   /**
    * Find a creature in the combined compendium index
    * Uses a multi-stage matching strategy:
+   * 0. Alias (GM-defined name -> compendium UUID, see setAliases)
    * 1. Exact match (after normalization)
-   * 2. Variant match (strips common prefixes/suffixes)
+   * 2. Variant match (strips notes, trailing numbers, common/user prefixes and suffixes, user regex rules)
    * 3. Partial match (word-level matching for longer names)
+   * 4. Fuzzy match (bounded edit distance for typos, see setFuzzyThreshold)
    *
-   * Prioritizes matches from adventures/expansions > Monster Manual > SRD
+   * Prioritizes matches from adventures/expansions > Monster Manual > SRD.
+   * The result reports the stage that matched and a confidence between 0 and 1:
+   * alias and exact matches are 1, variant matches 0.85, and partial matches
+   * scale with the share of significant words both names have in common, up to
+   * PARTIAL_MAX_CONFIDENCE, and fuzzy matches scale with their similarity up to
+   * FUZZY_MAX_CONFIDENCE.
    * @param {string} creatureName - The creature name to search for
    * @param {Array<{entry: Object, pack: CompendiumCollection}>} index - Array of index entries from loadMonsterIndex()
-   * @returns {{entry: Object, pack: CompendiumCollection}|null} Object with entry and pack, or null if not found
+   * @returns {{entry: Object, pack: CompendiumCollection, stage: string, confidence: number}|null} Match with stage and confidence, or null if not found
    * @static
    * @example
    * const match = NameMatcher.findMatch('Goblin', monsterIndex);
    * if (match) {
-   *   console.log(`Found: ${match.entry.name} in ${match.pack.metadata.label}`);
+   *   console.log(`Found: ${match.entry.name} in ${match.pack.metadata.label} (${match.stage}, ${match.confidence})`);
    * }
    */
   static findMatch(creatureName, index) {
@@ -160,6 +590,17 @@ class NameMatcher {
       return null;
     }
 
+    // Stage 0: Alias table — only used when the aliased entry is in the loaded index
+    const aliasUuid = NameMatcher.#aliases.get(normalizedSearch);
+    if (aliasUuid) {
+      const match = _CompendiumManager?.getIndexItemByUuid?.(aliasUuid) ?? index.find(item => item.uuid === aliasUuid) ?? null;
+      if (match) {
+        Logger.log(`Alias match found: "${creatureName}" -> "${match.entry.name}" (${match.pack.metadata.label})`);
+        return NameMatcher.#toResult(match, "alias", NameMatcher.STAGE_CONFIDENCE.alias);
+      }
+      Logger.warn(`Alias for "${creatureName}" points to ${aliasUuid}, which is not in the enabled compendiums`);
+    }
+
     // Stage 1: Exact match via O(1) Map lookup
     const indexMap = _CompendiumManager?.getIndexMap() ?? null;
     let matches = indexMap ? (indexMap.get(normalizedSearch) || []) :
@@ -167,26 +608,24 @@ class NameMatcher {
     if (matches.length > 0) {
       const match = NameMatcher.selectBestMatch(matches);
       Logger.log(`Exact match found: "${creatureName}" -> "${match.entry.name}" (${match.pack.metadata.label}, priority ${match.priority ?? _CompendiumManager?.getCompendiumPriority(match.pack) ?? 1})`);
-      return match;
+      return NameMatcher.#toResult(match, "exact", NameMatcher.STAGE_CONFIDENCE.exact);
     }
 
-    // Stage 2: Variant transforms - try without common suffixes/prefixes
-    for (const transform of NameMatcher.VARIANT_TRANSFORMS) {
-      const variant = transform(normalizedSearch);
-      // Only check if variant is different from original
-      if (variant !== normalizedSearch && variant.length > 0) {
-        matches = indexMap ? (indexMap.get(variant) || []) :
-          index.filter(item => (item.normalizedName || NameMatcher.normalizeName(item.entry.name)) === variant);
-        if (matches.length > 0) {
-          const match = NameMatcher.selectBestMatch(matches);
-          Logger.log(`Variant match found: "${creatureName}" -> "${match.entry.name}" (${match.pack.metadata.label}, priority ${match.priority ?? _CompendiumManager?.getCompendiumPriority(match.pack) ?? 1})`);
-          return match;
-        }
+    // Stage 2: Variant transforms - try without notes, numbers, common suffixes/prefixes and user rules
+    for (const variant of NameMatcher.getVariantNames(creatureName)) {
+      matches = indexMap ? (indexMap.get(variant) || []) :
+        index.filter(item => (item.normalizedName || NameMatcher.normalizeName(item.entry.name)) === variant);
+      if (matches.length > 0) {
+        const match = NameMatcher.selectBestMatch(matches);
+        Logger.log(`Variant match found: "${creatureName}" -> "${match.entry.name}" (${match.pack.metadata.label}, priority ${match.priority ?? _CompendiumManager?.getCompendiumPriority(match.pack) ?? 1})`);
+        return NameMatcher.#toResult(match, "variant", NameMatcher.STAGE_CONFIDENCE.variant);
       }
     }
 
     // Stage 3: Partial match - require majority of significant words to overlap
     if (normalizedSearch.length >= NameMatcher.MIN_PARTIAL_LENGTH) {
+      // Overlap count per candidate, kept for the confidence of the selected match
+      const overlaps = new Map();
       const searchWords = normalizedSearch.split(" ");
       const significantSearchWords = searchWords.filter(w => w.length >= NameMatcher.MIN_PARTIAL_LENGTH);
 
@@ -206,8 +645,10 @@ class NameMatcher {
           }
           // Bidirectional check: search words must meet threshold AND
           // matched words must cover at least half of entry's significant words
-          return matchingCount >= threshold
+          const isMatch = matchingCount >= threshold
             && matchingCount / sigWords.length >= 0.5;
+          if (isMatch) overlaps.set(item, matchingCount / Math.max(searchWordSet.size, sigWords.length));
+          return isMatch;
         });
       } else {
         matches = [];
@@ -215,11 +656,20 @@ class NameMatcher {
 
       if (matches.length > 0) {
         const match = NameMatcher.selectBestMatch(matches);
-        Logger.log(`Partial match found: "${creatureName}" -> "${match.entry.name}" (${match.pack.metadata.label}, priority ${match.priority ?? _CompendiumManager?.getCompendiumPriority(match.pack) ?? 1})`);
-        return match;
+        const confidence = NameMatcher.PARTIAL_MAX_CONFIDENCE * (overlaps.get(match) ?? 0);
+        Logger.log(`Partial match found: "${creatureName}" -> "${match.entry.name}" (${match.pack.metadata.label}, priority ${match.priority ?? _CompendiumManager?.getCompendiumPriority(match.pack) ?? 1}, confidence ${confidence.toFixed(2)})`);
+        return NameMatcher.#toResult(match, "partial", confidence);
       }
     }
 
+    // Stage 4: Fuzzy match - typos and spelling variants ("Gobiln", "Owlbaer")
+    const fuzzy = NameMatcher.#findFuzzy(normalizedSearch, index);
+    if (fuzzy) {
+      const confidence = NameMatcher.FUZZY_MAX_CONFIDENCE * fuzzy.similarity;
+      Logger.log(`Fuzzy match found: "${creatureName}" -> "${fuzzy.item.entry.name}" (${fuzzy.item.pack.metadata.label}, similarity ${fuzzy.similarity.toFixed(2)})`);
+      return NameMatcher.#toResult(fuzzy.item, "fuzzy", confidence);
+    }
+
     Logger.log(`No match found for: "${creatureName}"`);
     return null;
   }
@@ -0,0 +1,54 @@
+/**
+ * TaskPool utility class for running async work with bounded concurrency
+ * Used to parallelise compendium/actor resolution without flooding the server
+ * with hundreds of simultaneous socket requests on large scenes.
+ * @class
+ */
+class TaskPool {
+  /**
+   * Default number of tasks allowed to run at the same time
+   * @type {number}
+   * @static
+   * @readonly
+   */
+  static get DEFAULT_CONCURRENCY() {
+    return 4;
+  }
+
+  /**
+   * Map items through an async worker with at most `concurrency` tasks in flight
+   * Never rejects: like Promise.allSettled(), each item yields a
+   * {status, value} or {status, reason} record, in the same order as the input.
+   * @param {Array} items - Items to process
+   * @param {function(*, number): Promise<*>} worker - Async function called with (item, index)
+   * @param {number} [concurrency=TaskPool.DEFAULT_CONCURRENCY] - Maximum tasks in flight
+   * @returns {Promise<Array<{status: 'fulfilled', value: *}|{status: 'rejected', reason: *}>>} Settled results in input order
+   * @static
+   * @example
+   * const results = await TaskPool.mapSettled(tokens, t => resolve(t), 8);
+   * const ok = results.filter(r => r.status === "fulfilled").map(r => r.value);
+   */
+  static async mapSettled(items, worker, concurrency = TaskPool.DEFAULT_CONCURRENCY) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    // Each runner pulls the next unclaimed index until the queue is drained.
+    // Claiming happens synchronously, so no two runners ever take the same item.
+    const runner = async () => {
+      while (next < items.length) {
+        const i = next++;
+        try {
+          results[i] = { status: "fulfilled", value: await worker(items[i], i) };
+        } catch (reason) {
+          results[i] = { status: "rejected", reason };
+        }
+      }
+    };
+
+    const runnerCount = Math.min(Math.max(1, concurrency), items.length);
+    await Promise.all(Array.from({ length: runnerCount }, runner));
+    return results;
+  }
+}
+
+export { TaskPool };
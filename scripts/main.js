@@ -7,6 +7,7 @@ import { Logger, MODULE_ID } from "./lib/logger.js";
 import { WildcardResolver } from "./lib/wildcard-resolver.js";
 import { NameMatcher } from "./lib/name-matcher.js";
 import { ProgressReporter } from "./lib/progress-reporter.js";
+import { TaskPool } from "./lib/task-pool.js";
 
 // Note: WOTC_MODULE_PREFIXES and COMPENDIUM_PRIORITIES are defined as
 // static getters in CompendiumManager class for better encapsulation
@@ -14,10 +15,11 @@ import { ProgressReporter } from "./lib/progress-reporter.js";
 // Note: All caches are now managed by their respective classes:
 // - CompendiumManager.#indexCache (monster index)
 // - CompendiumManager.#wotcCompendiumsCache (detected compendiums)
-// - FolderManager.#importFolderCache (import folder)
+// - FolderManager.#importFolderCache / #templateFolderCache (import folders)
 // - NPCTokenReplacerController.#isProcessing (execution lock)
 // - TokenReplacer.#sequentialCounter (variant counter)
 // - WildcardResolver.#variantCache (resolved wildcard paths)
+// Replacement history is persisted in scene flags by ReplacementHistory
 
 /**
  * FolderManager utility class for Actor folder handling
@@ -33,6 +35,31 @@ class FolderManager {
    */
   static #importFolderCache = null;
 
+  /**
+   * In-flight folder lookup/creation, shared by concurrent callers so parallel
+   * imports never create the folder twice
+   * @type {Promise<Folder|null>|null}
+   * @static
+   * @private
+   */
+  static #pendingImportFolder = null;
+
+  /**
+   * Folders resolved from the folder template, keyed by their path ("Imported/Undead")
+   * @type {Map<string, Folder>}
+   * @static
+   * @private
+   */
+  static #templateFolderCache = new Map();
+
+  /**
+   * In-flight template folder lookups/creations keyed by path prefix
+   * @type {Map<string, Promise<Folder|null>>}
+   * @static
+   * @private
+   */
+  static #pendingTemplateFolders = new Map();
+
   /**
    * Default folder name for Monster Manual imports
    * @type {string}
@@ -92,24 +119,224 @@ class FolderManager {
     return `/${parts.join("/")}`;
   }
 
+  /**
+   * Challenge rating bands used by the {crBand} placeholder (the dnd5e tiers of play)
+   * @type {Array<{max: number, label: string}>}
+   * @static
+   * @readonly
+   */
+  static #CR_BANDS = Object.freeze([
+    Object.freeze({ max: 4, label: "CR 0-4" }),
+    Object.freeze({ max: 10, label: "CR 5-10" }),
+    Object.freeze({ max: 16, label: "CR 11-16" }),
+    Object.freeze({ max: Infinity, label: "CR 17+" })
+  ]);
+  static get CR_BANDS() {
+    return FolderManager.#CR_BANDS;
+  }
+
+  /**
+   * Get the import folder template from the world setting
+   * An empty template keeps every import in the single "MonsterManual" folder.
+   * @returns {string} The template, e.g. "Imported/{source}/{type}" ("" when missing or invalid)
+   * @static
+   */
+  static getFolderTemplate() {
+    try {
+      const value = game.settings.get(MODULE_ID, "importFolderTemplate");
+      if (typeof value === "string") return value.trim();
+    } catch (e) {
+      Logger.warn(`Error reading importFolderTemplate (${e.name}: ${e.message}), using default`);
+    }
+    return "";
+  }
+
+  /**
+   * Format a challenge rating, writing fractional ratings as fractions
+   * @param {number} cr - The challenge rating
+   * @returns {string} The formatted rating ("1/4", "5")
+   * @static
+   * @private
+   */
+  static #formatCr(cr) {
+    const fractions = { 0.125: "1/8", 0.25: "1/4", 0.5: "1/2" };
+    return fractions[cr] ?? String(cr);
+  }
+
+  /**
+   * Get the display name of an actor's creature type
+   * @param {Actor} actor - The compendium actor
+   * @returns {string|null} The creature type ("Undead"), or null if it has none
+   * @static
+   * @private
+   */
+  static #creatureType(actor) {
+    const type = actor?.system?.details?.type;
+    const value = typeof type === "string" ? type : type?.value;
+    if (!value) return null;
+    if (value === "custom" && type?.custom) return type.custom;
+
+    const config = CONFIG.DND5E?.creatureTypes?.[value];
+    const label = typeof config === "string" ? config : config?.label;
+    if (label) return game.i18n.localize(label);
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+
+  /**
+   * Resolve the folder template for a compendium actor
+   * Placeholders: {source} (compendium label), {type} (creature type), {cr} and {crBand}
+   * (challenge rating and its tier). Missing values become "Unknown"; empty segments are
+   * dropped. Segments beyond Foundry's folder depth limit are merged into the last folder.
+   * @param {string} template - Folder template, segments separated by "/"
+   * @param {Actor} actor - The compendium actor being imported
+   * @param {CompendiumCollection} pack - The compendium pack it comes from
+   * @returns {string[]} Folder names from the top-level folder down
+   * @static
+   * @example
+   * FolderManager.resolveFolderPath("Imported/{source}/{type}", zombie, mmPack);
+   * // Returns ["Imported", "Monster Manual", "Undead"]
+   */
+  static resolveFolderPath(template, actor, pack) {
+    const unknown = game.i18n.localize("NPC_REPLACER.FolderUnknown");
+    const cr = actor?.system?.details?.cr;
+    const hasCr = typeof cr === "number" && Number.isFinite(cr);
+    const values = {
+      source: pack?.metadata?.label,
+      type: FolderManager.#creatureType(actor),
+      cr: hasCr ? `CR ${FolderManager.#formatCr(cr)}` : null,
+      crBand: hasCr ? FolderManager.CR_BANDS.find(band => cr <= band.max).label : null
+    };
+
+    const segments = template.split("/")
+      .map(segment => segment.replace(/\{(\w+)\}/g, (placeholder, key) => {
+        if (!(key in values)) return placeholder;
+        return values[key] || unknown;
+      }).trim())
+      .filter(Boolean);
+
+    const maxDepth = CONST.FOLDER_MAX_DEPTH ?? 4;
+    if (segments.length > maxDepth) {
+      segments.splice(maxDepth - 1, Infinity, segments.slice(maxDepth - 1).join(" - "));
+    }
+    return segments;
+  }
+
+  /**
+   * Get or create nested Actor folders, one per path segment
+   * Each folder is resolved on its own and cached by its path prefix, so concurrent
+   * callers share the creation of common parent folders.
+   * @param {string[]} segments - Folder names from the top-level folder down
+   * @returns {Promise<Folder|null>} The innermost folder, or null if creation failed
+   * @static
+   * @example
+   * const folder = await FolderManager.getOrCreateFolderPath(["Imported", "Undead"]);
+   */
+  static async getOrCreateFolderPath(segments) {
+    let folder = null;
+    for (let depth = 1; depth <= segments.length; depth++) {
+      folder = await FolderManager.#getOrCreatePathFolder(segments.slice(0, depth), folder);
+      if (!folder) return null;
+    }
+    return folder;
+  }
+
+  /**
+   * Get or create the innermost folder of a path prefix, joining an in-flight creation
+   * @param {string[]} segments - Folder names from the top-level folder down to this folder
+   * @param {Folder|null} parent - The already resolved parent folder
+   * @returns {Promise<Folder|null>} The folder, or null if creation failed
+   * @static
+   * @private
+   */
+  static #getOrCreatePathFolder(segments, parent) {
+    const key = segments.join("/");
+    const cached = FolderManager.#templateFolderCache.get(key);
+    if (cached && game.folders.has(cached.id)) return Promise.resolve(cached);
+
+    let pending = FolderManager.#pendingTemplateFolders.get(key);
+    if (!pending) {
+      pending = FolderManager.#findOrCreatePathFolder(segments, parent)
+        .finally(() => FolderManager.#pendingTemplateFolders.delete(key));
+      FolderManager.#pendingTemplateFolders.set(key, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Find the innermost folder of a path prefix under its parent, creating it if missing
+   * @param {string[]} segments - Folder names from the top-level folder down to this folder
+   * @param {Folder|null} parent - The already resolved parent folder
+   * @returns {Promise<Folder|null>} The folder, or null if creation failed
+   * @static
+   * @private
+   */
+  static async #findOrCreatePathFolder(segments, parent) {
+    const name = segments.at(-1);
+    let folder = game.folders.filter(f => f.type === "Actor")
+      .find(f => f.name === name && (f.folder?.id ?? null) === (parent?.id ?? null));
+    if (!folder) {
+      try {
+        folder = await Folder.create({
+          name,
+          type: "Actor",
+          parent: parent?.id || null,
+          color: FolderManager.FOLDER_COLOR
+        });
+        Logger.log(`Created new folder: ${FolderManager.getFolderPath(folder)}`);
+      } catch (error) {
+        Logger.error(`Failed to create import folder "${segments.join("/")}"`, error);
+        ui.notifications.error(game.i18n.localize("NPC_REPLACER.ErrorFolderCreate"));
+        return null;
+      }
+    }
+
+    FolderManager.#templateFolderCache.set(segments.join("/"), folder);
+    return folder;
+  }
+
   /**
    * Get or create the folder for Monster Manual imports
-   * Looks for existing monster folders and creates a subfolder with "MonsterManual" suffix.
+   * With a folder template set and an actor given, the actor is routed to the folder
+   * the template resolves to (see resolveFolderPath). Otherwise looks for existing
+   * monster folders and creates a subfolder with "MonsterManual" suffix.
    * Results are cached to avoid repeated lookups/creation.
+   * @param {Actor} [actor] - The compendium actor being imported
+   * @param {CompendiumCollection} [pack] - The compendium pack it comes from
    * @returns {Promise<Folder|null>} The folder to use for imports, or null if creation failed
    * @static
    * @example
-   * const folder = await FolderManager.getOrCreateImportFolder();
+   * const folder = await FolderManager.getOrCreateImportFolder(compendiumActor, pack);
    * if (folder) {
    *   console.log(`Importing to: ${FolderManager.getFolderPath(folder)}`);
    * }
    */
-  static async getOrCreateImportFolder() {
+  static async getOrCreateImportFolder(actor, pack) {
+    const template = actor ? FolderManager.getFolderTemplate() : "";
+    if (template) {
+      const segments = FolderManager.resolveFolderPath(template, actor, pack);
+      if (segments.length > 0) return FolderManager.getOrCreateFolderPath(segments);
+    }
+
     // Return cached folder if available and still exists
     if (FolderManager.#importFolderCache && game.folders.has(FolderManager.#importFolderCache.id)) {
       return FolderManager.#importFolderCache;
     }
 
+    // Join an in-flight lookup instead of starting a second one
+    if (!FolderManager.#pendingImportFolder) {
+      FolderManager.#pendingImportFolder = FolderManager.#findOrCreateImportFolder()
+        .finally(() => { FolderManager.#pendingImportFolder = null; });
+    }
+    return FolderManager.#pendingImportFolder;
+  }
+
+  /**
+   * Scan Actor folders for the import destination, creating it if needed
+   * @returns {Promise<Folder|null>} The folder to use for imports, or null if creation failed
+   * @static
+   * @private
+   */
+  static async #findOrCreateImportFolder() {
     Logger.log("Scanning Actor folders for import destination...");
 
     // Single pass — gather all Actor folders once and reuse for all searches
@@ -182,6 +409,29 @@ class FolderManager {
     }
   }
 
+  /**
+   * Check whether a folder is inside the import folder tree
+   * The tree is rooted at the "MonsterManual" folder (or "<parent> - MonsterManual")
+   * and, with a folder template set, at the template's top-level folder when that
+   * segment has no placeholder.
+   * @param {Folder|null} folder - An Actor folder
+   * @returns {boolean} True if the folder or one of its parents is an import folder
+   * @static
+   * @example
+   * FolderManager.isInImportTree(actor.folder);
+   * // Returns: true for an actor in "Imported/Monster Manual/Undead" with template "Imported/{source}/{type}"
+   */
+  static isInImportTree(folder) {
+    const roots = new Set([FolderManager.FOLDER_NAME]);
+    const templateRoot = FolderManager.getFolderTemplate().split("/").map(segment => segment.trim()).find(Boolean);
+    if (templateRoot && !/\{\w+\}/.test(templateRoot)) roots.add(templateRoot);
+
+    for (let current = folder; current; current = current.folder) {
+      if (roots.has(current.name) || current.name?.endsWith(` - ${FolderManager.FOLDER_NAME}`)) return true;
+    }
+    return false;
+  }
+
   /**
    * Clear the folder cache
    * Call this when settings change or when folder may have been deleted
@@ -193,6 +443,7 @@ class FolderManager {
    */
   static clearCache() {
     FolderManager.#importFolderCache = null;
+    FolderManager.#templateFolderCache.clear();
     Logger.debug("FolderManager cache cleared");
   }
 }
@@ -220,6 +471,24 @@ class CompendiumManager {
    */
   static #indexMap = null;
 
+  /**
+   * Cached Map from compendium entry UUID to index item
+   * Used to resolve creature aliases without scanning the index
+   * @type {Map<string, Object>|null}
+   * @static
+   * @private
+   */
+  static #uuidMap = null;
+
+  /**
+   * Cached Map from character trigram to the index items containing it
+   * Precomputed so NameMatcher's fuzzy stage only compares likely candidates
+   * @type {Map<string, Array<Object>>|null}
+   * @static
+   * @private
+   */
+  static #trigramIndex = null;
+
   /**
    * Cache for enabled compendium packs (avoids re-parsing JSON settings)
    * @type {CompendiumCollection[]|null}
@@ -236,6 +505,38 @@ class CompendiumManager {
    */
   static #wotcCompendiumsCache = null;
 
+  /**
+   * Cache for the parsed additionalSources setting: pack collection -> priority
+   * @type {Map<string, number>|null}
+   * @static
+   * @private
+   */
+  static #additionalSourcesCache = null;
+
+  /**
+   * Cache for the parsed compendiumRanking setting (pack collections, highest first)
+   * @type {string[]|null}
+   * @static
+   * @private
+   */
+  static #rankingCache = null;
+
+  /**
+   * Scene profile the selection caches were built for ("world" when none)
+   * @type {string|null}
+   * @static
+   * @private
+   */
+  static #cachedProfileKey = null;
+
+  /**
+   * Scene being processed when it is not the one on the canvas (multi-scene runs)
+   * @type {Scene|null}
+   * @static
+   * @private
+   */
+  static #targetScene = null;
+
   /**
    * Errors from the most recent loadMonsterIndex() call
    * @type {Array<{packId: string, packLabel: string, error: string}>}
@@ -360,6 +661,14 @@ class CompendiumManager {
     "dnd-heroes-faerun": "Forgotten Realms: Heroes of Faerûn",
     "dnd-heroes-borderlands": "Heroes of the Borderlands"
   });
+  /**
+   * Highest built-in priority tier; ranked packs get priorities above it
+   * @type {number}
+   * @static
+   * @private
+   */
+  static #MAX_TIER = 4;
+
   static get KNOWN_MODULE_LABELS() {
     return CompendiumManager.#KNOWN_MODULE_LABELS;
   }
@@ -369,16 +678,43 @@ class CompendiumManager {
 
   /**
    * Get the priority of a compendium pack
-   * Higher priority = preferred when multiple matches exist
+   * Higher priority = preferred when multiple matches exist.
+   * Packs in the GM's priority ranking (see getCompendiumRanking) rank above
+   * every built-in tier, in ranking order; other packs keep their tier.
    * @param {CompendiumCollection} pack - The compendium pack
-   * @returns {number} Priority level (1=SRD/Fallback, 2=Core, 3=Expansions, 4=Adventures)
+   * @returns {number} Priority (1=SRD/Fallback, 2=Core, 3=Expansions, 4=Adventures, above 4 when ranked)
    * @static
    * @example
    * const pack = game.packs.get("dnd-monster-manual.monsters");
    * const priority = CompendiumManager.getCompendiumPriority(pack);
-   * // Returns: 2 (CORE)
+   * // Returns: 2 (CORE) without a ranking
    */
   static getCompendiumPriority(pack) {
+    return CompendiumManager.#priorityIn(pack, CompendiumManager.getCompendiumRanking());
+  }
+
+  /**
+   * Compute a pack's priority for a given ranking
+   * @param {CompendiumCollection} pack - The compendium pack
+   * @param {string[]} ranking - Pack collections, highest priority first
+   * @returns {number} Priority (see getCompendiumPriority)
+   * @static
+   * @private
+   */
+  static #priorityIn(pack, ranking) {
+    const rank = ranking.indexOf(pack.collection);
+    if (rank !== -1) return CompendiumManager.#MAX_TIER + ranking.length - rank;
+    return CompendiumManager.getCompendiumTier(pack);
+  }
+
+  /**
+   * Get the built-in priority tier of a compendium pack, ignoring the GM ranking
+   * Used for the "default" selection mode and the priority labels.
+   * @param {CompendiumCollection} pack - The compendium pack
+   * @returns {number} Tier (1=SRD/Fallback, 2=Core, 3=Expansions, 4=Adventures)
+   * @static
+   */
+  static getCompendiumTier(pack) {
     const packageName = pack.metadata.packageName || "";
 
     // Strict whitelist lookup — only official WotC packages have a priority.
@@ -390,11 +726,163 @@ class CompendiumManager {
     // (homebrew, DDB-Importer, community content) is deliberately excluded —
     // previous prefix-based fallback caused false positives with third-party
     // content. See OFFICIAL_WOTC_PACKAGES for the authoritative list.
+    // The GM can still opt a pack in, with a priority, as an additional source.
+    const additionalPriority = CompendiumManager.getAdditionalSources().get(pack.collection);
+    if (additionalPriority !== undefined) return additionalPriority;
 
     // Fallback for unknown packages (non-WOTC)
     return 1;
   }
 
+  /**
+   * Get the GM's compendium priority ranking
+   * Uses the ranking of the canvas scene's profile when it has one, otherwise
+   * the compendiumRanking world setting, a JSON array of pack collections
+   * ordered from most to least preferred. Empty when the GM has not ranked the
+   * packs. Results are cached until clearCache() or a profile change.
+   * @returns {string[]} Pack collections, highest priority first
+   * @static
+   */
+  static getCompendiumRanking() {
+    CompendiumManager.#syncSceneProfile();
+    if (CompendiumManager.#rankingCache) return CompendiumManager.#rankingCache;
+
+    const profile = CompendiumManager.getActiveSceneProfile();
+    if (profile?.ranking.length) {
+      CompendiumManager.#rankingCache = profile.ranking;
+      return profile.ranking;
+    }
+
+    const ranking = CompendiumManager.getWorldRanking();
+    CompendiumManager.#rankingCache = ranking;
+    return ranking;
+  }
+
+  /**
+   * Read the world compendium ranking setting, ignoring scene profiles
+   * @returns {string[]} Pack collections, highest priority first (empty when unranked or invalid)
+   * @static
+   */
+  static getWorldRanking() {
+    try {
+      const value = game.settings.get(MODULE_ID, "compendiumRanking");
+      const parsed = typeof value === "string" ? JSON.parse(value || "[]") : value;
+      if (Array.isArray(parsed)) return [...new Set(parsed.filter(id => typeof id === "string"))];
+    } catch (e) {
+      Logger.warn(`Error reading compendiumRanking (${e.name}: ${e.message}), using built-in priorities`);
+    }
+    return [];
+  }
+
+  /**
+   * Get the position of a pack in the GM's priority ranking
+   * @param {CompendiumCollection} pack - The compendium pack
+   * @returns {number} Zero-based position (0 = most preferred), or -1 when unranked
+   * @static
+   */
+  static getCompendiumRank(pack) {
+    return CompendiumManager.getCompendiumRanking().indexOf(pack.collection);
+  }
+
+  /**
+   * List the packs that can be ranked: detected WotC packs plus additional sources
+   * Sorted by current priority (highest first), then by collection.
+   * @returns {CompendiumCollection[]} Packs in priority order
+   * @static
+   */
+  static getRankablePacks(ranking = CompendiumManager.getCompendiumRanking()) {
+    const packs = [...CompendiumManager.detectWOTCCompendiums(), ...CompendiumManager.getAdditionalSourcePacks()];
+    return packs.sort((a, b) =>
+      CompendiumManager.#priorityIn(b, ranking) - CompendiumManager.#priorityIn(a, ranking) ||
+      a.collection.localeCompare(b.collection)
+    );
+  }
+
+  /**
+   * Get the compendium profile stored on a scene
+   * A profile overrides the world compendium selection (and, when its ranking
+   * is not empty, the world ranking) while that scene is on the canvas.
+   * @param {Scene|null} scene - The scene to read
+   * @returns {{enabledCompendiums: string[], ranking: string[]}|null} The profile, or null when the scene uses the world settings
+   * @static
+   * @example
+   * // flags.npc-token-replacer.compendiumProfile on the scene:
+   * // { enabledCompendiums: ["dnd-phandelver-below.monsters", "dnd5e.monsters"], ranking: [] }
+   * const profile = CompendiumManager.getSceneProfile(canvas.scene);
+   */
+  static getSceneProfile(scene) {
+    const profile = scene?.getFlag?.(MODULE_ID, CompendiumManager.PROFILE_FLAG_KEY);
+    if (!profile || typeof profile !== "object" || !Array.isArray(profile.enabledCompendiums)) return null;
+    const ids = list => (Array.isArray(list) ? list.filter(id => typeof id === "string") : []);
+    return { enabledCompendiums: ids(profile.enabledCompendiums), ranking: ids(profile.ranking) };
+  }
+
+  /**
+   * Get the compendium profile of the scene being replaced
+   * @returns {{enabledCompendiums: string[], ranking: string[]}|null} The profile, or null to use the world settings
+   * @static
+   */
+  static getActiveSceneProfile() {
+    return CompendiumManager.getSceneProfile(CompendiumManager.getTargetScene());
+  }
+
+  /**
+   * Get the scene whose profile applies: the target scene if set, otherwise the canvas scene
+   * @returns {Scene|null} The scene being replaced
+   * @static
+   */
+  static getTargetScene() {
+    return CompendiumManager.#targetScene ?? canvas?.scene ?? null;
+  }
+
+  /**
+   * Process a scene that is not on the canvas, using its compendium profile
+   * @param {Scene|null} scene - The scene to process, or null to go back to the canvas scene
+   * @returns {void}
+   * @static
+   * @example
+   * CompendiumManager.setTargetScene(scene);
+   * const index = await CompendiumManager.loadMonsterIndex(); // uses scene's profile
+   * CompendiumManager.setTargetScene(null);
+   */
+  static setTargetScene(scene) {
+    CompendiumManager.#targetScene = scene ?? null;
+  }
+
+  /**
+   * Scene flag key holding a scene's compendium profile
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static get PROFILE_FLAG_KEY() {
+    return "compendiumProfile";
+  }
+
+  /**
+   * Drop the selection caches when the target scene has a different profile
+   * @returns {void}
+   * @static
+   * @private
+   */
+  static #syncSceneProfile() {
+    const scene = CompendiumManager.getTargetScene();
+    const profile = CompendiumManager.getSceneProfile(scene);
+    const key = profile ? `${scene.id}:${JSON.stringify(profile)}` : "world";
+    if (key === CompendiumManager.#cachedProfileKey) return;
+
+    if (CompendiumManager.#cachedProfileKey !== null) {
+      Logger.debug(`Compendium profile changed (${key}), resetting selection caches`);
+    }
+    CompendiumManager.#cachedProfileKey = key;
+    CompendiumManager.#indexCache = null;
+    CompendiumManager.#indexMap = null;
+    CompendiumManager.#uuidMap = null;
+    CompendiumManager.#trigramIndex = null;
+    CompendiumManager.#enabledPacksCache = null;
+    CompendiumManager.#rankingCache = null;
+  }
+
   /**
    * Detect all available WOTC Actor compendiums
    * Searches for compendiums from packages with known WOTC prefixes (dnd-, dnd5e)
@@ -429,7 +917,7 @@ class CompendiumManager {
     Logger.log(`Found ${wotcPacks.length} official D&D Actor compendiums:`);
     wotcPacks.forEach(pack => {
       const priority = CompendiumManager.getCompendiumPriority(pack);
-      const priorityLabel = CompendiumManager.PRIORITY_LABELS[priority] || "UNKNOWN";
+      const priorityLabel = CompendiumManager.PRIORITY_LABELS[CompendiumManager.getCompendiumTier(pack)] || "UNKNOWN";
       Logger.log(`  - ${pack.collection} (${pack.metadata.label}) [package: ${pack.metadata.packageName}, priority: ${priority}-${priorityLabel}]`);
     });
 
@@ -437,9 +925,84 @@ class CompendiumManager {
     return wotcPacks;
   }
 
+  /**
+   * Get the GM-approved additional (non-WotC) compendiums and their priorities
+   * Reads the additionalSources world setting, stored as a JSON object of
+   * pack collection -> priority. Priorities outside 1-4 fall back to 1.
+   * Results are cached until clearCache().
+   * @returns {Map<string, number>} Pack collection -> priority
+   * @static
+   * @example
+   * // Setting value: {"world.curated-monsters": 4}
+   * CompendiumManager.getAdditionalSources().get("world.curated-monsters"); // 4
+   */
+  static getAdditionalSources() {
+    if (CompendiumManager.#additionalSourcesCache) return CompendiumManager.#additionalSourcesCache;
+
+    const sources = new Map();
+    try {
+      const value = game.settings.get(MODULE_ID, "additionalSources");
+      const parsed = typeof value === "string" ? JSON.parse(value || "{}") : value;
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        for (const [collection, priority] of Object.entries(parsed)) {
+          const level = Number(priority);
+          sources.set(collection, level in CompendiumManager.PRIORITY_LABELS ? level : 1);
+        }
+      }
+    } catch (e) {
+      Logger.warn(`Error reading additionalSources (${e.name}: ${e.message}), ignoring additional compendiums`);
+    }
+
+    CompendiumManager.#additionalSourcesCache = sources;
+    return sources;
+  }
+
+  /**
+   * List the Actor compendiums that can be added as additional sources
+   * Every Actor compendium in the world except the official WotC ones, which
+   * are handled by the compendium selection.
+   * @returns {CompendiumCollection[]} Candidate packs
+   * @static
+   */
+  static getAdditionalSourceCandidates() {
+    return game.packs.filter(pack =>
+      pack.documentName === "Actor" &&
+      !CompendiumManager.OFFICIAL_WOTC_PACKAGES.includes(pack.metadata.packageName || "")
+    );
+  }
+
+  /**
+   * Get the Actor compendiums the GM opted in as additional sources
+   * @returns {CompendiumCollection[]} Opted-in packs present in the world
+   * @static
+   */
+  static getAdditionalSourcePacks() {
+    const sources = CompendiumManager.getAdditionalSources();
+    if (sources.size === 0) return [];
+    return CompendiumManager.getAdditionalSourceCandidates().filter(pack => sources.has(pack.collection));
+  }
+
+  /**
+   * Append the enabled additional sources to a list of WotC packs
+   * Additional sources are opt-in per pack, so they apply in every selection mode.
+   * @param {CompendiumCollection[]} packs - Enabled WotC packs
+   * @returns {CompendiumCollection[]} Packs followed by the additional sources
+   * @static
+   * @private
+   */
+  static #withAdditionalSources(packs) {
+    const additional = CompendiumManager.getAdditionalSourcePacks();
+    if (additional.length > 0) {
+      Logger.log(`Additional compendiums: ${additional.map(p => p.metadata.label).join(", ")}`);
+    }
+    return [...packs, ...additional];
+  }
+
   /**
    * Get the list of enabled compendiums based on settings
-   * Interprets the enabledCompendiums setting which can be:
+   * Uses the compendium profile of the scene on the canvas when it has one
+   * (see getSceneProfile), otherwise the enabledCompendiums world setting.
+   * Either selection can be:
    * - ["default"] - Only FALLBACK (priority 1) and CORE (priority 2) compendiums
    * - ["all"] - All available WOTC compendiums
    * - [pack.collection, ...] - Specific compendium IDs
@@ -450,19 +1013,26 @@ class CompendiumManager {
    * console.log(`Using ${enabledPacks.length} compendiums`);
    */
   static getEnabledCompendiums() {
+    CompendiumManager.#syncSceneProfile();
     if (CompendiumManager.#enabledPacksCache) return CompendiumManager.#enabledPacksCache;
 
     const allPacks = CompendiumManager.detectWOTCCompendiums();
 
+    // The scene on the canvas may carry its own selection
+    const profile = CompendiumManager.getActiveSceneProfile();
+    if (profile) Logger.log(`Using the compendium profile of scene "${CompendiumManager.getTargetScene()?.name}"`);
+
     // Get the setting (stored as JSON string)
     // BUG-02: Split into two try/catch blocks for distinct error messages
     let settingValue;
     try {
-      settingValue = game.settings.get(MODULE_ID, "enabledCompendiums");
+      settingValue = profile ? profile.enabledCompendiums : game.settings.get(MODULE_ID, "enabledCompendiums");
     } catch (e) {
       Logger.warn(`Failed to retrieve enabledCompendiums setting (${e.name}: ${e.message})`);
       ui.notifications.error(game.i18n.localize("NPC_REPLACER.ErrorSettingsRetrieve"));
-      const result = allPacks.filter(pack => CompendiumManager.getCompendiumPriority(pack) <= 2);
+      const result = CompendiumManager.#withAdditionalSources(
+        allPacks.filter(pack => CompendiumManager.getCompendiumTier(pack) <= 2)
+      );
       CompendiumManager.#enabledPacksCache = result;
       return result;
     }
@@ -489,7 +1059,7 @@ class CompendiumManager {
       result = allPacks;
     } else if (enabledPackIds.includes("default")) {
       // "default" - only FALLBACK (priority 1) and CORE (priority 2) compendiums
-      result = allPacks.filter(pack => CompendiumManager.getCompendiumPriority(pack) <= 2);
+      result = allPacks.filter(pack => CompendiumManager.getCompendiumTier(pack) <= 2);
       Logger.log(`Using default compendiums (Core + Fallback): ${result.map(p => p.metadata.label).join(", ")}`);
     } else {
       // Otherwise filter by specific compendium IDs — Set for O(1) lookup
@@ -498,6 +1068,7 @@ class CompendiumManager {
       Logger.log(`Enabled compendiums: ${result.map(p => p.metadata.label).join(", ")}`);
     }
 
+    result = CompendiumManager.#withAdditionalSources(result);
     CompendiumManager.#enabledPacksCache = result;
     return result;
   }
@@ -517,6 +1088,7 @@ class CompendiumManager {
    * const freshIndex = await CompendiumManager.loadMonsterIndex(true);
    */
   static async loadMonsterIndex(forceReload = false) {
+    CompendiumManager.#syncSceneProfile();
     if (CompendiumManager.#indexCache && !forceReload) {
       return CompendiumManager.#indexCache;
     }
@@ -530,6 +1102,8 @@ class CompendiumManager {
       Logger.log("No enabled compendiums found");
       CompendiumManager.#indexCache = [];
       CompendiumManager.#indexMap = new Map();
+      CompendiumManager.#uuidMap = new Map();
+      CompendiumManager.#trigramIndex = new Map();
       return CompendiumManager.#indexCache;
     }
 
@@ -544,19 +1118,24 @@ class CompendiumManager {
 
     for (const pack of sortedPacks) {
       try {
-        await pack.getIndex({ fields: ["name", "type"] });
+        await pack.getIndex({ fields: ["name", "type", "flags.babele.originalName", "prototypeToken.actorLink"] });
         const priority = CompendiumManager.getCompendiumPriority(pack);
-        const priorityLabel = CompendiumManager.PRIORITY_LABELS[priority] || "UNKNOWN";
+        const priorityLabel = CompendiumManager.PRIORITY_LABELS[CompendiumManager.getCompendiumTier(pack)] || "UNKNOWN";
         for (const entry of pack.index.contents) {
-          const normalizedName = NameMatcher.normalizeName(entry.name);
-          const significantWords = normalizedName.split(" ").filter(w => w.length >= NameMatcher.MIN_PARTIAL_LENGTH);
-          combinedIndex.push({
-            entry,
-            pack,
-            normalizedName,
-            significantWords,
-            priority
-          });
+          const uuid = CompendiumManager.getEntryUuid(entry, pack);
+          // One index item per distinct name, so translated and original names both match
+          for (const normalizedName of CompendiumManager.getEntryNames(entry)) {
+            const significantWords = normalizedName.split(" ").filter(w => w.length >= NameMatcher.MIN_PARTIAL_LENGTH);
+            combinedIndex.push({
+              entry,
+              pack,
+              uuid,
+              normalizedName,
+              significantWords,
+              trigrams: NameMatcher.trigrams(normalizedName),
+              priority
+            });
+          }
         }
         Logger.log(`  [${priority}-${priorityLabel}] Loaded ${pack.index.size} entries from ${pack.metadata.label}`);
       } catch (error) {
@@ -573,16 +1152,26 @@ class CompendiumManager {
     Logger.log(`Total: ${combinedIndex.length} entries from all compendiums`);
     Logger.log("Priority order: Adventures (4) > Expansions (3) > Core Rulebooks (2) > SRD (1)");
 
-    // Build O(1) lookup Map by normalized name
+    // Build O(1) lookup Maps by normalized name, by UUID and by trigram
     const indexMap = new Map();
+    const uuidMap = new Map();
+    const trigramIndex = new Map();
     for (const item of combinedIndex) {
       const key = item.normalizedName;
       if (!indexMap.has(key)) indexMap.set(key, []);
       indexMap.get(key).push(item);
+      // The first item of an entry is keyed by its displayed (translated) name
+      if (!uuidMap.has(item.uuid)) uuidMap.set(item.uuid, item);
+      for (const trigram of item.trigrams) {
+        if (!trigramIndex.has(trigram)) trigramIndex.set(trigram, []);
+        trigramIndex.get(trigram).push(item);
+      }
     }
 
     CompendiumManager.#indexCache = combinedIndex;
     CompendiumManager.#indexMap = indexMap;
+    CompendiumManager.#uuidMap = uuidMap;
+    CompendiumManager.#trigramIndex = trigramIndex;
 
     return CompendiumManager.#indexCache;
   }
@@ -599,8 +1188,13 @@ class CompendiumManager {
   static clearCache() {
     CompendiumManager.#indexCache = null;
     CompendiumManager.#indexMap = null;
+    CompendiumManager.#uuidMap = null;
+    CompendiumManager.#trigramIndex = null;
     CompendiumManager.#wotcCompendiumsCache = null;
     CompendiumManager.#enabledPacksCache = null;
+    CompendiumManager.#additionalSourcesCache = null;
+    CompendiumManager.#rankingCache = null;
+    CompendiumManager.#cachedProfileKey = null;
     CompendiumManager.#lastLoadErrors = [];
     Logger.debug("CompendiumManager caches cleared");
   }
@@ -624,12 +1218,88 @@ class CompendiumManager {
   }
 
   /**
-   * Check if the monster index is cached
-   * @returns {boolean} True if index is cached
+   * Combine the index Maps of several loads (e.g. one per scene profile)
+   * Items of the same compendium entry under the same name are kept once.
+   * @param {Array<Map<string, Array>|null>} indexMaps - Results of getIndexMap()
+   * @returns {Map<string, Array>} Map of normalizedName -> matches from every index
    * @static
+   * @example
+   * const merged = CompendiumManager.mergeIndexMaps([forestIndexMap, dungeonIndexMap]);
    */
-  static isIndexCached() {
-    return CompendiumManager.#indexCache !== null;
+  static mergeIndexMaps(indexMaps) {
+    const merged = new Map();
+    for (const indexMap of indexMaps) {
+      for (const [key, items] of indexMap ?? []) {
+        if (!merged.has(key)) merged.set(key, []);
+        const list = merged.get(key);
+        for (const item of items) {
+          if (!list.some(existing => existing.uuid === item.uuid)) list.push(item);
+        }
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Get the trigram index used by NameMatcher's fuzzy stage
+   * @returns {Map<string, Array<Object>>|null} Map of trigram -> index items, or null if not loaded
+   * @static
+   */
+  static getTrigramIndex() {
+    return CompendiumManager.#trigramIndex;
+  }
+
+  /**
+   * Get the distinct normalized names a compendium index entry should be matched by
+   * With Babele, index entries carry the translated name in `name` and the
+   * untranslated one in `originalName` (or `flags.babele.originalName`), so a
+   * token named in either language finds the same creature.
+   * @param {Object} entry - Compendium index entry
+   * @returns {string[]} Normalized names, displayed name first
+   * @static
+   * @example
+   * CompendiumManager.getEntryNames({ name: "Orso-gufo", originalName: "Owlbear" });
+   * // Returns: ["orsogufo", "owlbear"]
+   */
+  static getEntryNames(entry) {
+    const names = [entry.name, entry.originalName, entry.flags?.babele?.originalName]
+      .filter(name => typeof name === "string")
+      .map(name => NameMatcher.normalizeName(name))
+      .filter(Boolean);
+    if (names.length === 0) return [NameMatcher.normalizeName(entry.name)];
+    return [...new Set(names)];
+  }
+
+  /**
+   * Get the UUID of a compendium index entry
+   * Index entries carry their UUID since Foundry v11; older shapes fall back to
+   * building it from the pack collection and entry ID.
+   * @param {Object} entry - Compendium index entry
+   * @param {CompendiumCollection} pack - The compendium containing the entry
+   * @returns {string} Entry UUID, e.g. "Compendium.dnd5e.monsters.Actor.abc123"
+   * @static
+   */
+  static getEntryUuid(entry, pack) {
+    return entry.uuid ?? `Compendium.${pack.collection}.${pack.documentName ?? "Actor"}.${entry._id}`;
+  }
+
+  /**
+   * Look up a loaded index item by compendium entry UUID
+   * @param {string} uuid - Compendium entry UUID
+   * @returns {Object|null} The index item, or null if not loaded or not in an enabled compendium
+   * @static
+   */
+  static getIndexItemByUuid(uuid) {
+    return CompendiumManager.#uuidMap?.get(uuid) ?? null;
+  }
+
+  /**
+   * Check if the monster index is cached
+   * @returns {boolean} True if index is cached
+   * @static
+   */
+  static isIndexCached() {
+    return CompendiumManager.#indexCache !== null;
   }
 
   /**
@@ -679,18 +1349,143 @@ class TokenReplacer {
    */
   static #actorLookup = null;
 
+  /**
+   * Session-scoped Map of world actors without a compendium link, by type and normalized name
+   * Only filled when reusing world actors by name is enabled (see indexWorldActors)
+   * @type {Map<string, Actor>|null}
+   * @static
+   * @private
+   */
+  static #nameLookup = null;
+
+  /**
+   * IDs of world actors imported from compendiums during the current session
+   * Recorded in the replacement history so an undo can remove them again
+   * @type {string[]}
+   * @static
+   * @private
+   */
+  static #importedActorIds = [];
+
+  /**
+   * In-flight compendium imports keyed by compendium UUID
+   * Lets parallel resolves of the same creature share one import instead of duplicating it
+   * @type {Map<string, Promise<Actor>>}
+   * @static
+   * @private
+   */
+  static #pendingImports = new Map();
+
+  /**
+   * Linked/unlinked choices made in the preview for the current session, by token ID
+   * Tokens without an entry follow the link rules (see shouldLinkActor).
+   * @type {Map<string, boolean>}
+   * @static
+   * @private
+   */
+  static #linkOverrides = new Map();
+
+  /**
+   * Match stage of each token of the current session, by token ID (see setMatchStage)
+   * @type {Map<string, string>}
+   * @static
+   * @private
+   */
+  static #matchStages = new Map();
+
+  /**
+   * ID of the current replacement session, written into provenance flags
+   * @type {string|null}
+   * @static
+   * @private
+   */
+  static #runId = null;
+
+  /**
+   * Where replacement tokens get their actor from instead of the world (see setActorResolver)
+   * @type {function(Actor, Object, CompendiumCollection): Promise<{id: string}>|null}
+   * @static
+   * @private
+   */
+  static #actorResolver = null;
+
   /**
    * Build the actor lookup Map for the current session
    * @returns {void}
    * @static
    */
   static buildActorLookup() {
-    TokenReplacer.#actorLookup = new Map();
+    TokenReplacer.#runId = foundry.utils.randomID();
+    const { byUuid, byName } = TokenReplacer.indexWorldActors();
+    TokenReplacer.#actorLookup = byUuid;
+    TokenReplacer.#nameLookup = byName;
+    Logger.debug(`Built actor lookup Map with ${byUuid.size} entries (${byName.size} by name)`);
+  }
+
+  /**
+   * Check whether world actors without a compendium link may be reused by name
+   * @returns {boolean} The reuseWorldActors setting (false when missing or invalid)
+   * @static
+   */
+  static isReuseByNameEnabled() {
+    try {
+      return game.settings.get(MODULE_ID, "reuseWorldActors") === true;
+    } catch (e) {
+      Logger.warn(`Error reading reuseWorldActors (${e.name}: ${e.message}), using default`);
+      return false;
+    }
+  }
+
+  /**
+   * Key of the by-name actor lookup
+   * @param {string} name - Actor or compendium entry name
+   * @param {string} [type] - Actor type (defaults to "npc")
+   * @returns {string} Lookup key
+   * @static
+   * @private
+   */
+  static #nameKey(name, type) {
+    return `${type ?? "npc"}:${NameMatcher.normalizeName(name ?? "")}`;
+  }
+
+  /**
+   * Index the world actors that can stand in for compendium creatures
+   * Actors are found by the compendium UUID they were imported from. With reuse by
+   * name enabled, actors without that link (imported by hand or copied) are also
+   * indexed by type and normalized name, if they are inside the import folder tree.
+   * @returns {{byUuid: Map<string, Actor>, byName: Map<string, Actor>}} Actor lookups
+   * @static
+   */
+  static indexWorldActors() {
+    const byUuid = new Map();
+    const byName = new Map();
+    const reuseByName = TokenReplacer.isReuseByNameEnabled();
     for (const a of game.actors) {
       const uuid = a._stats?.compendiumSource || a.flags?.core?.sourceId;
-      if (uuid) TokenReplacer.#actorLookup.set(uuid, a);
+      if (uuid) {
+        byUuid.set(uuid, a);
+      } else if (reuseByName && FolderManager.isInImportTree(a.folder)) {
+        const key = TokenReplacer.#nameKey(a.name, a.type);
+        if (!byName.has(key)) byName.set(key, a);
+      }
     }
-    Logger.debug(`Built actor lookup Map with ${TokenReplacer.#actorLookup.size} entries`);
+    return { byUuid, byName };
+  }
+
+  /**
+   * Find the world actor a compendium creature would use instead of being imported
+   * @param {{byUuid: Map<string, Actor>, byName: Map<string, Actor>}} lookup - Result of indexWorldActors()
+   * @param {string} uuid - Compendium UUID of the creature
+   * @param {string} name - Creature name
+   * @param {string} [type] - Actor type of the creature
+   * @returns {Actor|null} The world actor to reuse, or null if the creature will be imported
+   * @static
+   * @example
+   * const lookup = TokenReplacer.indexWorldActors();
+   * const actor = TokenReplacer.findWorldActor(lookup, match.uuid, match.entry.name, match.entry.type);
+   */
+  static findWorldActor(lookup, uuid, name, type) {
+    return lookup.byUuid.get(uuid) ?? lookup.byName.get(TokenReplacer.#nameKey(name, type)) ?? null;
   }
 
   /**
@@ -700,10 +1495,133 @@ class TokenReplacer {
    */
   static clearActorLookup() {
     TokenReplacer.#actorLookup = null;
+    TokenReplacer.#nameLookup = null;
     TokenReplacer.#variationMode = null;
+    TokenReplacer.#importedActorIds = [];
+    TokenReplacer.#pendingImports.clear();
+    TokenReplacer.#linkOverrides.clear();
+    TokenReplacer.#matchStages.clear();
+    TokenReplacer.#runId = null;
+    TokenReplacer.#actorResolver = null;
     Logger.debug("Actor lookup Map and variation mode cleared");
   }
 
+  /**
+   * Take the actors of replacement tokens from somewhere other than the world
+   * Used for compendium scenes, whose tokens must point at actors stored with them.
+   * The resolver gets the compendium creature, its index entry and pack, and returns
+   * the actor (or at least its ID) the new token should use.
+   * @param {function(Actor, Object, CompendiumCollection): Promise<{id: string}>|null} resolver - Actor source, or null for the world
+   * @returns {void}
+   * @static
+   * @example
+   * TokenReplacer.setActorResolver(await PackUpgrader.createPackActorResolver(actorPack));
+   */
+  static setActorResolver(resolver) {
+    TokenReplacer.#actorResolver = resolver ?? null;
+  }
+
+  /**
+   * Get the IDs of actors imported from compendiums during the current session
+   * @returns {string[]} Copy of the imported actor IDs
+   * @static
+   */
+  static getImportedActorIds() {
+    return [...TokenReplacer.#importedActorIds];
+  }
+
+  /**
+   * Get the ID of the current replacement session
+   * Shared by the provenance flags of the session and its replacement history entries.
+   * @returns {string|null} The run ID, or null outside a session
+   * @static
+   */
+  static getRunId() {
+    return TokenReplacer.#runId;
+  }
+
+  /**
+   * Record the match stage of a token of the current session, for its provenance
+   * @param {string} tokenId - ID of the token being replaced
+   * @param {string} stage - NameMatcher stage ('alias', 'exact', 'variant', 'partial', 'fuzzy') or 'manual'
+   * @returns {void}
+   * @static
+   */
+  static setMatchStage(tokenId, stage) {
+    TokenReplacer.#matchStages.set(tokenId, stage);
+  }
+
+  /**
+   * Build the provenance record written on a new token
+   * The original actor is the token's base actor, wherever it lives (null when the
+   * token's actor cannot be resolved). Imported actors get buildActorProvenance() instead.
+   * @param {TokenDocument} tokenDoc - The token being replaced
+   * @param {CompendiumCollection} pack - The compendium pack of the match
+   * @returns {{originalName: string, originalActorUuid: string|null, matchStage: string|null, sourcePack: string, runId: string|null, timestamp: number}} Provenance
+   * @static
+   */
+  static buildProvenance(tokenDoc, pack) {
+    return {
+      originalName: tokenDoc.name,
+      originalActorUuid: tokenDoc.baseActor?.uuid ?? tokenDoc.actor?.uuid ?? null,
+      matchStage: TokenReplacer.#matchStages.get(tokenDoc.id) ?? null,
+      sourcePack: pack.collection,
+      runId: TokenReplacer.#runId,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Build the provenance record written on an actor imported by the module
+   * An imported actor is shared by every token of its creature, in this run and
+   * later ones, so it only records its import: the compendium entry, and the run
+   * and time of the first import. Per-token details live on the tokens.
+   * @param {Actor} compendiumActor - The imported compendium creature
+   * @param {CompendiumCollection} pack - Its compendium pack
+   * @returns {{sourcePack: string, compendiumUuid: string, runId: string|null, timestamp: number}} Provenance
+   * @static
+   */
+  static buildActorProvenance(compendiumActor, pack) {
+    return {
+      sourcePack: pack.collection,
+      compendiumUuid: compendiumActor.uuid,
+      runId: TokenReplacer.#runId,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Read the provenance flags of a token or actor created by the module
+   * Accepts a TokenDocument, a Token placeable or an Actor.
+   * @param {TokenDocument|Token|Actor} document - The token or actor to read
+   * @returns {Object|null} Its provenance (see buildProvenance and buildActorProvenance), or null if it has none
+   * @static
+   * @example
+   * const provenance = TokenReplacer.getProvenance(canvas.tokens.controlled[0]);
+   * // Returns { originalName: "Goblin Boss Gruk", matchStage: "variant", sourcePack: "dnd-monster-manual.actors", ... }
+   */
+  static getProvenance(document) {
+    const doc = document?.document ?? document;
+    const provenance = doc?.flags?.[MODULE_ID]?.provenance;
+    return provenance && typeof provenance === "object" ? { ...provenance } : null;
+  }
+
+  /**
+   * Collect the IDs of every world actor referenced by a token in any scene
+   * Used to decide whether an imported actor can be safely deleted
+   * @returns {Set<string>} Set of referenced actor IDs
+   * @static
+   */
+  static collectReferencedActorIds() {
+    const referenced = new Set();
+    for (const scene of game.scenes) {
+      for (const tokenDoc of scene.tokens) {
+        if (tokenDoc.actorId) referenced.add(tokenDoc.actorId);
+      }
+    }
+    return referenced;
+  }
+
   /**
    * Properties to preserve when replacing a token
    * These are the token properties that get transferred from old to new token
@@ -720,138 +1638,490 @@ class TokenReplacer {
   }
 
   /**
-   * Get the current value of the sequential counter
-   * Useful for debugging and testing
-   * @returns {number} Current counter value
+   * Optional groups of token state carried over to the new token
+   * Each group is toggled by a world setting; `properties` are TokenDocument fields.
+   * Groups with a `delta` descriptor carry over parts of the unlinked actor delta instead:
+   * `paths` are copied from the delta, `effects`/`items` copy its effects and added items.
+   * - combatState: conditions (actor delta effects, or the world actor's status and
+   *   temporary effects for linked tokens) and current/temporary HP of unlinked tokens
+   * - hitPoints: rolled or edited HP (value, max, temp, temp max)
+   * - resources: spell slots and other resources (legendary actions/resistances)
+   * - tokenItems: items added on the token that its base actor does not have
+   * - displayName: the token's name ("Goblin Boss Gruk") and name visibility
+   * - lightingVision: emitted light, sight and detection modes
+   * - bars: bar attributes and bar visibility
+   * - moduleFlags: flags set by other modules
+   * @type {Object<string, {setting: string, default: boolean, properties: string[], delta?: {paths?: string[], effects?: boolean, items?: boolean}}>}
    * @static
+   * @readonly
    */
-  static getSequentialCounter() {
-    return TokenReplacer.#sequentialCounter;
+  static #PRESERVATION_GROUPS = Object.freeze({
+    combatState: Object.freeze({
+      setting: "preserveCombatState", default: false, properties: Object.freeze(["delta"]),
+      delta: Object.freeze({ paths: Object.freeze(["system.attributes.hp.value", "system.attributes.hp.temp"]), effects: true })
+    }),
+    hitPoints: Object.freeze({
+      setting: "preserveHitPoints", default: false, properties: Object.freeze(["delta"]),
+      delta: Object.freeze({
+        paths: Object.freeze(["system.attributes.hp.value", "system.attributes.hp.max", "system.attributes.hp.temp", "system.attributes.hp.tempmax"])
+      })
+    }),
+    resources: Object.freeze({
+      setting: "preserveResources", default: false, properties: Object.freeze(["delta"]),
+      delta: Object.freeze({ paths: Object.freeze(["system.spells", "system.resources"]) })
+    }),
+    tokenItems: Object.freeze({
+      setting: "preserveTokenItems", default: false, properties: Object.freeze(["delta"]),
+      delta: Object.freeze({ items: true })
+    }),
+    displayName: Object.freeze({ setting: "preserveDisplayName", default: false, properties: Object.freeze(["name", "displayName"]) }),
+    lightingVision: Object.freeze({ setting: "preserveLightingVision", default: false, properties: Object.freeze(["light", "sight", "detectionModes"]) }),
+    bars: Object.freeze({ setting: "preserveBars", default: false, properties: Object.freeze(["displayBars", "bar1", "bar2"]) }),
+    moduleFlags: Object.freeze({ setting: "preserveModuleFlags", default: false, properties: Object.freeze(["flags"]) })
+  });
+  static get PRESERVATION_GROUPS() {
+    return TokenReplacer.#PRESERVATION_GROUPS;
   }
 
   /**
-   * Reset the sequential variant counter
-   * Call this at the start of each replacement session to ensure
-   * consistent variant distribution across tokens
-   * @returns {void}
+   * Hit point modes for new tokens
+   * - average: keep the compendium actor's (average) HP
+   * - roll: roll the actor's `system.attributes.hp.formula`
+   * - max: the highest result of the formula
+   * - keep: the original token's current and maximum HP
+   * @type {string[]}
    * @static
-   * @example
-   * // At start of replacement session
-   * TokenReplacer.resetCounter();
+   * @readonly
    */
-  static resetCounter() {
-    TokenReplacer.#sequentialCounter = 0;
-    Logger.debug("TokenReplacer sequential counter reset");
+  static #HP_MODES = Object.freeze(["average", "roll", "max", "keep"]);
+  static get HP_MODES() {
+    return TokenReplacer.#HP_MODES;
   }
 
   /**
-   * Extract token properties that need to be preserved during replacement
-   * @param {TokenDocument} tokenDoc - The token document to extract properties from
-   * @returns {Object} Object containing properties to preserve
+   * Get the hit point mode from the world setting
+   * @returns {string} One of HP_MODES ("average" when missing or invalid)
    * @static
-   * @example
-   * const props = TokenReplacer.extractTokenProperties(tokenDoc);
-   * // Returns: { x: 100, y: 200, elevation: 0, width: 1, height: 1, ... }
    */
-  static extractTokenProperties(tokenDoc) {
-    return {
-      x: tokenDoc.x,
-      y: tokenDoc.y,
-      elevation: tokenDoc.elevation,
-      width: tokenDoc.width,
-      height: tokenDoc.height,
-      hidden: tokenDoc.hidden,
-      rotation: tokenDoc.rotation,
-      disposition: tokenDoc.disposition,
-      locked: tokenDoc.locked,
-      alpha: tokenDoc.alpha
-    };
+  static getHpMode() {
+    try {
+      const value = game.settings.get(MODULE_ID, "hpMode");
+      if (TokenReplacer.HP_MODES.includes(value)) return value;
+    } catch (e) {
+      Logger.warn(`Error reading hpMode (${e.name}: ${e.message}), using default`);
+    }
+    return "average";
   }
 
   /**
-   * Get NPC tokens to process - selected tokens if any, otherwise all scene tokens
-   * Prioritizes user-selected tokens, falling back to all NPCs in the scene
-   * @returns {{tokens: TokenDocument[], isSelection: boolean}} Object with tokens array and selection flag
+   * Work out the hit points of a new token according to the HP mode
+   * @param {Actor} compendiumActor - The creature the new token is made from
+   * @param {TokenDocument} tokenDoc - The token being replaced
+   * @param {string} [mode=TokenReplacer.getHpMode()] - One of HP_MODES
+   * @returns {Promise<{value: number, max: number}|null>} Hit points, or null to keep the actor's own HP
    * @static
    * @example
-   * const { tokens, isSelection } = TokenReplacer.getNPCTokensToProcess();
-   * if (isSelection) {
-   *   console.log(`Processing ${tokens.length} selected NPC tokens`);
-   * } else {
-   *   console.log(`Processing all ${tokens.length} NPC tokens in scene`);
-   * }
+   * await TokenReplacer.resolveHitPoints(compendiumActor, tokenDoc, "roll");
+   * // Returns: { value: 17, max: 17 } for a 2d8+6 zombie
    */
-  static getNPCTokensToProcess() {
-    if (!canvas.scene) {
-      return { tokens: [], isSelection: false };
+  static async resolveHitPoints(compendiumActor, tokenDoc, mode = TokenReplacer.getHpMode()) {
+    if (mode === "keep") {
+      const hp = tokenDoc.actor?.system?.attributes?.hp;
+      const max = Number(hp?.max);
+      if (!Number.isFinite(max) || max <= 0) return null;
+      const value = Number(hp.value);
+      return { value: Number.isFinite(value) ? Math.min(value, max) : max, max };
     }
+    if (mode !== "roll" && mode !== "max") return null;
 
-    // Check if there are selected tokens
-    const selectedTokens = canvas.tokens.controlled;
-
-    if (selectedTokens.length > 0) {
-      // Filter selected tokens to only NPCs
-      const selectedNPCs = selectedTokens
-        .map(token => token.document)
-        .filter(tokenDoc => {
-          const actor = tokenDoc.actor;
-          if (!actor) return false;
-          return actor.type === "npc";
-        });
-
-      if (selectedNPCs.length > 0) {
-        Logger.log(`Using ${selectedNPCs.length} selected NPC token(s) out of ${selectedTokens.length} selected`);
-        return { tokens: selectedNPCs, isSelection: true };
-      }
-
-      // Selected tokens but none are NPCs — respect user intent, don't process entire scene
-      Logger.log("Selected tokens contain no NPCs");
-      return { tokens: [], isSelection: true };
+    const formula = compendiumActor.system?.attributes?.hp?.formula;
+    if (!formula) return null;
+    try {
+      const roll = await new Roll(formula).evaluate(mode === "max" ? { maximize: true } : {});
+      const total = Math.max(1, Math.floor(roll.total));
+      return { value: total, max: total };
+    } catch (e) {
+      Logger.warn(`Could not roll HP formula "${formula}" for ${compendiumActor.name} (${e.name}: ${e.message}), using average HP`);
+      return null;
     }
-
-    // No selection or no NPCs in selection - use all scene tokens
-    const allTokens = canvas.scene.tokens.contents;
-    const npcTokens = allTokens.filter(tokenDoc => {
-      const actor = tokenDoc.actor;
-      if (!actor) return false;
-      return actor.type === "npc";
-    });
-
-    return { tokens: npcTokens, isSelection: false };
   }
 
   /**
-   * Get all NPC tokens from the current scene
-   * Convenience method that returns just the tokens array
-   * @returns {TokenDocument[]} Array of NPC token documents
+   * Write resolved hit points into the new token's actor delta
+   * HP carried over from the original token's delta wins; its current value is
+   * capped at the resulting maximum (the creature's own maximum when neither
+   * sets one).
+   * @param {Object} newTokenData - Token data from #prepareNewTokenData
+   * @param {{value: number, max: number}|null} hp - Result of resolveHitPoints()
+   * @param {Actor} compendiumActor - The creature the new token is made from
+   * @returns {void}
    * @static
-   * @example
-   * const npcTokens = TokenReplacer.getNPCTokensFromScene();
-   * console.log(`Found ${npcTokens.length} NPC tokens in scene`);
+   * @private
    */
-  static getNPCTokensFromScene() {
-    return TokenReplacer.getNPCTokensToProcess().tokens;
+  static #applyHitPoints(newTokenData, hp, compendiumActor) {
+    const delta = newTokenData.delta ?? {};
+    const preserved = delta.system?.attributes?.hp;
+    if (!hp && !preserved) return;
+    const merged = { ...hp, ...preserved };
+    const max = merged.max ?? compendiumActor.system?.attributes?.hp?.max;
+    if (Number.isFinite(max) && merged.value > max) merged.value = max;
+    delta.system = { ...delta.system, attributes: { ...delta.system?.attributes, hp: merged } };
+    newTokenData.delta = delta;
   }
 
   /**
-   * Find or import the world actor for a compendium entry
-   * Checks if actor already exists in world (by name and compendium source),
-   * otherwise imports from compendium
-   * @param {Actor} compendiumActor - The actor document from compendium
-   * @param {Object} compendiumEntry - The compendium index entry
-   * @param {CompendiumCollection} pack - The source compendium pack
-   * @returns {Promise<Actor>} The world actor (existing or newly imported)
-   * @throws {Error} If import fails
+   * Actor link modes for new tokens
+   * - unlinked: every new token gets its own synthetic actor
+   * - prototype: follow the compendium prototype token's actorLink
+   * Creatures in the linked creatures list are always linked.
+   * @type {string[]}
    * @static
-   * @private
+   * @readonly
    */
-  static async #getOrImportWorldActor(compendiumActor, compendiumEntry, pack) {
-    // O(1) lookup via session-scoped Map (built by buildActorLookup before processing loop)
-    let worldActor = TokenReplacer.#actorLookup?.get(compendiumActor.uuid) || null;
+  static #LINK_MODES = Object.freeze(["unlinked", "prototype"]);
+  static get LINK_MODES() {
+    return TokenReplacer.#LINK_MODES;
+  }
 
-    // BUG-01: Guard against stale cached references (actor deleted between sessions)
-    if (worldActor && !game.actors.has(worldActor.id)) {
-      Logger.warn(`Cached actor "${worldActor.name}" (id: ${worldActor.id}) no longer exists in game.actors, will re-import`);
+  /**
+   * Get the actor link mode from the world setting
+   * @returns {string} One of LINK_MODES ("unlinked" when missing or invalid)
+   * @static
+   */
+  static getLinkMode() {
+    try {
+      const value = game.settings.get(MODULE_ID, "linkMode");
+      if (TokenReplacer.LINK_MODES.includes(value)) return value;
+    } catch (e) {
+      Logger.warn(`Error reading linkMode (${e.name}: ${e.message}), using default`);
+    }
+    return "unlinked";
+  }
+
+  /**
+   * Get the unique creatures whose tokens are always linked, from the world setting
+   * The setting holds names separated by commas or new lines.
+   * @returns {Set<string>} Normalized creature names
+   * @static
+   */
+  static getLinkedNames() {
+    try {
+      const value = game.settings.get(MODULE_ID, "linkedCreatures");
+      if (typeof value === "string") {
+        return new Set(value.split(/[,\n]/).map(name => NameMatcher.normalizeName(name)).filter(Boolean));
+      }
+    } catch (e) {
+      Logger.warn(`Error reading linkedCreatures (${e.name}: ${e.message}), using default`);
+    }
+    return new Set();
+  }
+
+  /**
+   * Decide from the link rules whether a new token is linked to its world actor
+   * @param {string[]} names - Names the creature goes by (token, actor, compendium entry)
+   * @param {boolean} [prototypeActorLink] - actorLink of the compendium prototype token
+   * @returns {boolean} True if the new token should be linked
+   * @static
+   * @example
+   * TokenReplacer.shouldLinkActor(["Strahd", "Strahd von Zarovich"], false);
+   * // Returns: true when "Strahd" is in the linked creatures list
+   */
+  static shouldLinkActor(names, prototypeActorLink) {
+    const linked = TokenReplacer.getLinkedNames();
+    if (names.some(name => name && linked.has(NameMatcher.normalizeName(name)))) return true;
+    return TokenReplacer.getLinkMode() === "prototype" && prototypeActorLink === true;
+  }
+
+  /**
+   * Record the preview's linked/unlinked choice for a token of the current session
+   * @param {string} tokenId - ID of the token being replaced
+   * @param {boolean} linked - Whether its replacement is linked to the world actor
+   * @returns {void}
+   * @static
+   */
+  static setLinkOverride(tokenId, linked) {
+    TokenReplacer.#linkOverrides.set(tokenId, !!linked);
+  }
+
+  /**
+   * Get the preservation groups enabled in the world settings
+   * @returns {string[]} Enabled group keys (see PRESERVATION_GROUPS)
+   * @static
+   */
+  static getPreservationGroups() {
+    return Object.entries(TokenReplacer.PRESERVATION_GROUPS)
+      .filter(([, group]) => {
+        try {
+          const value = game.settings.get(MODULE_ID, group.setting);
+          return typeof value === "boolean" ? value : group.default;
+        } catch (e) {
+          Logger.warn(`Error reading ${group.setting} (${e.name}: ${e.message}), using default`);
+          return group.default;
+        }
+      })
+      .map(([key]) => key);
+  }
+
+  /**
+   * Copy the value at a dotted path from one object into the same path of another
+   * Missing and null values are skipped.
+   * @param {Object} from - Object to read from
+   * @param {Object} to - Object to write into (intermediate objects are created)
+   * @param {string} path - Dotted path, e.g. "system.attributes.hp.value"
+   * @returns {void}
+   * @static
+   * @private
+   */
+  static #copyPath(from, to, path) {
+    const keys = path.split(".");
+    let value = from;
+    for (const key of keys) value = value?.[key];
+    if (value === undefined || value === null) return;
+
+    let target = to;
+    for (const key of keys.slice(0, -1)) {
+      if (typeof target[key] !== "object" || target[key] === null) target[key] = {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+
+  /**
+   * Merge the actor delta parts of the enabled groups from token source data
+   * Linked tokens have no delta; see #extractLinkedConditions.
+   * @param {Object} source - Token source data
+   * @param {string[]} groups - Enabled preservation groups
+   * @param {Actor|null} [baseActor] - The token's base actor, to tell added items from edited ones
+   * @param {Actor|null} [actor] - The token's actor, whose conditions a linked token carries over
+   * @returns {Object|null} Partial actor delta, or null when there is nothing to carry over
+   * @static
+   * @private
+   */
+  static #extractDeltaParts(source, groups, baseActor, actor = null) {
+    if (source.actorLink) return TokenReplacer.#extractLinkedConditions(groups, actor);
+    const delta = source.delta ?? source.actorData;
+    if (!delta) return null;
+
+    const state = {};
+    for (const group of groups) {
+      const parts = TokenReplacer.PRESERVATION_GROUPS[group]?.delta;
+      if (!parts) continue;
+      for (const path of parts.paths ?? []) TokenReplacer.#copyPath(delta, state, path);
+      if (parts.effects && Array.isArray(delta.effects) && delta.effects.length > 0) {
+        state.effects = delta.effects;
+      }
+      if (parts.items && Array.isArray(delta.items)) {
+        // Delta items with a base actor ID are edits of the old creature's items, not additions
+        const added = delta.items.filter(item => !baseActor?.items?.has?.(item._id));
+        if (added.length > 0) state.items = added;
+      }
+    }
+    return Object.keys(state).length > 0 ? state : null;
+  }
+
+  /**
+   * Get the conditions of a linked token as a partial actor delta
+   * A linked token's conditions live on its world actor. Only status effects and
+   * temporary effects count: the actor's permanent effects belong to the old
+   * creature's features, which the new creature replaces.
+   * @param {string[]} groups - Enabled preservation groups
+   * @param {Actor|null} actor - The token's world actor
+   * @returns {{effects: Object[]}|null} Effects for the new token's delta, or null when there are none
+   * @static
+   * @private
+   */
+  static #extractLinkedConditions(groups, actor) {
+    if (!groups.some(group => TokenReplacer.PRESERVATION_GROUPS[group]?.delta?.effects)) return null;
+    const effects = Array.from(actor?.effects ?? [])
+      .filter(effect => effect.statuses?.size > 0 || effect.isTemporary)
+      .map(effect => effect.toObject?.() ?? effect);
+    return effects.length > 0 ? { effects } : null;
+  }
+
+  /**
+   * Get the parts of a token's actor delta that the enabled groups carry over
+   * Linked tokens keep their state on the world actor; only its conditions are carried over.
+   * @param {TokenDocument} tokenDoc - The token document to read
+   * @param {string[]} [groups=TokenReplacer.getPreservationGroups()] - Preservation groups to include
+   * @returns {Object|null} Partial actor delta for the new token, or null when there is nothing to carry over
+   * @static
+   * @example
+   * TokenReplacer.extractActorDelta(tokenDoc, ["hitPoints"]);
+   * // Returns: { system: { attributes: { hp: { value: 12, max: 27 } } } }
+   */
+  static extractActorDelta(tokenDoc, groups = TokenReplacer.getPreservationGroups()) {
+    const source = tokenDoc.toObject?.() ?? tokenDoc;
+    return TokenReplacer.#extractDeltaParts(source, groups, tokenDoc.baseActor ?? null, tokenDoc.actor ?? null);
+  }
+
+  /**
+   * Get the current value of the sequential counter
+   * Useful for debugging and testing
+   * @returns {number} Current counter value
+   * @static
+   */
+  static getSequentialCounter() {
+    return TokenReplacer.#sequentialCounter;
+  }
+
+  /**
+   * Reset the sequential variant counter
+   * Call this at the start of each replacement session to ensure
+   * consistent variant distribution across tokens
+   * @returns {void}
+   * @static
+   * @example
+   * // At start of replacement session
+   * TokenReplacer.resetCounter();
+   */
+  static resetCounter() {
+    TokenReplacer.#sequentialCounter = 0;
+    Logger.debug("TokenReplacer sequential counter reset");
+  }
+
+  /**
+   * Extract token properties that need to be preserved during replacement
+   * Always includes PRESERVED_PROPERTIES, plus the fields of each enabled
+   * preservation group that the token actually has.
+   * @param {TokenDocument} tokenDoc - The token document to extract properties from
+   * @param {string[]} [groups=TokenReplacer.getPreservationGroups()] - Preservation groups to include
+   * @returns {Object} Object containing properties to preserve
+   * @static
+   * @example
+   * const props = TokenReplacer.extractTokenProperties(tokenDoc);
+   * // Returns: { x: 100, y: 200, elevation: 0, width: 1, height: 1, ... }
+   */
+  static extractTokenProperties(tokenDoc, groups = TokenReplacer.getPreservationGroups()) {
+    const props = {
+      x: tokenDoc.x,
+      y: tokenDoc.y,
+      elevation: tokenDoc.elevation,
+      width: tokenDoc.width,
+      height: tokenDoc.height,
+      hidden: tokenDoc.hidden,
+      rotation: tokenDoc.rotation,
+      disposition: tokenDoc.disposition,
+      locked: tokenDoc.locked,
+      alpha: tokenDoc.alpha
+    };
+    if (groups.length === 0) return props;
+
+    // Source data is a detached copy, safe to hand to the new token
+    const source = tokenDoc.toObject?.() ?? tokenDoc;
+    const delta = TokenReplacer.#extractDeltaParts(source, groups, tokenDoc.baseActor ?? null, tokenDoc.actor ?? null);
+    if (delta) props.delta = delta;
+    for (const group of groups) {
+      if (TokenReplacer.PRESERVATION_GROUPS[group]?.delta) continue;
+      if (group === "moduleFlags") {
+        const flags = { ...(source.flags ?? {}) };
+        delete flags[MODULE_ID];
+        if (Object.keys(flags).length > 0) props.flags = flags;
+      } else {
+        for (const prop of TokenReplacer.PRESERVATION_GROUPS[group]?.properties ?? []) {
+          if (source[prop] !== undefined) props[prop] = source[prop];
+        }
+      }
+    }
+    return props;
+  }
+
+  /**
+   * Get NPC tokens to process - selected tokens if any, otherwise all scene tokens
+   * Prioritizes user-selected tokens, falling back to all NPCs in the scene
+   * @returns {{tokens: TokenDocument[], isSelection: boolean}} Object with tokens array and selection flag
+   * @static
+   * @example
+   * const { tokens, isSelection } = TokenReplacer.getNPCTokensToProcess();
+   * if (isSelection) {
+   *   console.log(`Processing ${tokens.length} selected NPC tokens`);
+   * } else {
+   *   console.log(`Processing all ${tokens.length} NPC tokens in scene`);
+   * }
+   */
+  static getNPCTokensToProcess() {
+    if (!canvas.scene) {
+      return { tokens: [], isSelection: false };
+    }
+
+    // Check if there are selected tokens
+    const selectedTokens = canvas.tokens.controlled;
+
+    if (selectedTokens.length > 0) {
+      // Filter selected tokens to only NPCs
+      const selectedNPCs = selectedTokens
+        .map(token => token.document)
+        .filter(tokenDoc => {
+          const actor = tokenDoc.actor;
+          if (!actor) return false;
+          return actor.type === "npc";
+        });
+
+      if (selectedNPCs.length > 0) {
+        Logger.log(`Using ${selectedNPCs.length} selected NPC token(s) out of ${selectedTokens.length} selected`);
+        return { tokens: selectedNPCs, isSelection: true };
+      }
+
+      // Selected tokens but none are NPCs — respect user intent, don't process entire scene
+      Logger.log("Selected tokens contain no NPCs");
+      return { tokens: [], isSelection: true };
+    }
+
+    // No selection or no NPCs in selection - use all scene tokens
+    return { tokens: TokenReplacer.getNPCTokensInScene(canvas.scene), isSelection: false };
+  }
+
+  /**
+   * Get the NPC tokens of any scene, whether or not it is on the canvas
+   * @param {Scene} scene - The scene to read
+   * @param {Object} [options] - Filter options
+   * @param {boolean} [options.includeUnresolved=false] - Also include tokens whose actor is not in the world
+   *   (compendium scenes), to be matched by token name
+   * @returns {TokenDocument[]} NPC token documents of the scene
+   * @static
+   * @example
+   * const counts = game.scenes.map(scene => TokenReplacer.getNPCTokensInScene(scene).length);
+   */
+  static getNPCTokensInScene(scene, { includeUnresolved = false } = {}) {
+    const allTokens = scene?.tokens?.contents ?? [];
+    return allTokens.filter(tokenDoc => {
+      const actor = tokenDoc.actor;
+      if (!actor) return includeUnresolved;
+      return actor.type === "npc";
+    });
+  }
+
+  /**
+   * Get all NPC tokens from the current scene
+   * Convenience method that returns just the tokens array
+   * @returns {TokenDocument[]} Array of NPC token documents
+   * @static
+   * @example
+   * const npcTokens = TokenReplacer.getNPCTokensFromScene();
+   * console.log(`Found ${npcTokens.length} NPC tokens in scene`);
+   */
+  static getNPCTokensFromScene() {
+    return TokenReplacer.getNPCTokensToProcess().tokens;
+  }
+
+  /**
+   * Find or import the world actor for a compendium entry
+   * Checks if actor already exists in world (by name and compendium source),
+   * otherwise imports from compendium
+   * @param {Actor} compendiumActor - The actor document from compendium
+   * @param {Object} compendiumEntry - The compendium index entry
+   * @param {CompendiumCollection} pack - The source compendium pack
+   * @returns {Promise<Actor>} The world actor (existing or newly imported)
+   * @throws {Error} If import fails
+   * @static
+   * @private
+   */
+  static async #getOrImportWorldActor(compendiumActor, compendiumEntry, pack) {
+    // O(1) lookup via session-scoped Map (built by buildActorLookup before processing loop)
+    let worldActor = TokenReplacer.#actorLookup?.get(compendiumActor.uuid) || null;
+
+    // BUG-01: Guard against stale cached references (actor deleted between sessions)
+    if (worldActor && !game.actors.has(worldActor.id)) {
+      Logger.warn(`Cached actor "${worldActor.name}" (id: ${worldActor.id}) no longer exists in game.actors, will re-import`);
       TokenReplacer.#actorLookup.delete(compendiumActor.uuid);
       worldActor = null;
     }
@@ -861,16 +2131,47 @@ class TokenReplacer {
       return worldActor;
     }
 
-    // Get or create the import folder
-    const importFolder = await FolderManager.getOrCreateImportFolder();
+    // Secondary strategy: an actor of the same name and type without a compendium link
+    const byName = TokenReplacer.#nameLookup?.get(TokenReplacer.#nameKey(compendiumEntry.name, compendiumActor.type));
+    if (byName && game.actors.has(byName.id)) {
+      Logger.log(`Reusing world actor "${byName.name}" matched by name (no compendium link)`);
+      return byName;
+    }
+
+    // Another token of the same creature is already importing it — wait for that import
+    const pending = TokenReplacer.#pendingImports.get(compendiumActor.uuid);
+    if (pending) return pending;
+
+    const importPromise = TokenReplacer.#importWorldActor(compendiumActor, compendiumEntry, pack)
+      .finally(() => TokenReplacer.#pendingImports.delete(compendiumActor.uuid));
+    TokenReplacer.#pendingImports.set(compendiumActor.uuid, importPromise);
+    return importPromise;
+  }
+
+  /**
+   * Import a compendium actor into the world import folder
+   * @param {Actor} compendiumActor - The actor document from compendium
+   * @param {Object} compendiumEntry - The compendium index entry
+   * @param {CompendiumCollection} pack - The source compendium pack
+   * @returns {Promise<Actor>} The newly imported world actor
+   * @throws {Error} If import fails
+   * @static
+   * @private
+   */
+  static async #importWorldActor(compendiumActor, compendiumEntry, pack) {
+    // Get or create the import folder (routed by the folder template, if any)
+    const importFolder = await FolderManager.getOrCreateImportFolder(compendiumActor, pack);
 
     // Import the actor from compendium using the standard Foundry API
     // Pass the folder ID in the updateData parameter
     if (!importFolder) {
       Logger.warn(`Import folder unavailable — actor "${compendiumActor.name}" will be imported to the root folder`);
     }
-    const updateData = importFolder ? { folder: importFolder.id } : {};
-    worldActor = await game.actors.importFromCompendium(pack, compendiumEntry._id, updateData);
+    // Flag the actor as imported by the module so the cleanup can tell it from hand-made ones
+    const provenance = TokenReplacer.buildActorProvenance(compendiumActor, pack);
+    const updateData = { flags: { [MODULE_ID]: { [ActorCleanup.IMPORTED_FLAG]: true, provenance } } };
+    if (importFolder) updateData.folder = importFolder.id;
+    const worldActor = await game.actors.importFromCompendium(pack, compendiumEntry._id, updateData);
 
     if (!worldActor) {
       throw new Error(`Failed to import actor "${compendiumActor.name}" from compendium`);
@@ -880,6 +2181,7 @@ class TokenReplacer {
     if (TokenReplacer.#actorLookup) {
       TokenReplacer.#actorLookup.set(compendiumActor.uuid, worldActor);
     }
+    TokenReplacer.#importedActorIds.push(worldActor.id);
 
     Logger.log(`Imported actor "${compendiumActor.name}" from compendium into folder "${importFolder?.name || "root"}"`);
     return worldActor;
@@ -926,6 +2228,7 @@ class TokenReplacer {
 
   /**
    * Prepare new token data by merging prototype token with preserved properties
+   * and the fields of the enabled preservation groups (unlinked; see prepareReplacement)
    * @param {Object} prototypeToken - The prototype token from compendium actor
    * @param {Object} originalProps - Properties extracted from original token
    * @param {string} worldActorId - ID of the world actor to link
@@ -938,6 +2241,16 @@ class TokenReplacer {
     for (const prop of TokenReplacer.PRESERVED_PROPERTIES) {
       overrides[prop] = originalProps[prop];
     }
+    // Preservation group fields are only present when their group is enabled
+    for (const group of Object.values(TokenReplacer.PRESERVATION_GROUPS)) {
+      for (const prop of group.properties) {
+        if (originalProps[prop] !== undefined) overrides[prop] = originalProps[prop];
+      }
+    }
+    // Other modules' flags are merged over the prototype's own flags
+    if (originalProps.flags) {
+      overrides.flags = { ...(prototypeToken.flags ?? {}), ...originalProps.flags };
+    }
     return {
       ...prototypeToken,
       ...overrides,
@@ -947,408 +2260,2800 @@ class TokenReplacer {
   }
 
   /**
-   * Replace a single token with its Monster Manual/compendium version
-   * Imports the actor if needed, resolves wildcard token paths, and creates new token
+   * Resolve everything needed to replace a token, without touching the scene
+   * Fetches the compendium document, finds or imports the world actor, probes wildcard
+   * token variants (warming the cache) and builds the new token data.
+   * Safe to run for many tokens in parallel; the wildcard variant itself is picked
+   * later by resolvePreparedTexture() so sequential variants stay in token order.
    * @param {TokenDocument} tokenDoc - The token document to replace
    * @param {Object} compendiumEntry - The matching compendium index entry
    * @param {CompendiumCollection} pack - The compendium pack containing the entry
-   * @returns {Promise<TokenDocument>} The newly created token document
-   * @throws {Error} If actor import or token creation fails
+   * @returns {Promise<{tokenDoc: TokenDocument, compendiumEntry: Object, compendiumActor: Actor, worldActor: Actor, newTokenData: Object}>} Prepared replacement
+   * @throws {Error} If the compendium document cannot be loaded or the actor import fails
    * @static
    * @example
-   * const match = NameMatcher.findMatch("Goblin", monsterIndex);
-   * if (match) {
-   *   const newToken = await TokenReplacer.replaceToken(tokenDoc, match.entry, match.pack);
-   *   console.log(`Replaced with ${newToken.name}`);
-   * }
+   * const prepared = await TokenReplacer.prepareReplacement(tokenDoc, match.entry, match.pack);
+   * await TokenReplacer.resolvePreparedTexture(prepared);
+   * await TokenReplacer.commitReplacements(canvas.scene, [prepared]);
    */
-  static async replaceToken(tokenDoc, compendiumEntry, pack) {
+  static async prepareReplacement(tokenDoc, compendiumEntry, pack) {
     // Save original properties
     const originalProps = TokenReplacer.extractTokenProperties(tokenDoc);
-    const originalName = tokenDoc.name;
 
-    Logger.log(`Replacing token "${originalName}" with "${compendiumEntry.name}"`);
+    Logger.log(`Resolving replacement for "${tokenDoc.name}" -> "${compendiumEntry.name}"`);
 
     // Get the full actor document from the compendium
     const compendiumActor = await pack.getDocument(compendiumEntry._id);
+    if (!compendiumActor) {
+      throw new Error(`Failed to load "${compendiumEntry.name}" from ${pack.collection} (getDocument returned nothing)`);
+    }
 
-    // Get or import the world actor
-    const worldActor = await TokenReplacer.#getOrImportWorldActor(compendiumActor, compendiumEntry, pack);
+    // Get or import the world actor (or the actor stored with a compendium scene)
+    const worldActor = TokenReplacer.#actorResolver
+      ? await TokenReplacer.#actorResolver(compendiumActor, compendiumEntry, pack)
+      : await TokenReplacer.#getOrImportWorldActor(compendiumActor, compendiumEntry, pack);
 
     // IMPORTANT: Always use the COMPENDIUM actor's prototypeToken to get the correct Monster Manual 2024 token image
     // The world actor might have been imported from a different source (old SRD) with different token art
     const prototypeToken = compendiumActor.prototypeToken.toObject();
-    Logger.log(`Using token image from compendium: ${prototypeToken.texture?.src || "default"}`);
+    Logger.debug(`Using token image from compendium: ${prototypeToken.texture?.src || "default"}`);
 
-    // Handle wildcard patterns in token texture paths
+    // Probe wildcard variants now (in parallel with other tokens) so selection later is a cache hit
     if (WildcardResolver.isWildcardPath(prototypeToken.texture?.src)) {
-      await TokenReplacer.#resolveWildcardTexture(prototypeToken, compendiumActor, compendiumEntry.name);
+      await WildcardResolver.resolveWildcardVariants(prototypeToken.texture.src);
     }
 
-    // Prepare new token data, merging prototype with original properties
+    // Prepare new token data, merging prototype with original properties.
+    // Pre-assign the ID so created tokens can be matched back to the token they replace.
     const newTokenData = TokenReplacer.#prepareNewTokenData(prototypeToken, originalProps, worldActor.id);
+    newTokenData._id = foundry.utils.randomID();
+    newTokenData.flags = {
+      ...newTokenData.flags,
+      [MODULE_ID]: { ...newTokenData.flags?.[MODULE_ID], provenance: TokenReplacer.buildProvenance(tokenDoc, pack) }
+    };
 
-    // Create new token first, then delete old one — avoids data loss if creation fails
-    const createdTokens = await canvas.scene.createEmbeddedDocuments("Token", [newTokenData]);
-    const newToken = createdTokens[0];
-
-    if (!newToken) {
-      throw new Error(`Failed to create new token for "${compendiumEntry.name}"`);
+    // Unique creatures are linked to the world actor; linked tokens have no actor delta
+    const actorLink = TokenReplacer.#linkOverrides.get(tokenDoc.id) ??
+      TokenReplacer.shouldLinkActor([tokenDoc.name, tokenDoc.actor?.name, compendiumEntry.name], prototypeToken.actorLink);
+    if (actorLink) {
+      newTokenData.actorLink = true;
+      delete newTokenData.delta;
+    } else {
+      // Roll, maximize or keep hit points so a horde does not share the average HP
+      const hp = await TokenReplacer.resolveHitPoints(compendiumActor, tokenDoc);
+      TokenReplacer.#applyHitPoints(newTokenData, hp, compendiumActor);
     }
 
-    // Safe to delete now — new token exists
-    await canvas.scene.deleteEmbeddedDocuments("Token", [tokenDoc.id]);
-
-    Logger.log(`Successfully replaced "${originalName}" with "${compendiumEntry.name}"`);
-
-    return newToken;
+    return { tokenDoc, compendiumEntry, compendiumActor, worldActor, newTokenData };
   }
-}
 
-/**
- * NPCTokenReplacerController - Main facade class for orchestrating NPC token replacement
- * Coordinates all module operations: compendium detection, name matching, and token replacement
- * Provides a unified API for the module and prevents concurrent execution
- * @class
- */
-class NPCTokenReplacerController {
   /**
-   * Lock flag to prevent concurrent execution of replacement operations
-   * Only one replacement session can run at a time
-   * @type {boolean}
+   * Pick the concrete token image for a prepared replacement with a wildcard texture
+   * Must be awaited in token order: the sequential variation mode advances a shared counter.
+   * @param {Object} prepared - Result of prepareReplacement()
+   * @returns {Promise<void>} Modifies prepared.newTokenData.texture.src in place
    * @static
-   * @private
    */
-  static #isProcessing = false;
+  static async resolvePreparedTexture(prepared) {
+    const { newTokenData, compendiumActor, compendiumEntry } = prepared;
+    if (WildcardResolver.isWildcardPath(newTokenData.texture?.src)) {
+      await TokenReplacer.#resolveWildcardTexture(newTokenData, compendiumActor, compendiumEntry.name);
+    }
+  }
 
   /**
-   * Check if a replacement operation is currently in progress
-   * @returns {boolean} True if processing is active
+   * Ways of putting a replacement on the scene
+   * - recreate: create a new token and delete the original (new token ID)
+   * - update: update the original token in place (the token ID stays stable, so
+   *   references from other modules, @UUID links and region behaviours keep working)
+   * @type {string[]}
    * @static
-   * @example
-   * if (NPCTokenReplacerController.isProcessing()) {
-   *   console.log("Please wait, replacement in progress...");
-   * }
+   * @readonly
    */
-  static isProcessing() {
-    return NPCTokenReplacerController.#isProcessing;
+  static #REPLACE_STRATEGIES = Object.freeze(["recreate", "update"]);
+  static get REPLACE_STRATEGIES() {
+    return TokenReplacer.#REPLACE_STRATEGIES;
   }
 
   /**
-   * Validate all prerequisites before running the replacement
-   * Checks: user is GM, scene is active, WOTC compendiums are available
-   * @returns {boolean} Whether all prerequisites are met
+   * Get the replacement strategy from the world setting
+   * @returns {string} One of REPLACE_STRATEGIES ("recreate" when missing or invalid)
+   * @static
+   */
+  static getReplaceStrategy() {
+    try {
+      const value = game.settings.get(MODULE_ID, "replaceStrategy");
+      if (TokenReplacer.REPLACE_STRATEGIES.includes(value)) return value;
+    } catch (e) {
+      Logger.warn(`Error reading replaceStrategy (${e.name}: ${e.message}), using default`);
+    }
+    return "recreate";
+  }
+
+  /**
+   * Apply prepared replacements to a scene in one batch
+   * Depending on the replacement strategy the original tokens are either updated in place,
+   * or new tokens are created first and only originals whose replacement was actually
+   * created are deleted, so a failed creation never loses a token. If an in-place update
+   * is rejected, the batch falls back to delete-and-recreate.
+   * @param {Scene} scene - The scene containing the tokens
+   * @param {Object[]} preparedList - Results of prepareReplacement()
+   * @returns {Promise<{created: Map<string, TokenDocument>, failed: Object[]}>} Replacement tokens keyed by the
+   *   ID of the token they replaced (the same token when updated in place), and the prepared entries that failed
+   * @throws {Error} If the batched creation or deletion fails
    * @static
    * @example
-   * if (!NPCTokenReplacerController.validatePrerequisites()) {
-   *   return; // User has been notified of the issue
+   * const { created, failed } = await TokenReplacer.commitReplacements(canvas.scene, prepared);
+   */
+  static async commitReplacements(scene, preparedList) {
+    // Tokens may have been deleted while the resolve phase was running
+    const live = preparedList.filter(p => scene.tokens.has(p.tokenDoc.id));
+    const vanished = preparedList.length - live.length;
+    if (vanished > 0) Logger.log(`${vanished} token(s) no longer exist, skipping`);
+    if (live.length === 0) return { created: new Map(), failed: [] };
+
+    if (TokenReplacer.getReplaceStrategy() === "update") {
+      try {
+        return await TokenReplacer.#updateInPlace(scene, live);
+      } catch (error) {
+        Logger.warn(`In-place update of ${live.length} token(s) failed, deleting and recreating them instead`, error);
+      }
+    }
+    return TokenReplacer.#recreateTokens(scene, live);
+  }
+
+  /**
+   * Create the replacement tokens, then delete the originals that were replaced
+   * @param {Scene} scene - The scene containing the tokens
+   * @param {Object[]} live - Prepared replacements whose token still exists
+   * @returns {Promise<{created: Map<string, TokenDocument>, failed: Object[]}>} See commitReplacements()
+   * @static
+   * @private
+   */
+  static async #recreateTokens(scene, live) {
+    const created = new Map();
+    const createdTokens = await scene.createEmbeddedDocuments("Token", live.map(p => p.newTokenData), { keepId: true });
+    const createdById = new Map((createdTokens ?? []).map(t => [t.id, t]));
+
+    const failed = [];
+    for (const prepared of live) {
+      const newToken = createdById.get(prepared.newTokenData._id);
+      if (newToken) {
+        created.set(prepared.tokenDoc.id, newToken);
+      } else {
+        failed.push(prepared);
+      }
+    }
+
+    // Safe to delete now — only originals whose replacement exists.
+    // Combatants are moved first so they never reference a deleted token.
+    if (created.size > 0) {
+      await TokenReplacer.transferCombatants(scene, created);
+      await scene.deleteEmbeddedDocuments("Token", [...created.keys()]);
+    }
+
+    Logger.log(`Created ${created.size} token(s) and deleted their originals in one batch (${failed.length} not created)`);
+    return { created, failed };
+  }
+
+  /**
+   * Update the original tokens in place with their replacement data
+   * @param {Scene} scene - The scene containing the tokens
+   * @param {Object[]} live - Prepared replacements whose token still exists
+   * @returns {Promise<{created: Map<string, TokenDocument>, failed: Object[]}>} See commitReplacements()
+   * @throws {Error} If the batched update fails
+   * @static
+   * @private
+   */
+  static async #updateInPlace(scene, live) {
+    const updates = live.map(p => TokenReplacer.buildInPlaceUpdate(p));
+    const updatedTokens = await scene.updateEmbeddedDocuments("Token", updates, { diff: false, recursive: false });
+    const updatedById = new Map((updatedTokens ?? []).map(t => [t.id, t]));
+
+    const created = new Map();
+    const failed = [];
+    for (const prepared of live) {
+      const token = updatedById.get(prepared.tokenDoc.id);
+      if (token) {
+        created.set(prepared.tokenDoc.id, token);
+      } else {
+        failed.push(prepared);
+      }
+    }
+
+    // Same token IDs, but the combatants now belong to another actor
+    if (created.size > 0) await TokenReplacer.transferCombatants(scene, created);
+
+    Logger.log(`Updated ${created.size} token(s) in place in one batch (${failed.length} not updated)`);
+    return { created, failed };
+  }
+
+  /**
+   * Build the update turning an existing token into its replacement
+   * Every field of the new token data replaces the token's own (the update is not
+   * merged recursively). The actor delta is cleared apart from carried-over state,
+   * and the token's own flags are kept under the new ones so module data attached
+   * to the token (tags, triggers) survives.
+   * @param {Object} prepared - Result of prepareReplacement()
+   * @returns {Object} Token update data keyed by the original token's ID
+   * @static
+   * @example
+   * await scene.updateEmbeddedDocuments("Token", [TokenReplacer.buildInPlaceUpdate(prepared)], { diff: false, recursive: false });
+   */
+  static buildInPlaceUpdate(prepared) {
+    const { tokenDoc, newTokenData } = prepared;
+    const { _id, ...data } = newTokenData;
+    return {
+      ...data,
+      _id: tokenDoc.id,
+      flags: { ...(tokenDoc.flags ?? {}), ...(data.flags ?? {}) },
+      delta: data.delta ?? {}
+    };
+  }
+
+  /**
+   * Move combat tracker entries from replaced tokens to their replacements
+   * Combatants are re-pointed in place, so initiative, turn order and the
+   * current turn are untouched. If a combat refuses the update, its combatants
+   * are recreated with the same initiative and the turn is put back on the
+   * creature whose turn it was. Failures are logged and never abort the replacement.
+   * @param {Scene} scene - The scene containing the tokens
+   * @param {Map<string, {id: string, actorId: string}>} replacements - New token keyed by the ID of the token it replaces
+   * @returns {Promise<number>} Number of combatants moved
+   * @static
+   * @example
+   * await TokenReplacer.transferCombatants(canvas.scene, new Map([[oldToken.id, newToken]]));
+   */
+  static async transferCombatants(scene, replacements) {
+    if (!replacements || replacements.size === 0) return 0;
+
+    let moved = 0;
+    for (const combat of game.combats ?? []) {
+      const updates = [];
+      for (const combatant of combat.combatants ?? []) {
+        const sceneId = combatant.sceneId ?? combat.scene?.id;
+        const replacement = replacements.get(combatant.tokenId);
+        if (sceneId !== scene.id || !replacement) continue;
+        updates.push({ _id: combatant.id, tokenId: replacement.id, actorId: replacement.actorId });
+      }
+      if (updates.length === 0) continue;
+
+      try {
+        await combat.updateEmbeddedDocuments("Combatant", updates);
+        moved += updates.length;
+      } catch (error) {
+        Logger.warn(`Could not re-point ${updates.length} combatant(s) in combat ${combat.id}, recreating them`, error);
+        try {
+          await TokenReplacer.#recreateCombatants(combat, updates);
+          moved += updates.length;
+        } catch (recreateError) {
+          Logger.error(`Failed to move combatants of combat ${combat.id} to the replacement tokens`, recreateError);
+        }
+      }
+    }
+
+    if (moved > 0) Logger.log(`Moved ${moved} combatant(s) to their replacement tokens`);
+    return moved;
+  }
+
+  /**
+   * Recreate combatants for new tokens, keeping initiative and the current turn
+   * @param {Combat} combat - The combat to update
+   * @param {Array<{_id: string, tokenId: string, actorId: string}>} updates - Combatants and their new token
+   * @returns {Promise<void>}
+   * @static
+   * @private
+   */
+  static async #recreateCombatants(combat, updates) {
+    const currentId = combat.combatant?.id ?? null;
+    const data = updates.map(update => {
+      const old = combat.combatants.get(update._id);
+      return {
+        tokenId: update.tokenId,
+        actorId: update.actorId,
+        sceneId: old.sceneId,
+        initiative: old.initiative,
+        hidden: old.hidden,
+        defeated: old.defeated
+      };
+    });
+
+    const created = await combat.createEmbeddedDocuments("Combatant", data);
+    await combat.deleteEmbeddedDocuments("Combatant", updates.map(update => update._id));
+
+    if (!currentId) return;
+    const replacedIndex = updates.findIndex(update => update._id === currentId);
+    const currentNowId = replacedIndex === -1 ? currentId : created?.[replacedIndex]?.id;
+    const turn = (combat.turns ?? []).findIndex(c => c.id === currentNowId);
+    if (turn !== -1 && turn !== combat.turn) await combat.update({ turn });
+  }
+
+  /**
+   * Replace a single token with its Monster Manual/compendium version
+   * Convenience wrapper running the resolve and mutation phases for one token
+   * @param {TokenDocument} tokenDoc - The token document to replace
+   * @param {Object} compendiumEntry - The matching compendium index entry
+   * @param {CompendiumCollection} pack - The compendium pack containing the entry
+   * @returns {Promise<TokenDocument>} The newly created token document
+   * @throws {Error} If actor import or token creation fails
+   * @static
+   * @example
+   * const match = NameMatcher.findMatch("Goblin", monsterIndex);
+   * if (match) {
+   *   const newToken = await TokenReplacer.replaceToken(tokenDoc, match.entry, match.pack);
+   *   console.log(`Replaced with ${newToken.name}`);
    * }
    */
-  static validatePrerequisites() {
-    // Check if user is GM
-    if (!game.user.isGM) {
-      ui.notifications.warn(game.i18n.localize("NPC_REPLACER.GMOnly"));
-      return false;
+  static async replaceToken(tokenDoc, compendiumEntry, pack) {
+    const scene = tokenDoc.parent ?? canvas.scene;
+    const prepared = await TokenReplacer.prepareReplacement(tokenDoc, compendiumEntry, pack);
+    await TokenReplacer.resolvePreparedTexture(prepared);
+
+    const { created } = await TokenReplacer.commitReplacements(scene, [prepared]);
+    const newToken = created.get(tokenDoc.id);
+    if (!newToken) {
+      throw new Error(`Failed to create new token for "${compendiumEntry.name}"`);
     }
 
-    // Check if there's an active scene
-    if (!canvas.scene) {
-      ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoScene"));
-      return false;
+    Logger.log(`Successfully replaced "${tokenDoc.name}" with "${compendiumEntry.name}"`);
+    return newToken;
+  }
+}
+
+/**
+ * ReplacementHistory utility class for the per-scene replacement journal
+ * Each replacement run is stored in the scene's flags with the full original
+ * TokenDocument data, the IDs of the tokens that replaced them and the actors
+ * imported during the run, so the run can be reverted later.
+ * @class
+ */
+class ReplacementHistory {
+  /**
+   * Scene flag key holding the replacement journal
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static get FLAG_KEY() {
+    return "history";
+  }
+
+  /**
+   * Maximum number of runs kept per scene (oldest entries are dropped first)
+   * @type {number}
+   * @static
+   * @readonly
+   */
+  static get MAX_ENTRIES() {
+    return 10;
+  }
+
+  /**
+   * Get the replacement journal of a scene, oldest run first
+   * @param {Scene} scene - The scene to read
+   * @returns {Array<{runId: string, timestamp: number, originalTokens: Object[], newTokenIds: string[], replacements: Array<{oldId: string, newId: string}>, importedActorIds: string[]}>} Copy of the journal
+   * @static
+   * @example
+   * const history = ReplacementHistory.getHistory(canvas.scene);
+   * console.log(`${history.length} runs can be reverted`);
+   */
+  static getHistory(scene) {
+    const history = scene?.getFlag?.(MODULE_ID, ReplacementHistory.FLAG_KEY);
+    return Array.isArray(history) ? [...history] : [];
+  }
+
+  /**
+   * Get the most recent replacement run of a scene
+   * @param {Scene} scene - The scene to read
+   * @returns {Object|null} The latest journal entry, or null if the scene has no history
+   * @static
+   */
+  static getLastEntry(scene) {
+    const history = ReplacementHistory.getHistory(scene);
+    return history.length > 0 ? history[history.length - 1] : null;
+  }
+
+  /**
+   * Append a replacement run to the scene journal
+   * @param {Scene} scene - The scene the run was performed on
+   * @param {Object} entry - Journal entry
+   * @param {Object[]} entry.originalTokens - Full TokenDocument data of the replaced tokens
+   * @param {string[]} entry.newTokenIds - IDs of the tokens created by the run
+   * @param {Array<{oldId: string, newId: string}>} [entry.replacements=[]] - ID of each replaced token paired with its replacement's
+   * @param {string[]} entry.importedActorIds - IDs of actors imported during the run
+   * @param {string} [entry.runId] - ID of the run (the session's, so it matches the provenance flags); generated when omitted
+   * @returns {Promise<Object>} The stored entry, including its runId and timestamp
+   * @static
+   * @example
+   * await ReplacementHistory.record(canvas.scene, { originalTokens, newTokenIds, replacements, importedActorIds });
+   */
+  static async record(scene, { originalTokens, newTokenIds, replacements = [], importedActorIds, runId = foundry.utils.randomID() }) {
+    const entry = {
+      runId,
+      timestamp: Date.now(),
+      originalTokens,
+      newTokenIds,
+      replacements,
+      importedActorIds
+    };
+
+    const history = ReplacementHistory.getHistory(scene);
+    history.push(entry);
+    const trimmed = history.slice(-ReplacementHistory.MAX_ENTRIES);
+
+    await scene.setFlag(MODULE_ID, ReplacementHistory.FLAG_KEY, trimmed);
+    Logger.log(`Recorded replacement run ${entry.runId} (${originalTokens.length} tokens) in scene "${scene.name}"`);
+    return entry;
+  }
+
+  /**
+   * Remove a run from the scene journal
+   * @param {Scene} scene - The scene to update
+   * @param {string} runId - ID of the run to remove
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async removeEntry(scene, runId) {
+    const history = ReplacementHistory.getHistory(scene).filter(e => e.runId !== runId);
+    await scene.setFlag(MODULE_ID, ReplacementHistory.FLAG_KEY, history);
+  }
+
+  /**
+   * Revert a replacement run: restore the original tokens with their original IDs
+   * (writing the original data back onto tokens that were updated in place),
+   * remove the tokens created by the run and optionally delete imported actors
+   * that are no longer referenced by any token in the world
+   * @param {Scene} scene - The scene the run was performed on
+   * @param {Object} entry - Journal entry from getHistory()/getLastEntry()
+   * @param {Object} [options={}] - Revert options
+   * @param {boolean} [options.deleteActors=false] - Delete unused actors imported by the run
+   * @returns {Promise<{restored: number, removed: number, deletedActors: number}>} Counts of affected documents
+   * @static
+   * @example
+   * const entry = ReplacementHistory.getLastEntry(canvas.scene);
+   * const result = await ReplacementHistory.revert(canvas.scene, entry, { deleteActors: true });
+   */
+  static async revert(scene, entry, { deleteActors = false } = {}) {
+    // Tokens updated in place kept their ID: write their original data back
+    const originalIds = new Set(entry.originalTokens.map(data => data._id));
+    const newIds = new Set(entry.newTokenIds);
+    const toReset = entry.originalTokens.filter(data => newIds.has(data._id) && scene.tokens.has(data._id));
+    if (toReset.length > 0) {
+      await scene.updateEmbeddedDocuments("Token", toReset, { diff: false, recursive: false });
+      await TokenReplacer.transferCombatants(scene, new Map(toReset.map(data => [data._id, { id: data._id, actorId: data.actorId }])));
+    }
+
+    // Only recreate originals that are not already back in the scene
+    const toRestore = entry.originalTokens.filter(data => !scene.tokens.has(data._id));
+    if (toRestore.length > 0) {
+      await scene.createEmbeddedDocuments("Token", toRestore, { keepId: true });
+    }
+
+    const toRemove = entry.newTokenIds.filter(id => scene.tokens.has(id) && !originalIds.has(id));
+    if (toRemove.length > 0) {
+      // Hand combat tracker entries back to the restored originals
+      const originalById = new Map(entry.originalTokens.map(data => [data._id, data]));
+      const originals = new Map();
+      for (const { oldId, newId } of entry.replacements ?? []) {
+        const original = originalById.get(oldId);
+        if (original && scene.tokens.has(oldId)) originals.set(newId, { id: oldId, actorId: original.actorId });
+      }
+      await TokenReplacer.transferCombatants(scene, originals);
+      await scene.deleteEmbeddedDocuments("Token", toRemove);
+    }
+
+    let deletedActors = 0;
+    if (deleteActors && entry.importedActorIds.length > 0) {
+      // Scan after the token changes above so the restored originals are accounted for
+      const referenced = TokenReplacer.collectReferencedActorIds();
+      const unused = entry.importedActorIds.filter(id => game.actors.has(id) && !referenced.has(id));
+      if (unused.length > 0) {
+        await Actor.deleteDocuments(unused);
+        deletedActors = unused.length;
+      }
+    }
+
+    await ReplacementHistory.removeEntry(scene, entry.runId);
+    const restored = toRestore.length + toReset.length;
+    Logger.log(`Reverted replacement run ${entry.runId}: ${restored} restored, ${toRemove.length} removed, ${deletedActors} actors deleted`);
+
+    return { restored, removed: toRemove.length, deletedActors };
+  }
+}
+
+/**
+ * ActorUpgrader utility class for upgrading world actors in place
+ * Matches NPC actors of the Actors directory against the monster index and
+ * overwrites their data with the compendium version. The actor keeps its ID,
+ * folder and ownership, so placed tokens and links to it keep working.
+ * @class
+ */
+class ActorUpgrader {
+  /**
+   * Actor fields kept from the world actor when it is upgraded
+   * @type {string[]}
+   * @static
+   * @readonly
+   */
+  static #KEPT_FIELDS = Object.freeze(["_id", "folder", "ownership", "sort"]);
+  static get KEPT_FIELDS() {
+    return ActorUpgrader.#KEPT_FIELDS;
+  }
+
+  /**
+   * Get the NPC actors of the Actors directory
+   * @returns {Actor[]} World NPC actors
+   * @static
+   */
+  static getWorldNPCs() {
+    return Array.from(game.actors ?? []).filter(actor => actor.type === "npc");
+  }
+
+  /**
+   * Get the compendium entry a world actor was imported from
+   * @param {Actor} actor - A world actor
+   * @returns {string|null} Compendium UUID, or null for actors not imported from a compendium
+   * @static
+   */
+  static getSourceUuid(actor) {
+    return actor._stats?.compendiumSource || actor.flags?.core?.sourceId || null;
+  }
+
+  /**
+   * Check whether an actor already is the matched compendium creature
+   * @param {Actor} actor - A world actor
+   * @param {{entry: Object, pack: CompendiumCollection, uuid?: string}} match - Its match
+   * @returns {boolean} True when the actor was imported from the matched entry
+   * @static
+   */
+  static isUpToDate(actor, match) {
+    const uuid = match.uuid ?? CompendiumManager.getEntryUuid(match.entry, match.pack);
+    return ActorUpgrader.getSourceUuid(actor) === uuid;
+  }
+
+  /**
+   * Match world NPC actors against the monster index
+   * Actors already imported from their matched entry are left out.
+   * @param {Actor[]} actors - World actors to match
+   * @param {Object[]} index - The combined monster index
+   * @param {ProgressReporter} progress - Progress reporter instance
+   * @returns {Array<{tokenDoc: null, actor: Actor, creatureName: string, match: Object|null}>} Match results in the preview dialog's shape
+   * @static
+   */
+  static computeMatches(actors, index, progress) {
+    progress.start(actors.length, game.i18n.localize("NPC_REPLACER.PreviewScanning"));
+
+    const results = [];
+    for (let i = 0; i < actors.length; i++) {
+      const actor = actors[i];
+      const match = NameMatcher.findMatch(actor.name, index);
+      if (match && ActorUpgrader.isUpToDate(actor, match)) {
+        Logger.debug(`Actor "${actor.name}" is already up to date`);
+      } else {
+        results.push({ tokenDoc: null, actor, creatureName: actor.name, match });
+      }
+
+      progress.update(i + 1, game.i18n.format("NPC_REPLACER.ProgressUpdate", {
+        current: i + 1,
+        total: actors.length,
+        name: actor.name
+      }));
+    }
+
+    progress.finish();
+    return results;
+  }
+
+  /**
+   * Build the update that turns a world actor into a compendium creature
+   * Uses the world collection's compendium import data (which records the
+   * compendium source) without the fields in KEPT_FIELDS. The world actor's flags
+   * are kept under the compendium's ones, and this module's flags (import and
+   * provenance markers) are always the world actor's.
+   * @param {Actor} compendiumActor - The compendium creature
+   * @param {Actor} [actor] - The world actor being upgraded
+   * @returns {Object} Actor data to apply with a non-recursive update
+   * @static
+   */
+  static buildUpgradeData(compendiumActor, actor) {
+    const data = game.actors.fromCompendium?.(compendiumActor) ?? compendiumActor.toObject();
+    for (const field of ActorUpgrader.KEPT_FIELDS) delete data[field];
+    if (actor?.flags) {
+      data.flags = { ...actor.flags, ...(data.flags ?? {}) };
+      if (actor.flags[MODULE_ID]) data.flags[MODULE_ID] = actor.flags[MODULE_ID];
+    }
+    return data;
+  }
+
+  /**
+   * Overwrite a world actor with its matched compendium creature
+   * @param {Actor} actor - The world actor to upgrade
+   * @param {{entry: Object, pack: CompendiumCollection}} match - Its match
+   * @returns {Promise<Actor>} The upgraded actor
+   * @throws {Error} If the compendium document cannot be loaded or the update fails
+   * @static
+   * @example
+   * await ActorUpgrader.upgradeActor(game.actors.getName("Goblin"), match);
+   */
+  static async upgradeActor(actor, match) {
+    const compendiumActor = await match.pack.getDocument(match.entry._id);
+    if (!compendiumActor) {
+      throw new Error(`Failed to load "${match.entry.name}" from ${match.pack.collection} (getDocument returned nothing)`);
     }
+    // Non-recursive, non-diffed: system data, items and effects are replaced, not merged
+    await actor.update(ActorUpgrader.buildUpgradeData(compendiumActor, actor), { diff: false, recursive: false });
+    Logger.log(`Upgraded world actor "${actor.name}" from ${match.pack.collection}`);
+    return actor;
+  }
+
+  /**
+   * Upgrade several actors with bounded concurrency
+   * @param {Array<{actor: Actor, creatureName: string, match: Object}>} results - Confirmed matches
+   * @param {ProgressReporter} progress - Progress reporter instance
+   * @returns {Promise<{upgraded: number, failed: string[], statuses: Array<'upgraded'|'failed'>}>} Count of upgraded actors,
+   *   names of failed ones and the status of each result
+   * @static
+   */
+  static async upgradeActors(results, progress) {
+    progress.start(results.length, game.i18n.format("NPC_REPLACER.UpgradeProgress", { count: results.length }));
+
+    let done = 0;
+    const settled = await TaskPool.mapSettled(results, async (result) => {
+      try {
+        return await ActorUpgrader.upgradeActor(result.actor, result.match);
+      } finally {
+        done++;
+        progress.update(done, game.i18n.format("NPC_REPLACER.ProgressUpdate", {
+          current: done,
+          total: results.length,
+          name: result.creatureName
+        }));
+      }
+    });
+    progress.finish();
+
+    const failed = [];
+    const statuses = settled.map((outcome, i) => {
+      if (outcome.status === "fulfilled") return "upgraded";
+      Logger.error(`Error upgrading actor ${results[i].creatureName}`, outcome.reason);
+      failed.push(results[i].creatureName);
+      return "failed";
+    });
+    return { upgraded: results.length - failed.length, failed, statuses };
+  }
+}
+
+/**
+ * PackUpgrader utility class for upgrading the contents of world compendiums
+ * Picks the world Scene and Actor compendiums that can be upgraded, unlocks
+ * them for the duration of a run and writes a per-document report of the run
+ * to a journal entry. The matching and replacing itself is done by
+ * NPCTokenReplacerController.upgradeCompendium().
+ * @class
+ */
+class PackUpgrader {
+  /**
+   * Compendium document types whose contents can be upgraded
+   * @type {string[]}
+   * @static
+   * @readonly
+   */
+  static #SUPPORTED_TYPES = Object.freeze(["Scene", "Actor", "Adventure"]);
+  static get SUPPORTED_TYPES() {
+    return PackUpgrader.#SUPPORTED_TYPES;
+  }
+
+  /**
+   * Check whether a compendium can be upgraded: a world Scene, Actor or Adventure pack
+   * @param {CompendiumCollection} pack - The compendium
+   * @returns {boolean} True if upgradeCompendium() accepts the pack
+   * @static
+   */
+  static isUpgradable(pack) {
+    return pack?.metadata?.packageType === "world" && PackUpgrader.SUPPORTED_TYPES.includes(pack.documentName);
+  }
+
+  /**
+   * Get the world compendiums that can be upgraded
+   * @returns {CompendiumCollection[]} World Scene, Actor and Adventure compendiums
+   * @static
+   */
+  static getUpgradablePacks() {
+    return Array.from(game.packs ?? []).filter(pack => PackUpgrader.isUpgradable(pack));
+  }
+
+  /**
+   * Run a task with a compendium unlocked, relocking it afterwards if it was locked
+   * @param {CompendiumCollection} pack - The compendium to unlock
+   * @param {function(): Promise<*>} task - Work to do while the pack is unlocked
+   * @returns {Promise<*>} The task's result
+   * @static
+   * @example
+   * await PackUpgrader.withUnlockedPack(pack, () => actor.update(data));
+   */
+  static async withUnlockedPack(pack, task) {
+    const wasLocked = !!pack.locked;
+    if (wasLocked) {
+      await pack.configure({ locked: false });
+      Logger.log(`Unlocked compendium ${pack.collection}`);
+    }
+    try {
+      return await task();
+    } finally {
+      if (wasLocked) {
+        try {
+          await pack.configure({ locked: true });
+          Logger.log(`Relocked compendium ${pack.collection}`);
+        } catch (error) {
+          Logger.error(`Failed to relock compendium ${pack.collection}`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the world Actor compendium holding the actors of a Scene compendium's tokens
+   * The companion pack is named after the scene pack ("<name>-actors") and created
+   * on first use. Importing both packs into a world with their document IDs kept
+   * lets the scenes' tokens find their actors again.
+   * @param {CompendiumCollection} scenePack - A world Scene compendium
+   * @returns {Promise<CompendiumCollection>} The companion Actor compendium
+   * @throws {Error} If a compendium of another type already uses the name
+   * @static
+   */
+  static async getOrCreateActorPack(scenePack) {
+    const name = `${scenePack.metadata.name}-actors`;
+    const existing = game.packs.get(`world.${name}`);
+    if (existing) {
+      if (existing.documentName !== "Actor") {
+        throw new Error(`Compendium world.${name} exists but holds ${existing.documentName} documents`);
+      }
+      return existing;
+    }
+
+    const Collection = foundry?.documents?.collections?.CompendiumCollection ?? CompendiumCollection;
+    const actorPack = await Collection.createCompendium({
+      type: "Actor",
+      name,
+      label: game.i18n.format("NPC_REPLACER.PackActorsLabel", { label: scenePack.metadata.label }),
+      package: "world"
+    });
+    Logger.log(`Created compendium ${actorPack.collection} for the actors of ${scenePack.collection}`);
+    return actorPack;
+  }
+
+  /**
+   * Create an actor resolver (see TokenReplacer.setActorResolver) backed by an Actor compendium
+   * Reuses the pack's actor imported from the same compendium creature, otherwise
+   * imports the creature into the pack. Tokens of the same creature share one import.
+   * @param {CompendiumCollection} actorPack - An unlocked Actor compendium
+   * @returns {Promise<function(Actor): Promise<Actor>>} The resolver
+   * @static
+   * @example
+   * TokenReplacer.setActorResolver(await PackUpgrader.createPackActorResolver(actorPack));
+   */
+  static async createPackActorResolver(actorPack) {
+    const byUuid = new Map();
+    for (const actor of await actorPack.getDocuments()) {
+      const uuid = ActorUpgrader.getSourceUuid(actor);
+      if (uuid && !byUuid.has(uuid)) byUuid.set(uuid, Promise.resolve(actor));
+    }
+
+    return (compendiumActor) => {
+      let actor = byUuid.get(compendiumActor.uuid);
+      if (!actor) {
+        actor = PackUpgrader.#importIntoPack(compendiumActor, actorPack);
+        // A failed import must not stick: the next token of the creature retries it
+        actor.catch(() => byUuid.delete(compendiumActor.uuid));
+        byUuid.set(compendiumActor.uuid, actor);
+      }
+      return actor;
+    };
+  }
+
+  /**
+   * Import a compendium creature into another Actor compendium
+   * @param {Actor} compendiumActor - The compendium creature
+   * @param {CompendiumCollection} actorPack - The unlocked target compendium
+   * @returns {Promise<Actor>} The actor created in the target compendium
+   * @throws {Error} If the actor cannot be created
+   * @static
+   * @private
+   */
+  static async #importIntoPack(compendiumActor, actorPack) {
+    const data = game.actors.fromCompendium?.(compendiumActor) ?? compendiumActor.toObject();
+    const actor = await Actor.create(data, { pack: actorPack.collection });
+    if (!actor) {
+      throw new Error(`Failed to import actor "${compendiumActor.name}" into ${actorPack.collection}`);
+    }
+    Logger.log(`Imported actor "${compendiumActor.name}" into compendium ${actorPack.collection}`);
+    return actor;
+  }
+
+  /**
+   * Upgrade the actors and scene tokens of an Adventure document
+   * An adventure stores its actors and scenes as data, so the changes are written
+   * back in one update. Confirmed actor rows are upgraded in place first. Replacement
+   * tokens then use the adventure's actor of their creature (an upgraded one, or one
+   * added from the compendium) and keep their token ID.
+   * @param {Adventure} adventure - The adventure to upgrade
+   * @param {Object[]} results - Its confirmed preview results (token rows and actor rows)
+   * @returns {Promise<{replaced: number, upgraded: number, failed: number}>} What changed
+   * @throws {Error} If the adventure cannot be updated
+   * @static
+   */
+  static async upgradeAdventure(adventure, results) {
+    const actorsData = Array.from(adventure.actors ?? [], actor => actor.toObject());
+    const scenesData = Array.from(adventure.scenes ?? [], scene => scene.toObject());
+    const outcome = { replaced: 0, upgraded: 0, failed: 0 };
+
+    for (const result of results.filter(r => !r.tokenDoc)) {
+      try {
+        const compendiumActor = await result.match.pack.getDocument(result.match.entry._id);
+        if (!compendiumActor) {
+          throw new Error(`Failed to load "${result.match.entry.name}" from ${result.match.pack.collection}`);
+        }
+        const i = actorsData.findIndex(data => data._id === result.actor.id);
+        actorsData[i] = { ...actorsData[i], ...ActorUpgrader.buildUpgradeData(compendiumActor, result.actor) };
+        outcome.upgraded++;
+      } catch (error) {
+        Logger.error(`Failed to upgrade actor "${result.creatureName}" of adventure "${adventure.name}"`, error);
+        outcome.failed++;
+      }
+    }
+
+    TokenReplacer.setActorResolver(async (compendiumActor) => {
+      let data = actorsData.find(d => ActorUpgrader.getSourceUuid(d) === compendiumActor.uuid);
+      if (!data) {
+        data = { ...(game.actors.fromCompendium?.(compendiumActor) ?? compendiumActor.toObject()), _id: foundry.utils.randomID() };
+        actorsData.push(data);
+        Logger.log(`Added actor "${compendiumActor.name}" to adventure "${adventure.name}"`);
+      }
+      return { id: data._id, name: data.name };
+    });
+    try {
+      // Sequential so wildcard variants stay in token order
+      for (const result of results.filter(r => r.tokenDoc)) {
+        try {
+          const prepared = await TokenReplacer.prepareReplacement(result.tokenDoc, result.match.entry, result.match.pack);
+          await TokenReplacer.resolvePreparedTexture(prepared);
+          const tokens = scenesData.find(data => data._id === result.scene.id).tokens;
+          const i = tokens.findIndex(data => data._id === result.tokenDoc.id);
+          tokens[i] = { ...tokens[i], ...TokenReplacer.buildInPlaceUpdate(prepared) };
+          outcome.replaced++;
+        } catch (error) {
+          Logger.error(`Failed to replace token "${result.tokenDoc.name}" of adventure "${adventure.name}"`, error);
+          outcome.failed++;
+        }
+      }
+    } finally {
+      TokenReplacer.setActorResolver(null);
+    }
+
+    if (outcome.replaced + outcome.upgraded > 0) {
+      await adventure.update({ actors: actorsData, scenes: scenesData });
+      Logger.log(`Upgraded adventure "${adventure.name}": ${outcome.replaced} token(s), ${outcome.upgraded} actor(s)`);
+    }
+    return outcome;
+  }
+
+  /**
+   * Summarize a run per document of the compendium
+   * @param {Document[]} documents - Every document of the compendium
+   * @param {Object[]} matchResults - Confirmed preview results (scene tokens or actors)
+   * @param {Object} outcomes - What happened to them
+   * @param {Array<{scene: Scene, replaced: number, importFailed: string[], creationFailed: string[]}>} [outcomes.scenes=[]] - Per-scene outcomes
+   * @param {Map<Actor, string>} [outcomes.actors=new Map()] - Status per upgraded actor ("upgraded" or "failed")
+   * @param {Map<Adventure, {replaced: number, upgraded: number, failed: number}>} [outcomes.adventures=new Map()] - Outcome per adventure (see upgradeAdventure)
+   * @returns {Array<{name: string, changes: string}>} One row per document, in compendium order
+   * @static
+   */
+  static buildReport(documents, matchResults, { scenes = [], actors = new Map(), adventures = new Map() } = {}) {
+    return documents.map(doc => {
+      if (doc.documentName === "Adventure") {
+        const outcome = adventures.get(doc);
+        const results = matchResults.filter(r => r.adventure === doc);
+        if (results.length === 0) {
+          return { name: doc.name, changes: game.i18n.localize("NPC_REPLACER.PackReportUnchanged") };
+        }
+        return {
+          name: doc.name,
+          changes: game.i18n.format("NPC_REPLACER.PackReportAdventure", {
+            replaced: outcome?.replaced ?? 0,
+            upgraded: outcome?.upgraded ?? 0,
+            failed: outcome?.failed ?? 0,
+            unmatched: results.filter(r => r.match === null).length,
+            skipped: results.filter(r => r.match !== null && r.include === false).length
+          })
+        };
+      }
+
+      if (doc.documentName === "Scene") {
+        const outcome = scenes.find(o => o.scene === doc);
+        const results = matchResults.filter(r => r.scene === doc);
+        if (results.length === 0) {
+          return { name: doc.name, changes: game.i18n.localize("NPC_REPLACER.PackReportUnchanged") };
+        }
+        return {
+          name: doc.name,
+          changes: game.i18n.format("NPC_REPLACER.PackReportTokens", {
+            replaced: outcome?.replaced ?? 0,
+            failed: (outcome?.importFailed.length ?? 0) + (outcome?.creationFailed.length ?? 0),
+            unmatched: results.filter(r => r.match === null).length,
+            skipped: results.filter(r => r.match !== null && r.include === false).length
+          })
+        };
+      }
+
+      const result = matchResults.find(r => r.actor === doc);
+      let changes;
+      if (!result) {
+        changes = game.i18n.localize("NPC_REPLACER.PackReportUnchanged");
+      } else if (!result.match) {
+        changes = game.i18n.localize("NPC_REPLACER.PackReportNoMatch");
+      } else if (actors.get(doc) === "upgraded") {
+        changes = game.i18n.format("NPC_REPLACER.PackReportUpgraded", {
+          creature: NPCTokenReplacerController.getMatchLabel(result.match)
+        });
+      } else if (actors.get(doc) === "failed") {
+        changes = game.i18n.localize("NPC_REPLACER.PackReportFailed");
+      } else {
+        changes = game.i18n.localize("NPC_REPLACER.PackReportSkipped");
+      }
+      return { name: doc.name, changes };
+    });
+  }
+
+  /**
+   * Write a run report to a new journal entry
+   * @param {CompendiumCollection} pack - The upgraded compendium
+   * @param {Array<{name: string, changes: string}>} rows - Result of buildReport()
+   * @returns {Promise<JournalEntry|null>} The journal entry, or null if it could not be created
+   * @static
+   */
+  static async writeReport(pack, rows) {
+    const title = game.i18n.format("NPC_REPLACER.PackReportTitle", { label: pack.metadata.label });
+    const rowsHtml = rows
+      .map(row => `<tr><td>${escapeHtml(row.name)}</td><td>${escapeHtml(row.changes)}</td></tr>`)
+      .join("");
+    const content = `
+      <p>${escapeHtml(pack.collection)} &mdash; ${escapeHtml(new Date().toLocaleString())}</p>
+      <table>
+        <thead><tr><th>${game.i18n.localize("NPC_REPLACER.PackReportColDocument")}</th><th>${game.i18n.localize("NPC_REPLACER.PackReportColChanges")}</th></tr></thead>
+        <tbody>${rowsHtml}</tbody>
+      </table>`;
+
+    try {
+      return await JournalEntry.create({
+        name: title,
+        pages: [{ name: title, type: "text", text: { content } }]
+      });
+    } catch (error) {
+      Logger.error("Failed to write the compendium upgrade report", error);
+      return null;
+    }
+  }
+}
+
+/**
+ * ActorCleanup utility class for removing imported actors no token uses any more
+ * Actors imported by the module carry a module flag, so only those are ever
+ * offered for deletion; actors created by hand are never touched.
+ * @class
+ */
+class ActorCleanup {
+  /**
+   * Actor flag (in the module scope) marking actors imported by the module
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static get IMPORTED_FLAG() {
+    return "imported";
+  }
+
+  /**
+   * Check whether a world actor was imported by the module
+   * @param {Actor} actor - A world actor
+   * @returns {boolean} True when the actor carries the imported flag
+   * @static
+   */
+  static isImported(actor) {
+    return actor?.flags?.[MODULE_ID]?.[ActorCleanup.IMPORTED_FLAG] === true;
+  }
+
+  /**
+   * Get the imported actors that no token in any scene references
+   * @returns {Actor[]} Orphaned imported actors, sorted by name
+   * @static
+   * @example
+   * const orphans = ActorCleanup.getOrphanedActors();
+   * console.log(`${orphans.length} imported actors are unused`);
+   */
+  static getOrphanedActors() {
+    const referenced = TokenReplacer.collectReferencedActorIds();
+    return Array.from(game.actors ?? [])
+      .filter(actor => ActorCleanup.isImported(actor) && !referenced.has(actor.id))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Delete orphaned imported actors
+   * References are checked again right before deleting, so an actor placed on a
+   * scene in the meantime is kept.
+   * @param {string[]} actorIds - IDs of the actors to delete
+   * @returns {Promise<number>} Number of actors deleted
+   * @throws {Error} If the deletion fails
+   * @static
+   */
+  static async deleteActors(actorIds) {
+    const referenced = TokenReplacer.collectReferencedActorIds();
+    const ids = actorIds.filter(id => {
+      const actor = game.actors.get(id);
+      return actor && ActorCleanup.isImported(actor) && !referenced.has(id);
+    });
+    if (ids.length === 0) return 0;
+
+    await Actor.deleteDocuments(ids);
+    Logger.log(`Deleted ${ids.length} orphaned imported actor(s)`);
+    return ids.length;
+  }
+}
+
+/**
+ * AliasManager utility class for the persistent creature alias table
+ * Stores a world-scoped map of normalized creature name -> compendium UUID
+ * and keeps NameMatcher's alias stage in sync with it.
+ * @class
+ */
+class AliasManager {
+  /**
+   * World setting key holding the alias table (JSON string)
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static get SETTING_KEY() {
+    return "creatureAliases";
+  }
+
+  /**
+   * Get the alias table from the world setting
+   * Invalid or unreadable values are treated as an empty table.
+   * @returns {Object<string, string>} Map of normalized creature name -> compendium UUID
+   * @static
+   * @example
+   * const aliases = AliasManager.getAliases();
+   * // { "orog brute": "Compendium.dnd5e.monsters.Actor.abc123" }
+   */
+  static getAliases() {
+    let value;
+    try {
+      value = game.settings.get(MODULE_ID, AliasManager.SETTING_KEY);
+      if (typeof value === "string") value = JSON.parse(value);
+    } catch (e) {
+      Logger.warn(`Error reading ${AliasManager.SETTING_KEY} (${e.name}: ${e.message}), using no aliases`);
+      return {};
+    }
+
+    if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+    return Object.fromEntries(
+      Object.entries(value).filter(([name, uuid]) => name && typeof uuid === "string" && uuid)
+    );
+  }
+
+  /**
+   * Replace the whole alias table
+   * Names are normalized before saving, and NameMatcher is updated immediately.
+   * @param {Object<string, string>} aliases - Map of creature name -> compendium UUID
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async setAliases(aliases) {
+    const normalized = {};
+    for (const [name, uuid] of Object.entries(aliases)) {
+      const key = NameMatcher.normalizeName(name);
+      if (key && uuid) normalized[key] = uuid;
+    }
+    await game.settings.set(MODULE_ID, AliasManager.SETTING_KEY, JSON.stringify(normalized));
+    NameMatcher.setAliases(normalized);
+  }
+
+  /**
+   * Add or update aliases, keeping the existing ones
+   * @param {Array<{name: string, uuid: string}>} entries - Creature names and the compendium UUIDs they map to
+   * @returns {Promise<void>}
+   * @static
+   * @example
+   * await AliasManager.addAliases([{ name: "Cultist Fanatic (Hooded)", uuid: match.uuid }]);
+   */
+  static async addAliases(entries) {
+    const aliases = AliasManager.getAliases();
+    for (const { name, uuid } of entries) {
+      const key = NameMatcher.normalizeName(name);
+      if (key && uuid) aliases[key] = uuid;
+    }
+    await AliasManager.setAliases(aliases);
+  }
+
+  /**
+   * Push the stored alias table into NameMatcher
+   * Called on ready and whenever the setting changes.
+   * @returns {void}
+   * @static
+   */
+  static syncMatcher() {
+    NameMatcher.setAliases(AliasManager.getAliases());
+  }
+}
+
+/**
+ * NPCTokenReplacerController - Main facade class for orchestrating NPC token replacement
+ * Coordinates all module operations: compendium detection, name matching, and token replacement
+ * Provides a unified API for the module and prevents concurrent execution
+ * @class
+ */
+class NPCTokenReplacerController {
+  /**
+   * Lock flag to prevent concurrent execution of replacement operations
+   * Only one replacement session can run at a time
+   * @type {boolean}
+   * @static
+   * @private
+   */
+  static #isProcessing = false;
+
+  /**
+   * Maximum number of tokens resolved in parallel during the resolve phase
+   * (compendium document fetch, actor import, wildcard probing)
+   * @type {number}
+   * @static
+   * @readonly
+   */
+  static get RESOLVE_CONCURRENCY() {
+    return 8;
+  }
+
+  /**
+   * Preview colour for each match stage (green = safe, red = risky)
+   * @type {Object<string, string>}
+   * @static
+   * @readonly
+   */
+  static #STAGE_COLORS = Object.freeze({
+    alias: "#2a7c2a",
+    exact: "#2a7c2a",
+    manual: "#1f5b99",
+    variant: "#7c5a2a",
+    partial: "#7a1010",
+    fuzzy: "#7a1010"
+  });
+  static get STAGE_COLORS() {
+    return NPCTokenReplacerController.#STAGE_COLORS;
+  }
+
+  /**
+   * Check if a replacement operation is currently in progress
+   * @returns {boolean} True if processing is active
+   * @static
+   * @example
+   * if (NPCTokenReplacerController.isProcessing()) {
+   *   console.log("Please wait, replacement in progress...");
+   * }
+   */
+  static isProcessing() {
+    return NPCTokenReplacerController.#isProcessing;
+  }
+
+  /**
+   * Validate all prerequisites before running the replacement
+   * Checks: user is GM, scene is active, WOTC compendiums are available
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.requireScene=true] - Require a scene on the canvas (multi-scene runs do not)
+   * @returns {boolean} Whether all prerequisites are met
+   * @static
+   * @example
+   * if (!NPCTokenReplacerController.validatePrerequisites()) {
+   *   return; // User has been notified of the issue
+   * }
+   */
+  static validatePrerequisites({ requireScene = true } = {}) {
+    // Check if user is GM
+    if (!game.user.isGM) {
+      ui.notifications.warn(game.i18n.localize("NPC_REPLACER.GMOnly"));
+      return false;
+    }
+
+    // Check if there's an active scene
+    if (requireScene && !canvas.scene) {
+      ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoScene"));
+      return false;
+    }
+
+    // Check if any WOTC modules with Actor compendiums are active
+    const wotcPacks = CompendiumManager.detectWOTCCompendiums();
+    if (wotcPacks.length === 0) {
+      ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoModule"));
+      return false;
+    }
+
+    return true;
+  }
+
+  // Removed: showConfirmationDialog — replaced by showPreviewDialog
+
+  /**
+   * Build the display label used for a match in the preview dialog
+   * The compendium label disambiguates creatures that exist in several packs.
+   * @param {{entry: Object, pack: CompendiumCollection}|null} match - A match from NameMatcher or the index
+   * @returns {string} Label like "Dire Wolf (Monster Manual)", or "" for no match
+   * @static
+   * @example
+   * NPCTokenReplacerController.getMatchLabel(match); // "Goblin (Monster Manual)"
+   */
+  static getMatchLabel(match) {
+    if (!match) return "";
+    return `${match.entry.name} (${match.pack.metadata.label})`;
+  }
+
+  /**
+   * Build the list of creatures a GM can pick from in the preview dialog
+   * Uses the loaded monster index map unless one is given; when two entries
+   * share a label the higher-priority one wins.
+   * @param {Map<string, Array>|null} [indexMap=CompendiumManager.getIndexMap()] - Index to list
+   * @returns {Map<string, Object>} Map of display label -> index item, sorted by label
+   * @static
+   */
+  static buildMatchChoices(indexMap = CompendiumManager.getIndexMap()) {
+    const choices = new Map();
+    if (!indexMap) return choices;
+
+    for (const items of indexMap.values()) {
+      for (const item of items) {
+        const label = NPCTokenReplacerController.getMatchLabel(item);
+        const existing = choices.get(label);
+        if (!existing || NameMatcher.selectBestMatch([existing, item]) === item) {
+          choices.set(label, item);
+        }
+      }
+    }
+
+    return new Map([...choices].sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  /**
+   * Apply the GM's manual match choices from the preview dialog
+   * Each selection is either a choice label, a free-typed creature name
+   * (resolved through the exact-name index), or an empty string to skip the token.
+   * Unresolvable names keep the computed match.
+   * @param {Array<{tokenDoc: Object, creatureName: string, match: Object|null}>} matchResults - Results to update in place
+   * @param {Array<string|undefined>} selections - Selected labels, aligned with matchResults
+   * @param {Map<string, Object>} [choices] - Choices from buildMatchChoices()
+   * @param {Map<string, Array>|null} [indexMap=CompendiumManager.getIndexMap()] - Index for free-typed names
+   * @returns {number} Number of results whose match was changed
+   * @static
+   * @example
+   * NPCTokenReplacerController.applyMatchOverrides(results, ["Dire Wolf (Monster Manual)"]);
+   */
+  static applyMatchOverrides(matchResults, selections, choices = NPCTokenReplacerController.buildMatchChoices(),
+    indexMap = CompendiumManager.getIndexMap()) {
+    let changed = 0;
+
+    selections.forEach((selection, i) => {
+      const result = matchResults[i];
+      if (!result || typeof selection !== "string") return;
+
+      const value = selection.trim();
+      if (value === NPCTokenReplacerController.getMatchLabel(result.match)) return;
+
+      let match = null;
+      if (value) {
+        match = choices.get(value)
+          ?? NameMatcher.selectBestMatch(indexMap?.get(NameMatcher.normalizeName(value)) ?? []);
+        if (!match) {
+          Logger.warn(`Manual match "${value}" for "${result.creatureName}" not found in the index, keeping computed match`);
+          return;
+        }
+      }
+
+      Logger.log(`Manual match: "${result.creatureName}" -> ${match ? `"${match.entry.name}" (${match.pack.metadata.label})` : "skipped"}`);
+      result.match = match ? { ...match, stage: "manual", confidence: 1 } : null;
+      result.overridden = true;
+      changed++;
+    });
+
+    return changed;
+  }
+
+  /**
+   * Get the minimum confidence a match needs to be ticked by default in the preview
+   * @returns {number} Threshold between 0 and 1 (0.8 when the setting is missing or invalid)
+   * @static
+   */
+  static getMinConfidence() {
+    try {
+      const value = Number(game.settings.get(MODULE_ID, "minConfidence"));
+      if (Number.isFinite(value) && value >= 0 && value <= 1) return value;
+    } catch (e) {
+      Logger.warn(`Error reading minConfidence (${e.name}: ${e.message}), using default`);
+    }
+    return 0.8;
+  }
+
+  /**
+   * Get the fuzzy-match similarity threshold from the world setting
+   * @returns {number} Threshold between 0 and 1 (NameMatcher.DEFAULT_FUZZY_THRESHOLD when missing or invalid)
+   * @static
+   */
+  static getFuzzyThreshold() {
+    try {
+      const value = Number(game.settings.get(MODULE_ID, "fuzzyThreshold"));
+      if (Number.isFinite(value) && value >= 0 && value <= 1) return value;
+    } catch (e) {
+      Logger.warn(`Error reading fuzzyThreshold (${e.name}: ${e.message}), using default`);
+    }
+    return NameMatcher.DEFAULT_FUZZY_THRESHOLD;
+  }
+
+  /**
+   * Get the user-defined name variant rules from the world setting
+   * @returns {{prefixes: string[], suffixes: string[], patterns: string[]}} Rules (empty lists when missing or invalid)
+   * @static
+   */
+  static getVariantRules() {
+    const rules = { prefixes: [], suffixes: [], patterns: [] };
+    try {
+      const stored = JSON.parse(game.settings.get(MODULE_ID, "variantRules") || "{}");
+      for (const key of Object.keys(rules)) {
+        if (Array.isArray(stored?.[key])) rules[key] = stored[key].filter(v => typeof v === "string");
+      }
+    } catch (e) {
+      Logger.warn(`Error reading variantRules (${e.name}: ${e.message}), using defaults`);
+    }
+    return rules;
+  }
+
+  /**
+   * Check whether a result should be replaced without the GM ticking it
+   * Matches without a confidence (e.g. from older callers) are trusted.
+   * @param {{match: Object|null}} result - A match result
+   * @param {number} [minConfidence] - Threshold, defaults to getMinConfidence()
+   * @returns {boolean} True when the result has a match at or above the threshold
+   * @static
+   */
+  static isAutoSelected(result, minConfidence = NPCTokenReplacerController.getMinConfidence()) {
+    if (!result?.match) return false;
+    return (result.match.confidence ?? 1) >= minConfidence;
+  }
+
+  /**
+   * Check whether a result's match is an exact name match
+   * Used by the preview's "only exact matches" control. Alias matches count as
+   * exact; results without a stage fall back to comparing normalized names.
+   * @param {{creatureName: string, match: Object|null}} result - A match result
+   * @returns {boolean} True for exact/alias matches
+   * @static
+   */
+  static isExactMatch(result) {
+    if (!result?.match) return false;
+    if (result.match.stage) return result.match.stage === "exact" || result.match.stage === "alias";
+    const matchName = result.match.normalizedName ?? NameMatcher.normalizeName(result.match.entry.name);
+    return NameMatcher.normalizeName(result.creatureName) === matchName;
+  }
+
+  /**
+   * Build the colour-coded stage/confidence badge shown next to a match
+   * @param {{stage?: string, confidence?: number}} match - A match result
+   * @returns {string} HTML badge, or "" when the match has no stage
+   * @static
+   * @private
+   */
+  static #stageBadge(match) {
+    if (!match?.stage) return "";
+    const color = NPCTokenReplacerController.STAGE_COLORS[match.stage] ?? "inherit";
+    const stageKey = `NPC_REPLACER.PreviewStage${match.stage.charAt(0).toUpperCase()}${match.stage.slice(1)}`;
+    const percent = Math.round((match.confidence ?? 1) * 100);
+    return ` <span class="npc-replacer-stage" data-stage="${escapeHtml(match.stage)}" style="color: ${color}; font-weight: bold;">${game.i18n.localize(stageKey)} ${percent}%</span>`;
+  }
+
+  /**
+   * Build the preview note listing the actor delta parts a token carries over
+   * @param {Object|null} delta - Result of TokenReplacer.extractActorDelta()
+   * @returns {string} HTML snippet, empty when nothing carries over
+   * @static
+   * @private
+   */
+  static #carryOverNote(delta) {
+    if (!delta) return "";
+    const parts = [];
+    const hp = delta.system?.attributes?.hp;
+    if (hp?.value !== undefined || hp?.max !== undefined) {
+      const hpText = hp.max !== undefined ? `${hp.value ?? hp.max}/${hp.max}` : `${hp.value}`;
+      parts.push(game.i18n.format("NPC_REPLACER.PreviewCarryHp", { hp: hpText }));
+    }
+    if (hp?.temp) parts.push(game.i18n.format("NPC_REPLACER.PreviewCarryTempHp", { temp: hp.temp }));
+    if (delta.effects?.length) parts.push(delta.effects.map(effect => escapeHtml(effect.name ?? "?")).join(", "));
+    if (delta.system?.spells || delta.system?.resources) parts.push(game.i18n.localize("NPC_REPLACER.PreviewCarryResources"));
+    if (delta.items?.length) parts.push(game.i18n.format("NPC_REPLACER.PreviewCarryItems", { count: delta.items.length }));
+    if (parts.length === 0) return "";
+    return `<br><small class="npc-replacer-carry-over notes">${game.i18n.format("NPC_REPLACER.PreviewCarryOver", { parts: parts.join(", ") })}</small>`;
+  }
+
+  /**
+   * Build the preview note telling whether a match reuses a world actor or imports one
+   * @param {Actor|null} actor - The world actor that will be reused, or null
+   * @returns {string} HTML note
+   * @static
+   * @private
+   */
+  static #actorSourceNote(actor) {
+    const text = actor
+      ? game.i18n.format("NPC_REPLACER.PreviewReuseActor", { name: escapeHtml(actor.name) })
+      : game.i18n.localize("NPC_REPLACER.PreviewImportActor");
+    return `<br><small class="npc-replacer-actor-source notes" data-reuse="${!!actor}">${text}</small>`;
+  }
+
+  /**
+   * Read the match inputs and include checkboxes of the preview dialog
+   * @param {HTMLElement|null} root - Dialog form or content element
+   * @returns {{matches: Array<string|undefined>, includes: Array<boolean|undefined>, remembers: Array<boolean|undefined>, links: Array<boolean|undefined>}} Values aligned with matchResults (sparse)
+   * @static
+   * @private
+   */
+  static #readPreviewSelections(root) {
+    const matches = [];
+    const includes = [];
+    const remembers = [];
+    const links = [];
+    if (!root?.querySelectorAll) return { matches, includes, remembers, links };
+    for (const input of root.querySelectorAll("input[data-match-index]")) {
+      matches[Number(input.dataset.matchIndex)] = input.value;
+    }
+    for (const input of root.querySelectorAll("input[data-include-index]")) {
+      includes[Number(input.dataset.includeIndex)] = input.checked;
+    }
+    for (const input of root.querySelectorAll("input[data-remember-index]")) {
+      remembers[Number(input.dataset.rememberIndex)] = input.checked;
+    }
+    // Only a toggled link checkbox is an override; otherwise the link rules decide for the final match
+    for (const input of root.querySelectorAll("input[data-link-index]")) {
+      if (input.checked !== input.defaultChecked) links[Number(input.dataset.linkIndex)] = input.checked;
+    }
+    return { matches, includes, remembers, links };
+  }
+
+  /**
+   * Wire the preview dialog's row checkboxes, select controls and Replace button
+   * Replace stays disabled while no included row has a match. Typing a match
+   * into a row includes it; clearing the match excludes it.
+   * @param {HTMLElement} root - Rendered dialog element
+   * @returns {void}
+   * @static
+   * @private
+   */
+  static #activatePreviewControls(root) {
+    const button = root.querySelector('.yes, [data-button="yes"], [data-action="yes"]');
+    const checkboxes = [...root.querySelectorAll("input[data-include-index]")];
+    const matchInput = index => root.querySelector(`input[data-match-index="${index}"]`);
+    const hasMatch = checkbox => !!matchInput(checkbox.dataset.includeIndex)?.value.trim();
+
+    const update = () => {
+      if (button) button.disabled = !checkboxes.some(c => c.checked && hasMatch(c));
+    };
+
+    root.addEventListener("input", event => {
+      const index = event.target?.dataset?.matchIndex;
+      if (index !== undefined) {
+        const checkbox = root.querySelector(`input[data-include-index="${index}"]`);
+        if (checkbox) checkbox.checked = !!event.target.value.trim();
+      }
+      update();
+    });
+    root.addEventListener("change", update);
+
+    for (const control of root.querySelectorAll("[data-select]")) {
+      control.addEventListener("click", event => {
+        event.preventDefault();
+        const mode = control.dataset.select;
+        for (const checkbox of checkboxes) {
+          if (mode === "none") checkbox.checked = false;
+          else if (mode === "exact") checkbox.checked = checkbox.dataset.exact === "true" && hasMatch(checkbox);
+          else checkbox.checked = hasMatch(checkbox);
+        }
+        update();
+      });
+    }
+
+    update();
+  }
+
+  /**
+   * Show a preview dialog with token-to-creature match mapping
+   * Replaces the old confirmation dialog with a rich 3-column table showing
+   * Token Name | Will Match As | Source Compendium for each token.
+   * Matched tokens appear first, unmatched tokens last.
+   * Each match shows its stage and confidence, colour coded; matches below the
+   * minimum confidence setting start unticked.
+   * The "Will Match As" cell is a searchable input over the loaded monster index,
+   * so the GM can correct a match (or pick one for an unmatched token) before
+   * confirming. Each row also has an include checkbox (with select all / none /
+   * only exact controls); unticked rows get `include: false`, and rows with
+   * "remember this match" ticked get `remember: true`; token rows whose "linked" checkbox
+   * (defaulting to TokenReplacer.shouldLinkActor) was toggled get `link`. Overrides and flags are
+   * written back into matchResults. Tokens whose actor delta carries over
+   * (see TokenReplacer.extractActorDelta) list the carried parts under their name,
+   * and results of multi-scene runs show their scene.
+   * @param {Array<{tokenDoc: Object|null, creatureName: string, match: Object|null, scene?: Scene}>} matchResults - Pre-computed match results from computeMatches
+   * @param {Object} [options] - Dialog texts and index for other kinds of runs
+   * @param {string} [options.title] - Dialog title (localized)
+   * @param {string} [options.nameLabel] - Header of the first column (localized)
+   * @param {Map<string, Array>|null} [options.indexMap=CompendiumManager.getIndexMap()] - Index the GM picks matches from
+   *   (the merged indexes of every scene in multi-scene runs)
+   * @param {boolean} [options.worldActors=true] - Whether token rows note the world actor they will reuse or import
+   *   (false when the tokens' actors are stored in a compendium)
+   * @returns {Promise<boolean>} Whether user confirmed to proceed
+   * @static
+   */
+  static async showPreviewDialog(matchResults, { title, nameLabel, indexMap = CompendiumManager.getIndexMap(), worldActors = true } = {}) {
+    const indexed = matchResults.map((result, index) => ({ result, index }));
+    const matched = indexed.filter(r => r.result.match !== null);
+    const unmatched = indexed.filter(r => r.result.match === null);
+    const sorted = [...matched, ...unmatched];
+
+    const noMatchText = game.i18n.localize("NPC_REPLACER.PreviewNoMatch");
+    const rememberText = game.i18n.localize("NPC_REPLACER.PreviewRemember");
+    const rememberHint = game.i18n.localize("NPC_REPLACER.PreviewRememberHint");
+    const linkText = game.i18n.localize("NPC_REPLACER.PreviewLinked");
+    const linkHint = game.i18n.localize("NPC_REPLACER.PreviewLinkedHint");
+    const choices = NPCTokenReplacerController.buildMatchChoices(indexMap);
+    const datalistId = "npc-replacer-match-choices";
+
+    const minConfidence = NPCTokenReplacerController.getMinConfidence();
+    const preservationGroups = TokenReplacer.getPreservationGroups();
+    const actorIndex = TokenReplacer.indexWorldActors();
+    const reusedActors = new Set();
+    const importedCreatures = new Set();
+    let lowConfidence = 0;
+
+    let rowsHtml = "";
+    for (const { result, index } of sorted) {
+      const exact = NPCTokenReplacerController.isExactMatch(result);
+      const selected = NPCTokenReplacerController.isAutoSelected(result, minConfidence);
+      if (result.match && !selected) lowConfidence++;
+      const carryOver = result.tokenDoc
+        ? NPCTokenReplacerController.#carryOverNote(TokenReplacer.extractActorDelta(result.tokenDoc, preservationGroups))
+        : "";
+      const sceneNote = result.scene ? `<br><small class="npc-replacer-scene notes">${escapeHtml(result.scene.name)}</small>` : "";
+      const includeCell = `<td><label><input type="checkbox" data-include-index="${index}" data-exact="${exact}"${selected ? " checked" : ""}>
+            ${escapeHtml(result.creatureName)}</label>${sceneNote}${carryOver}</td>`;
+      const linked = result.tokenDoc && result.match
+        ? TokenReplacer.shouldLinkActor([result.tokenDoc.name, result.creatureName, result.match.entry.name], result.match.entry.prototypeToken?.actorLink)
+        : false;
+      const linkControl = result.tokenDoc
+        ? ` <label title="${linkHint}"><input type="checkbox" data-link-index="${index}"${linked ? " checked" : ""}> ${linkText}</label>`
+        : "";
+      const rememberControl = `<label title="${rememberHint}"><input type="checkbox" data-remember-index="${index}"> ${rememberText}</label>${linkControl}`;
+      if (result.match) {
+        let actorSource = "";
+        if (result.tokenDoc && worldActors) {
+          const uuid = result.match.uuid ?? CompendiumManager.getEntryUuid(result.match.entry, result.match.pack);
+          const reused = TokenReplacer.findWorldActor(actorIndex, uuid, result.match.entry.name, result.match.entry.type);
+          if (reused) reusedActors.add(reused.id);
+          else importedCreatures.add(uuid);
+          actorSource = NPCTokenReplacerController.#actorSourceNote(reused);
+        }
+        rowsHtml += `<tr>
+          ${includeCell}
+          <td><input type="text" list="${datalistId}" data-match-index="${index}" value="${escapeHtml(NPCTokenReplacerController.getMatchLabel(result.match))}">
+            ${rememberControl}</td>
+          <td>${escapeHtml(result.match.pack.metadata.label)}${NPCTokenReplacerController.#stageBadge(result.match)}${actorSource}</td>
+        </tr>`;
+      } else {
+        rowsHtml += `<tr>
+          ${includeCell}
+          <td style="color: red;"><input type="text" list="${datalistId}" data-match-index="${index}" value="" placeholder="${noMatchText}">
+            ${rememberControl}</td>
+          <td>&mdash;</td>
+        </tr>`;
+      }
+    }
+
+    const optionsHtml = [...choices.keys()]
+      .map(label => `<option value="${escapeHtml(label)}"></option>`)
+      .join("");
+
+    const summary = game.i18n.format("NPC_REPLACER.PreviewSummary", {
+      matched: matched.length,
+      total: matchResults.length
+    });
+
+    const lowConfidenceNote = lowConfidence > 0
+      ? `<p class="notes">${game.i18n.format("NPC_REPLACER.PreviewLowConfidence", { count: lowConfidence, threshold: Math.round(minConfidence * 100) })}</p>`
+      : "";
+
+    const actorSummary = reusedActors.size + importedCreatures.size > 0
+      ? `<p class="notes npc-replacer-actor-summary">${game.i18n.format("NPC_REPLACER.PreviewActorSummary", { reuse: reusedActors.size, import: importedCreatures.size })}</p>`
+      : "";
+
+    const content = `
+      <p>${summary}</p>
+      ${lowConfidenceNote}
+      ${actorSummary}
+      <p class="notes">${game.i18n.localize("NPC_REPLACER.PreviewOverrideHint")}</p>
+      <div class="flexrow" style="gap: 4px;">
+        <button type="button" data-select="all">${game.i18n.localize("NPC_REPLACER.PreviewSelectAll")}</button>
+        <button type="button" data-select="none">${game.i18n.localize("NPC_REPLACER.PreviewSelectNone")}</button>
+        <button type="button" data-select="exact">${game.i18n.localize("NPC_REPLACER.PreviewSelectExact")}</button>
+      </div>
+      <div style="max-height: 300px; overflow-y: auto; margin: 10px 0;">
+        <table style="width: 100%; border-collapse: collapse;">
+          <thead>
+            <tr>
+              <th>${nameLabel ?? game.i18n.localize("NPC_REPLACER.PreviewColToken")}</th>
+              <th>${game.i18n.localize("NPC_REPLACER.PreviewColMatch")}</th>
+              <th>${game.i18n.localize("NPC_REPLACER.PreviewColSource")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHtml}
+          </tbody>
+        </table>
+      </div>
+      <datalist id="${datalistId}">${optionsHtml}</datalist>
+    `;
+
+    const dialogOpts = {
+      title: title ?? game.i18n.localize("NPC_REPLACER.PreviewTitle"),
+      content,
+      yes: null,
+      no: null,
+      defaultYes: false,
+      close: null
+    };
+
+    // Wire the row controls; Replace is disabled while no included row has a match
+    dialogOpts.render = (html, dialog) => {
+      // DialogV2 passes (event, dialog); legacy Dialog passes the jQuery-wrapped element
+      const root = dialog?.element ?? html?.[0];
+      if (root?.querySelector) {
+        NPCTokenReplacerController.#activatePreviewControls(root);
+      } else if (matched.length === 0) {
+        html.find('.yes, [data-button="yes"]').prop("disabled", true);
+      }
+    };
+
+    return new Promise(resolve => {
+      const confirm = (root) => {
+        const { matches, includes, remembers, links } = NPCTokenReplacerController.#readPreviewSelections(root);
+        NPCTokenReplacerController.applyMatchOverrides(matchResults, matches, choices, indexMap);
+        includes.forEach((include, i) => {
+          if (matchResults[i]) matchResults[i].include = include;
+        });
+        remembers.forEach((remember, i) => {
+          if (matchResults[i] && remember) matchResults[i].remember = true;
+        });
+        links.forEach((link, i) => {
+          if (matchResults[i] && link !== undefined) matchResults[i].link = link;
+        });
+        resolve(true);
+      };
+      dialogOpts.yes = (html) => confirm(html?.[0] ?? null);
+      dialogOpts.no = () => resolve(false);
+      dialogOpts.close = () => resolve(false);
+      // Feature-detect DialogV2 (Foundry v13+) with fallback to legacy Dialog (v12)
+      const DialogV2 = foundry?.applications?.api?.DialogV2;
+      if (DialogV2) {
+        // v13+ ApplicationV2-based dialog
+        DialogV2.confirm({
+          window: { title: dialogOpts.title },
+          content: dialogOpts.content,
+          yes: { label: dialogOpts.buttons?.yes?.label ?? game.i18n.localize("NPC_REPLACER.ConfirmYes"), callback: (_event, button) => confirm(button?.form ?? null) },
+          no: { label: dialogOpts.buttons?.no?.label ?? game.i18n.localize("NPC_REPLACER.ConfirmNo"), callback: () => resolve(false) },
+          render: dialogOpts.render
+        });
+      } else {
+        // v12 legacy Dialog
+        Dialog.confirm(dialogOpts);
+      }
+    });
+  }
+
+  // Removed: #processToken — replacement logic inlined in replaceNPCTokens using pre-computed matches
+
+  /**
+   * Report the results of a replacement session
+   * Displays appropriate notifications and logs details
+   * @param {number} replaced - Count of successfully replaced tokens
+   * @param {string[]} notFound - Names of tokens not found in compendiums
+   * @param {string[]} importFailed - Names of tokens that failed during import
+   * @param {string[]} creationFailed - Names of tokens that failed during creation
+   * @returns {void}
+   * @static
+   * @private
+   */
+  static #reportResults(replaced, notFound, importFailed, creationFailed) {
+    if (replaced > 0) {
+      ui.notifications.info(game.i18n.format("NPC_REPLACER.Complete", { count: replaced }));
+    }
+
+    if (notFound.length > 0) {
+      ui.notifications.warn(game.i18n.format("NPC_REPLACER.NotFoundCount", { count: notFound.length }));
+      Logger.log("Creatures not found in compendiums:", notFound);
+    }
+
+    const totalErrors = importFailed.length + creationFailed.length;
+    if (totalErrors > 0) {
+      ui.notifications.error(game.i18n.format("NPC_REPLACER.SummaryPartialFailure", {
+        replaced,
+        noMatch: notFound.length,
+        importFailed: importFailed.length,
+        creationFailed: creationFailed.length
+      }));
+      if (importFailed.length > 0) Logger.log("Import failures:", importFailed);
+      if (creationFailed.length > 0) Logger.log("Creation failures:", creationFailed);
+    }
+
+    Logger.log(`Replacement complete: ${replaced} replaced, ${notFound.length} not found, ${importFailed.length} import failures, ${creationFailed.length} creation failures`);
+  }
+
+  /**
+   * Main function to replace NPC tokens (selected or all in scene)
+   * Orchestrates the entire replacement workflow:
+   * 1. Validates prerequisites (GM, scene, compendiums)
+   * 2. Gets tokens to process (selected or all NPCs)
+   * 3. Shows confirmation dialog
+   * 4. Resolves all matched tokens in parallel, then creates/deletes them in one batch
+   * 5. Reports results
+   *
+   * @returns {Promise<void>}
+   * @static
+   * @example
+   * // Triggered by button click or console
+   * await NPCTokenReplacerController.replaceNPCTokens();
+   *
+   * // From debug API
+   * NPCTokenReplacer.replaceNPCTokens();
+   */
+  static async replaceNPCTokens() {
+    // Prevent double execution — acquire lock immediately to avoid TOCTOU race
+    if (NPCTokenReplacerController.#isProcessing) {
+      Logger.log("Already processing tokens, ignoring duplicate call");
+      return;
+    }
+    NPCTokenReplacerController.#isProcessing = true;
+
+    try {
+      // Validate prerequisites
+      if (!NPCTokenReplacerController.validatePrerequisites()) {
+        return;
+      }
+
+      // Check if any compendiums are available
+      const enabledPacks = CompendiumManager.getEnabledCompendiums();
+      if (enabledPacks.length === 0) {
+        ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoCompendium"));
+        return;
+      }
+
+      // Load the combined monster index from all enabled compendiums
+      const index = await CompendiumManager.loadMonsterIndex();
+
+      if (index.length === 0) {
+        ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoCompendium"));
+        return;
+      }
+
+      // Get NPC tokens to process (selected if any, otherwise all scene NPCs)
+      const { tokens: npcTokens, isSelection } = TokenReplacer.getNPCTokensToProcess();
+      if (npcTokens.length === 0) {
+        const message = isSelection
+          ? game.i18n.localize("NPC_REPLACER.NoSelectedNPCs")
+          : game.i18n.localize("NPC_REPLACER.NoTokens");
+        ui.notifications.info(message);
+        return;
+      }
+
+      const sourceDesc = isSelection ? "selected" : "in scene";
+      Logger.log(`Found ${npcTokens.length} NPC tokens ${sourceDesc}`);
+
+      // Pre-compute matches (scan phase with progress)
+      const scanProgress = new ProgressReporter();
+      const matchResults = NPCTokenReplacerController.computeMatches(npcTokens, index, scanProgress);
+
+      // Show preview dialog with match results
+      const confirmed = await NPCTokenReplacerController.showPreviewDialog(matchResults);
+      if (!confirmed) {
+        Logger.log("Token replacement cancelled by user");
+        return;
+      }
+
+      await NPCTokenReplacerController.#replaceConfirmed(matchResults, canvas.scene);
+    } finally {
+      // Always release the lock and clean up session state
+      NPCTokenReplacerController.#isProcessing = false;
+      TokenReplacer.clearActorLookup();
+    }
+  }
+
+  /**
+   * Replace NPC tokens in several scenes at once, without viewing them
+   * Every selected scene is matched against its own compendium profile, then
+   * all tokens are shown in one preview and replaced under one progress bar.
+   * Each scene gets its own history entry, so it can be reverted on its own.
+   * @param {Array<Scene|string>} [scenes] - Scenes or scene IDs; asks with the scene dialog when omitted
+   * @returns {Promise<void>}
+   * @static
+   * @example
+   * // From the toolbar (asks which scenes)
+   * await NPCTokenReplacerController.replaceInScenes();
+   *
+   * // From the console
+   * NPCTokenReplacer.replaceInScenes(game.scenes.filter(s => s.folder?.name === "Chapter 1"));
+   */
+  static async replaceInScenes(scenes) {
+    if (NPCTokenReplacerController.#isProcessing) {
+      Logger.log("Already processing tokens, ignoring duplicate call");
+      return;
+    }
+    NPCTokenReplacerController.#isProcessing = true;
+
+    try {
+      if (!NPCTokenReplacerController.validatePrerequisites({ requireScene: false })) {
+        return;
+      }
+
+      const selected = scenes
+        ? scenes.map(s => (typeof s === "string" ? game.scenes.get(s) : s)).filter(Boolean)
+        : await NPCTokenReplacerController.showSceneSelectionDialog();
+      if (!selected || selected.length === 0) {
+        Logger.log("No scenes selected for replacement");
+        return;
+      }
+
+      const tokensByScene = selected.map(scene => ({ scene, tokens: TokenReplacer.getNPCTokensInScene(scene) }));
+      const total = tokensByScene.reduce((sum, { tokens }) => sum + tokens.length, 0);
+      if (total === 0) {
+        ui.notifications.info(game.i18n.localize("NPC_REPLACER.NoTokens"));
+        return;
+      }
+      Logger.log(`Found ${total} NPC tokens in ${selected.length} scene(s)`);
+
+      const { matchResults, indexMap } = await NPCTokenReplacerController.#matchSceneTokens(tokensByScene);
+      const confirmed = await NPCTokenReplacerController.showPreviewDialog(matchResults, { indexMap });
+      if (!confirmed) {
+        Logger.log("Token replacement cancelled by user");
+        return;
+      }
+
+      await NPCTokenReplacerController.#replaceConfirmed(matchResults, null);
+    } finally {
+      NPCTokenReplacerController.#isProcessing = false;
+      TokenReplacer.clearActorLookup();
+    }
+  }
+
+  /**
+   * Match the NPC tokens of several scenes, each against its own compendium profile
+   * Runs under one progress bar. The index Maps of the scanned scenes are merged,
+   * so manual matches in the preview can pick from the index of any of them.
+   * @param {Array<{scene: Scene, tokens: TokenDocument[]}>} tokensByScene - Tokens to match, per scene
+   * @returns {Promise<{matchResults: Array<{tokenDoc: TokenDocument, creatureName: string, match: Object|null, scene: Scene}>, indexMap: Map<string, Array>}>}
+   *   Match results in scene order and the merged index
+   * @static
+   * @private
+   */
+  static async #matchSceneTokens(tokensByScene) {
+    const total = tokensByScene.reduce((sum, { tokens }) => sum + tokens.length, 0);
+    const matchResults = [];
+    const indexMaps = [];
+    const scanProgress = new ProgressReporter();
+    scanProgress.start(total, game.i18n.localize("NPC_REPLACER.PreviewScanning"));
+    try {
+      for (const { scene, tokens } of tokensByScene) {
+        if (tokens.length === 0) continue;
+        CompendiumManager.setTargetScene(scene);
+        const index = await CompendiumManager.loadMonsterIndex();
+        indexMaps.push(CompendiumManager.getIndexMap());
+        for (const tokenDoc of tokens) {
+          const creatureName = tokenDoc.actor?.name || tokenDoc.name;
+          const match = index.length > 0 ? NameMatcher.findMatch(creatureName, index) : null;
+          matchResults.push({ tokenDoc, creatureName, match, scene });
+          scanProgress.update(matchResults.length, game.i18n.format("NPC_REPLACER.ProgressUpdate", {
+            current: matchResults.length,
+            total,
+            name: tokenDoc.name
+          }));
+        }
+      }
+    } finally {
+      scanProgress.finish();
+      CompendiumManager.setTargetScene(null);
+    }
+    return { matchResults, indexMap: CompendiumManager.mergeIndexMaps(indexMaps) };
+  }
+
+  /**
+   * Upgrade the NPC actors of the Actors directory to their compendium versions
+   * Matches every world NPC actor, shows the matches in the preview dialog and
+   * overwrites the confirmed actors in place (see ActorUpgrader). Actors already
+   * imported from their matched entry are skipped.
+   * @returns {Promise<void>}
+   * @static
+   * @example
+   * // From the Actors directory button or the console
+   * await NPCTokenReplacerController.upgradeWorldActors();
+   */
+  static async upgradeWorldActors() {
+    if (NPCTokenReplacerController.#isProcessing) {
+      Logger.log("Already processing, ignoring actor upgrade request");
+      return;
+    }
+    NPCTokenReplacerController.#isProcessing = true;
+
+    try {
+      if (!NPCTokenReplacerController.validatePrerequisites({ requireScene: false })) {
+        return;
+      }
+
+      const index = await CompendiumManager.loadMonsterIndex();
+      if (index.length === 0) {
+        ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoCompendium"));
+        return;
+      }
+
+      const actors = ActorUpgrader.getWorldNPCs();
+      const matchResults = ActorUpgrader.computeMatches(actors, index, new ProgressReporter());
+      if (matchResults.length === 0) {
+        ui.notifications.info(game.i18n.localize("NPC_REPLACER.UpgradeNothing"));
+        return;
+      }
+      Logger.log(`${matchResults.length} of ${actors.length} world NPC actors can be upgraded`);
+
+      const confirmed = await NPCTokenReplacerController.showPreviewDialog(matchResults, {
+        title: game.i18n.localize("NPC_REPLACER.UpgradeTitle"),
+        nameLabel: game.i18n.localize("NPC_REPLACER.UpgradeColActor")
+      });
+      if (!confirmed) {
+        Logger.log("Actor upgrade cancelled by user");
+        return;
+      }
+
+      const toRemember = matchResults.filter(r => r.remember && r.match);
+      if (toRemember.length > 0) {
+        await NPCTokenReplacerController.#rememberMatches(toRemember);
+      }
+
+      const toUpgrade = matchResults.filter(r => r.match !== null && r.include !== false);
+      const { upgraded, failed } = await ActorUpgrader.upgradeActors(toUpgrade, new ProgressReporter());
+      if (upgraded > 0) {
+        ui.notifications.info(game.i18n.format("NPC_REPLACER.UpgradeComplete", { count: upgraded }));
+      }
+      if (failed.length > 0) {
+        ui.notifications.error(game.i18n.format("NPC_REPLACER.UpgradeFailed", { count: failed.length }));
+        Logger.log("Actor upgrade failures:", failed);
+      }
+    } finally {
+      NPCTokenReplacerController.#isProcessing = false;
+    }
+  }
+
+  /**
+   * Upgrade the scenes, actors or adventures inside a world compendium
+   * Scene compendiums go through the token replacement pipeline (every scene is
+   * matched against its own profile, tokens whose actor is not in the world are
+   * matched by name) with their actors kept in a companion Actor compendium;
+   * Actor compendiums are upgraded in place like world actors; Adventure
+   * compendiums get both, with the actors stored in each adventure.
+   * All matches share one preview. The pack is unlocked for the run and relocked
+   * afterwards, and a per-document report is written to a new journal entry.
+   * @param {CompendiumCollection|string} [packOrId] - The compendium or its collection ID; asks when omitted
+   * @returns {Promise<void>}
+   * @static
+   * @example
+   * await NPCTokenReplacerController.upgradeCompendium("world.my-adventure-scenes");
+   */
+  static async upgradeCompendium(packOrId) {
+    if (NPCTokenReplacerController.#isProcessing) {
+      Logger.log("Already processing, ignoring compendium upgrade request");
+      return;
+    }
+    NPCTokenReplacerController.#isProcessing = true;
+
+    try {
+      if (!NPCTokenReplacerController.validatePrerequisites({ requireScene: false })) {
+        return;
+      }
+
+      const pack = packOrId
+        ? (typeof packOrId === "string" ? game.packs.get(packOrId) : packOrId)
+        : await NPCTokenReplacerController.showPackSelectionDialog();
+      if (!pack) {
+        if (packOrId) ui.notifications.warn(game.i18n.format("NPC_REPLACER.PackNotFound", { id: String(packOrId) }));
+        return;
+      }
+      if (!PackUpgrader.isUpgradable(pack)) {
+        ui.notifications.warn(game.i18n.format("NPC_REPLACER.PackUnsupported", { label: pack.metadata?.label ?? pack.collection }));
+        return;
+      }
+
+      const rows = await PackUpgrader.withUnlockedPack(pack, () => NPCTokenReplacerController.#upgradePackContents(pack));
+      if (!rows) return;
+
+      const journal = await PackUpgrader.writeReport(pack, rows);
+      ui.notifications.info(game.i18n.format(journal ? "NPC_REPLACER.PackUpgradeComplete" : "NPC_REPLACER.PackUpgradeCompleteNoReport", {
+        label: pack.metadata.label,
+        report: journal?.name ?? ""
+      }));
+    } catch (error) {
+      Logger.error("Failed to upgrade compendium", error);
+      ui.notifications.error(game.i18n.localize("NPC_REPLACER.PackUpgradeError"));
+    } finally {
+      NPCTokenReplacerController.#isProcessing = false;
+      TokenReplacer.clearActorLookup();
+    }
+  }
+
+  /**
+   * Match, preview and upgrade the documents of an unlocked world compendium
+   * @param {CompendiumCollection} pack - A Scene, Actor or Adventure compendium (see PackUpgrader)
+   * @returns {Promise<Array<{name: string, changes: string}>|null>} Report rows, or null when cancelled
+   * @static
+   * @private
+   */
+  static async #upgradePackContents(pack) {
+    const documents = await pack.getDocuments();
+    let matchResults;
+    let indexMap;
+
+    if (pack.documentName === "Scene") {
+      const tokensByScene = documents.map(scene => ({ scene, tokens: TokenReplacer.getNPCTokensInScene(scene, { includeUnresolved: true }) }));
+      ({ matchResults, indexMap } = await NPCTokenReplacerController.#matchSceneTokens(tokensByScene));
+    } else if (pack.documentName === "Adventure") {
+      ({ matchResults, indexMap } = await NPCTokenReplacerController.#matchAdventures(documents));
+    } else {
+      const index = await CompendiumManager.loadMonsterIndex();
+      const actors = documents.filter(actor => actor.type === "npc");
+      // An Actor pack that is also a match source must not be upgraded from itself
+      matchResults = ActorUpgrader.computeMatches(actors, index, new ProgressReporter())
+        .map(r => (r.match?.pack === pack ? { ...r, match: null } : r));
+    }
+
+    if (matchResults.length === 0) {
+      return PackUpgrader.buildReport(documents, matchResults);
+    }
+
+    const confirmed = await NPCTokenReplacerController.showPreviewDialog(matchResults, {
+      title: game.i18n.format("NPC_REPLACER.PackUpgradeTitle", { label: pack.metadata.label }),
+      nameLabel: pack.documentName === "Actor" ? game.i18n.localize("NPC_REPLACER.UpgradeColActor") : undefined,
+      indexMap,
+      worldActors: false
+    });
+    if (!confirmed) {
+      Logger.log("Compendium upgrade cancelled by user");
+      return null;
+    }
+
+    if (pack.documentName === "Scene") {
+      const scenes = await NPCTokenReplacerController.#replaceInPackScenes(pack, matchResults);
+      return PackUpgrader.buildReport(documents, matchResults, { scenes });
+    }
+    if (pack.documentName === "Adventure") {
+      const adventures = await NPCTokenReplacerController.#upgradeAdventures(matchResults);
+      return PackUpgrader.buildReport(documents, matchResults, { adventures });
+    }
+
+    const toRemember = matchResults.filter(r => r.remember && r.match);
+    if (toRemember.length > 0) {
+      await NPCTokenReplacerController.#rememberMatches(toRemember);
+    }
+    const toUpgrade = matchResults.filter(r => r.match !== null && r.include !== false);
+    const { statuses } = await ActorUpgrader.upgradeActors(toUpgrade, new ProgressReporter());
+    const actors = new Map(toUpgrade.map((r, i) => [r.actor, statuses[i]]));
+    return PackUpgrader.buildReport(documents, matchResults, { actors });
+  }
+
+  /**
+   * Replace the confirmed tokens of a Scene compendium
+   * The tokens' actors come from the pack's companion Actor compendium (see
+   * PackUpgrader.getOrCreateActorPack), never from the world, so the scenes keep
+   * working once the packs are imported elsewhere.
+   * @param {CompendiumCollection} pack - The unlocked Scene compendium
+   * @param {Object[]} matchResults - Confirmed preview results, each with its `scene`
+   * @returns {Promise<Array<{scene: Scene, replaced: number, importFailed: string[], creationFailed: string[]}>>} Outcome per scene
+   * @static
+   * @private
+   */
+  static async #replaceInPackScenes(pack, matchResults) {
+    if (!matchResults.some(r => r.match !== null && r.include !== false)) {
+      return NPCTokenReplacerController.#replaceConfirmed(matchResults, null);
+    }
+
+    const actorPack = await PackUpgrader.getOrCreateActorPack(pack);
+    return PackUpgrader.withUnlockedPack(actorPack, async () => {
+      TokenReplacer.setActorResolver(await PackUpgrader.createPackActorResolver(actorPack));
+      try {
+        return await NPCTokenReplacerController.#replaceConfirmed(matchResults, null);
+      } finally {
+        TokenReplacer.setActorResolver(null);
+      }
+    });
+  }
+
+  /**
+   * Match the scene tokens and NPC actors of Adventure documents
+   * Results carry their `adventure`; token results also carry their `scene`.
+   * @param {Adventure[]} adventures - The adventures of the compendium
+   * @returns {Promise<{matchResults: Object[], indexMap: Map<string, Array>}>} Match results and the merged index
+   * @static
+   * @private
+   */
+  static async #matchAdventures(adventures) {
+    const tokensByScene = [];
+    const adventureOf = new Map();
+    for (const adventure of adventures) {
+      for (const scene of adventure.scenes ?? []) {
+        tokensByScene.push({ scene, tokens: TokenReplacer.getNPCTokensInScene(scene, { includeUnresolved: true }) });
+        adventureOf.set(scene, adventure);
+      }
+    }
+    const { matchResults, indexMap } = await NPCTokenReplacerController.#matchSceneTokens(tokensByScene);
+    for (const result of matchResults) result.adventure = adventureOf.get(result.scene);
+
+    const index = await CompendiumManager.loadMonsterIndex();
+    for (const adventure of adventures) {
+      const actors = Array.from(adventure.actors ?? []).filter(actor => actor.type === "npc");
+      for (const result of ActorUpgrader.computeMatches(actors, index, new ProgressReporter())) {
+        matchResults.push({ ...result, adventure });
+      }
+    }
+    return { matchResults, indexMap: CompendiumManager.mergeIndexMaps([indexMap, CompendiumManager.getIndexMap()]) };
+  }
+
+  /**
+   * Upgrade the adventures whose results the GM confirmed in the preview
+   * An adventure that cannot be updated is reported as failed without stopping the others.
+   * @param {Object[]} matchResults - Confirmed preview results, each with its `adventure`
+   * @returns {Promise<Map<Adventure, {replaced: number, upgraded: number, failed: number}>>} Outcome per adventure
+   * @static
+   * @private
+   */
+  static async #upgradeAdventures(matchResults) {
+    const toRemember = matchResults.filter(r => r.remember && r.match);
+    if (toRemember.length > 0) {
+      await NPCTokenReplacerController.#rememberMatches(toRemember);
+    }
+
+    const confirmed = matchResults.filter(r => r.match !== null && r.include !== false);
+    NPCTokenReplacerController.#startReplacementSession(confirmed.filter(r => r.tokenDoc));
+    const byAdventure = new Map();
+    for (const result of confirmed) {
+      if (!byAdventure.has(result.adventure)) byAdventure.set(result.adventure, []);
+      byAdventure.get(result.adventure).push(result);
+    }
+
+    const outcomes = new Map();
+    const progress = new ProgressReporter();
+    progress.start(confirmed.length, game.i18n.format("NPC_REPLACER.ProgressStart", { count: confirmed.length }));
+    let completed = 0;
+    try {
+      for (const [adventure, results] of byAdventure) {
+        try {
+          outcomes.set(adventure, await PackUpgrader.upgradeAdventure(adventure, results));
+        } catch (error) {
+          Logger.error(`Failed to update adventure "${adventure.name}"`, error);
+          outcomes.set(adventure, { replaced: 0, upgraded: 0, failed: results.length });
+        }
+        completed += results.length;
+        progress.update(completed, game.i18n.format("NPC_REPLACER.ProgressUpdate", {
+          current: completed,
+          total: confirmed.length,
+          name: adventure.name
+        }));
+      }
+    } finally {
+      progress.finish();
+    }
+    return outcomes;
+  }
+
+  /**
+   * Ask which world compendium to upgrade
+   * @returns {Promise<CompendiumCollection|null>} The chosen compendium, or null when cancelled or none exists
+   * @static
+   */
+  static async showPackSelectionDialog() {
+    const packs = PackUpgrader.getUpgradablePacks();
+    if (packs.length === 0) {
+      ui.notifications.info(game.i18n.localize("NPC_REPLACER.PackNone"));
+      return null;
+    }
+
+    const options = packs
+      .map(pack => `<option value="${escapeHtml(pack.collection)}">${escapeHtml(pack.metadata.label)} (${escapeHtml(pack.documentName)})</option>`)
+      .join("");
+    const content = `
+      <p class="notes">${game.i18n.localize("NPC_REPLACER.PackHint")}</p>
+      <div class="form-group">
+        <label>${game.i18n.localize("NPC_REPLACER.PackLabel")}</label>
+        <select name="pack">${options}</select>
+      </div>`;
+    const title = game.i18n.localize("NPC_REPLACER.PackTitle");
+    const readChoice = (root) => {
+      const id = root?.querySelector?.("select[name=\"pack\"]")?.value;
+      return packs.find(pack => pack.collection === id) ?? null;
+    };
+
+    return new Promise(resolve => {
+      const DialogV2 = foundry?.applications?.api?.DialogV2;
+      if (DialogV2) {
+        DialogV2.confirm({
+          window: { title },
+          content,
+          yes: { label: game.i18n.localize("NPC_REPLACER.PackYes"), callback: (_event, button) => resolve(readChoice(button?.form ?? null)) },
+          no: { label: game.i18n.localize("NPC_REPLACER.ConfirmNo"), callback: () => resolve(null) }
+        });
+      } else {
+        Dialog.confirm({
+          title,
+          content,
+          yes: (html) => resolve(readChoice(html?.[0] ?? null)),
+          no: () => resolve(null),
+          close: () => resolve(null),
+          defaultYes: false
+        });
+      }
+    });
+  }
+
+  /**
+   * Ask which scenes to replace tokens in
+   * Lists every scene with its NPC token count; scenes are unticked by default.
+   * @returns {Promise<Scene[]|null>} The ticked scenes, or null when cancelled
+   * @static
+   */
+  static async showSceneSelectionDialog() {
+    const scenes = Array.from(game.scenes ?? []);
+    const rowsHtml = scenes.map(scene => {
+      const count = TokenReplacer.getNPCTokensInScene(scene).length;
+      return `<tr>
+          <td><label><input type="checkbox" data-scene-id="${escapeHtml(scene.id)}"> ${escapeHtml(scene.name)}</label></td>
+          <td style="text-align: right;">${count}</td>
+        </tr>`;
+    }).join("");
+
+    const content = `
+      <p class="notes">${game.i18n.localize("NPC_REPLACER.ScenesHint")}</p>
+      <div class="flexrow" style="gap: 4px;">
+        <button type="button" data-select-scenes="all">${game.i18n.localize("NPC_REPLACER.PreviewSelectAll")}</button>
+        <button type="button" data-select-scenes="none">${game.i18n.localize("NPC_REPLACER.PreviewSelectNone")}</button>
+      </div>
+      <div style="max-height: 400px; overflow-y: auto; margin: 10px 0;">
+        <table style="width: 100%; border-collapse: collapse;">
+          <thead>
+            <tr>
+              <th>${game.i18n.localize("NPC_REPLACER.ScenesColScene")}</th>
+              <th>${game.i18n.localize("NPC_REPLACER.ScenesColCount")}</th>
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </div>
+    `;
+    const title = game.i18n.localize("NPC_REPLACER.ScenesTitle");
+
+    const readSelection = (root) => {
+      if (!root?.querySelectorAll) return [];
+      return [...root.querySelectorAll("input[data-scene-id]:checked")]
+        .map(input => game.scenes.get(input.dataset.sceneId))
+        .filter(Boolean);
+    };
+    const render = (html, dialog) => {
+      const root = dialog?.element ?? html?.[0];
+      if (!root?.querySelectorAll) return;
+      for (const button of root.querySelectorAll("[data-select-scenes]")) {
+        button.addEventListener("click", () => {
+          const checked = button.dataset.selectScenes === "all";
+          for (const input of root.querySelectorAll("input[data-scene-id]")) input.checked = checked;
+        });
+      }
+    };
+
+    return new Promise(resolve => {
+      const DialogV2 = foundry?.applications?.api?.DialogV2;
+      if (DialogV2) {
+        DialogV2.confirm({
+          window: { title },
+          content,
+          yes: { label: game.i18n.localize("NPC_REPLACER.ScenesYes"), callback: (_event, button) => resolve(readSelection(button?.form ?? null)) },
+          no: { label: game.i18n.localize("NPC_REPLACER.ConfirmNo"), callback: () => resolve(null) },
+          render
+        });
+      } else {
+        Dialog.confirm({
+          title,
+          content,
+          yes: (html) => resolve(readSelection(html?.[0] ?? null)),
+          no: () => resolve(null),
+          close: () => resolve(null),
+          render,
+          defaultYes: false
+        });
+      }
+    });
+  }
+
+  /**
+   * Replace the tokens the GM confirmed in the preview and report the outcome
+   * Results are replaced scene by scene (results carry their `scene` in multi-scene
+   * runs) under one progress bar; each scene's run is journaled separately.
+   * @param {Array<{tokenDoc: Object, creatureName: string, match: Object|null, scene?: Scene}>} matchResults - Confirmed preview results
+   * @param {Scene|null} defaultScene - Scene of results without their own `scene`
+   * @returns {Promise<Array<{scene: Scene, replaced: number, importFailed: string[], creationFailed: string[]}>>} Outcome per scene
+   * @static
+   * @private
+   */
+  static async #replaceConfirmed(matchResults, defaultScene) {
+    // Save "remember this match" choices as aliases for future runs
+    const toRemember = matchResults.filter(r => r.remember && r.match);
+    if (toRemember.length > 0) {
+      await NPCTokenReplacerController.#rememberMatches(toRemember);
+    }
+
+    // Filter to matched tokens the GM kept ticked in the preview
+    const toReplace = matchResults.filter(r => r.match !== null && r.include !== false);
+    NPCTokenReplacerController.#startReplacementSession(toReplace);
+    const notFoundNames = matchResults.filter(r => r.match === null).map(r => r.creatureName);
+    const excludedCount = matchResults.filter(r => r.match !== null && r.include === false).length;
+    if (excludedCount > 0) {
+      Logger.log(`${excludedCount} matched token(s) excluded in the preview`);
+    }
+
+    const byScene = new Map();
+    for (const result of toReplace) {
+      const scene = result.scene ?? defaultScene;
+      if (!byScene.has(scene)) byScene.set(scene, []);
+      byScene.get(scene).push(result);
+    }
+
+    const progress = new ProgressReporter();
+    const session = { progress, completed: 0, total: toReplace.length };
+    progress.start(toReplace.length, game.i18n.format("NPC_REPLACER.ProgressStart", { count: toReplace.length }));
+
+    let replaced = 0;
+    const importFailed = [];
+    const creationFailed = [];
+    const sceneOutcomes = [];
+    try {
+      for (const [scene, results] of byScene) {
+        const importedBefore = new Set(TokenReplacer.getImportedActorIds());
+        const outcome = await NPCTokenReplacerController.#executeReplacements(scene, results, session);
+        replaced += outcome.replaced;
+        importFailed.push(...outcome.importFailed);
+        creationFailed.push(...outcome.creationFailed);
+        sceneOutcomes.push({ scene, replaced: outcome.replaced, importFailed: outcome.importFailed, creationFailed: outcome.creationFailed });
+
+        // Journal the run in scene flags so it can be reverted
+        if (outcome.originalTokens.length > 0) {
+          const importedActorIds = TokenReplacer.getImportedActorIds().filter(id => !importedBefore.has(id));
+          await NPCTokenReplacerController.#recordHistory(scene, outcome, importedActorIds);
+        }
+      }
+    } finally {
+      progress.finish();
+    }
+
+    // Report results
+    NPCTokenReplacerController.#reportResults(replaced, notFoundNames, importFailed, creationFailed);
+    return sceneOutcomes;
+  }
+
+  /**
+   * Start a replacement session for the tokens confirmed in the preview
+   * Resets the sequential counter, builds the actor lookup and hands the preview's
+   * link choices and match stages to TokenReplacer.
+   * @param {Array<{tokenDoc: TokenDocument, match: Object, link?: boolean}>} toReplace - Confirmed token results
+   * @returns {void}
+   * @static
+   * @private
+   */
+  static #startReplacementSession(toReplace) {
+    TokenReplacer.resetCounter();
+    TokenReplacer.buildActorLookup();
+    for (const result of toReplace) {
+      if (result.link !== undefined) TokenReplacer.setLinkOverride(result.tokenDoc.id, result.link);
+      if (result.match.stage) TokenReplacer.setMatchStage(result.tokenDoc.id, result.match.stage);
+    }
+  }
+
+  /**
+   * Store preview matches as creature aliases
+   * A failure to save is reported but does not stop the replacement.
+   * @param {Array<{creatureName: string, match: Object}>} results - Results the GM asked to remember
+   * @returns {Promise<void>}
+   * @static
+   * @private
+   */
+  static async #rememberMatches(results) {
+    const entries = results.map(r => ({
+      name: r.creatureName,
+      uuid: r.match.uuid ?? CompendiumManager.getEntryUuid(r.match.entry, r.match.pack)
+    }));
+    try {
+      await AliasManager.addAliases(entries);
+      Logger.log(`Remembered ${entries.length} creature alias(es)`);
+    } catch (error) {
+      Logger.error("Failed to save creature aliases", error);
+      ui.notifications.warn(game.i18n.localize("NPC_REPLACER.ErrorAliasSave"));
+    }
+  }
+
+  /**
+   * Classify a per-token failure from its error message
+   * Resolve-phase errors come from getDocument or the actor import; anything else
+   * (texture selection, token creation/deletion) counts as a creation failure.
+   * @param {Error} error - The error thrown while replacing a token
+   * @returns {'import_failed'|'creation_failed'} Failure status
+   * @static
+   * @private
+   */
+  static #classifyFailure(error) {
+    const msg = (error?.message || "").toLowerCase();
+    const isImportError = msg.includes("import") ||
+                          msg.includes("failed to load") ||
+                          msg.includes("getdocument");
+    return isImportError ? "import_failed" : "creation_failed";
+  }
+
+  /**
+   * Replace matched tokens in two phases
+   * 1. Resolve phase: compendium documents, world actors and wildcard variants are
+   *    resolved in parallel (bounded by RESOLVE_CONCURRENCY), then token images are
+   *    picked in token order so sequential variants stay deterministic.
+   * 2. Mutation phase: one batched create and delete (or one batched in-place
+   *    update) for every token that resolved successfully.
+   * Failures are classified per token as import or creation failures.
+   * @param {Scene} scene - The scene containing the tokens
+   * @param {Array<{tokenDoc: Object, creatureName: string, match: Object}>} toReplace - Matched results
+   * @param {{progress: ProgressReporter, completed: number, total: number}} session - Shared progress of the run
+   * @returns {Promise<{replaced: number, importFailed: string[], creationFailed: string[], originalTokens: Object[], newTokenIds: string[], replacements: Array<{oldId: string, newId: string}>}>} Outcome
+   * @static
+   * @private
+   */
+  static async #executeReplacements(scene, toReplace, session) {
+    const importFailed = [];
+    const creationFailed = [];
+    const recordFailure = (result, error) => {
+      const status = NPCTokenReplacerController.#classifyFailure(error);
+      Logger.error(`Error replacing token ${result.tokenDoc.name} (${status})`, error);
+      (status === "import_failed" ? importFailed : creationFailed).push(result.creatureName);
+    };
+
+    // Skip duplicates and tokens deleted while the preview was open
+    const processedIds = new Set();
+    const candidates = [];
+    for (const result of toReplace) {
+      const { tokenDoc } = result;
+      if (processedIds.has(tokenDoc.id)) {
+        Logger.log(`Skipping already processed token: ${tokenDoc.name}`);
+        continue;
+      }
+      if (!scene.tokens.has(tokenDoc.id)) {
+        Logger.log(`Token "${tokenDoc.name}" no longer exists, skipping`);
+        continue;
+      }
+      processedIds.add(tokenDoc.id);
+      candidates.push(result);
+    }
+
+    // Skipped tokens still count towards the shared progress bar
+    session.completed += toReplace.length - candidates.length;
+
+    // Phase 1: resolve in parallel
+    const settled = await TaskPool.mapSettled(candidates, async (result) => {
+      try {
+        return await TokenReplacer.prepareReplacement(result.tokenDoc, result.match.entry, result.match.pack);
+      } finally {
+        session.completed++;
+        session.progress.update(session.completed, game.i18n.format("NPC_REPLACER.ProgressUpdate", {
+          current: session.completed,
+          total: session.total,
+          name: result.tokenDoc.name
+        }));
+      }
+    }, NPCTokenReplacerController.RESOLVE_CONCURRENCY);
+
+    // Pick token images in token order (wildcard variants are already cached)
+    const prepared = [];
+    const resultByTokenId = new Map();
+    for (let i = 0; i < candidates.length; i++) {
+      const result = candidates[i];
+      if (settled[i].status === "rejected") {
+        recordFailure(result, settled[i].reason);
+        continue;
+      }
+      try {
+        await TokenReplacer.resolvePreparedTexture(settled[i].value);
+        prepared.push(settled[i].value);
+        resultByTokenId.set(result.tokenDoc.id, result);
+      } catch (error) {
+        recordFailure(result, error);
+      }
+    }
+
+    // Snapshot the full original data before the tokens are deleted (for undo)
+    const snapshots = new Map(prepared.map(p => [p.tokenDoc.id, p.tokenDoc.toObject?.() ?? null]));
 
-    // Check if any WOTC modules with Actor compendiums are active
-    const wotcPacks = CompendiumManager.detectWOTCCompendiums();
-    if (wotcPacks.length === 0) {
-      ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoModule"));
-      return false;
+    // Phase 2: one batched create + one batched delete
+    const originalTokens = [];
+    const newTokenIds = [];
+    const replacements = [];
+    let replaced = 0;
+    if (prepared.length > 0) {
+      try {
+        const { created, failed } = await TokenReplacer.commitReplacements(scene, prepared);
+        for (const [oldId, newToken] of created) {
+          replaced++;
+          newTokenIds.push(newToken.id);
+          replacements.push({ oldId, newId: newToken.id });
+          const snapshot = snapshots.get(oldId);
+          if (snapshot) originalTokens.push(snapshot);
+        }
+        for (const p of failed) {
+          recordFailure(resultByTokenId.get(p.tokenDoc.id),
+            new Error(`Failed to create new token for "${p.compendiumEntry.name}"`));
+        }
+      } catch (error) {
+        // The whole batch failed — every prepared token counts as a creation failure
+        for (const p of prepared) {
+          recordFailure(resultByTokenId.get(p.tokenDoc.id), error);
+        }
+      }
     }
 
-    return true;
+    return { replaced, importFailed, creationFailed, originalTokens, newTokenIds, replacements };
   }
 
-  // Removed: showConfirmationDialog — replaced by showPreviewDialog
-
   /**
-   * Show a preview dialog with token-to-creature match mapping
-   * Replaces the old confirmation dialog with a rich 3-column table showing
-   * Token Name | Will Match As | Source Compendium for each token.
-   * Matched tokens appear first, unmatched tokens last.
-   * @param {Array<{tokenDoc: Object, creatureName: string, match: Object|null}>} matchResults - Pre-computed match results from computeMatches
-   * @returns {Promise<boolean>} Whether user confirmed to proceed
+   * Store a completed replacement run in the scene's replacement history
+   * A failure here never fails the run itself — the GM is warned that it cannot be reverted.
+   * @param {Scene} scene - The scene the run was performed on
+   * @param {{originalTokens: Object[], newTokenIds: string[], replacements: Array<{oldId: string, newId: string}>}} outcome - Result of #executeReplacements()
+   * @param {string[]} importedActorIds - IDs of the actors imported for this scene
+   * @returns {Promise<void>}
    * @static
+   * @private
    */
-  static async showPreviewDialog(matchResults) {
-    const matched = matchResults.filter(r => r.match !== null);
-    const unmatched = matchResults.filter(r => r.match === null);
-    const sorted = [...matched, ...unmatched];
-
-    const noMatchText = game.i18n.localize("NPC_REPLACER.PreviewNoMatch");
-
-    let rowsHtml = "";
-    for (const result of sorted) {
-      if (result.match) {
-        rowsHtml += `<tr>
-          <td>${escapeHtml(result.creatureName)}</td>
-          <td>${escapeHtml(result.match.entry.name)}</td>
-          <td>${escapeHtml(result.match.pack.metadata.label)}</td>
-        </tr>`;
-      } else {
-        rowsHtml += `<tr>
-          <td>${escapeHtml(result.creatureName)}</td>
-          <td style="color: red;">${noMatchText}</td>
-          <td>&mdash;</td>
-        </tr>`;
-      }
+  static async #recordHistory(scene, { originalTokens, newTokenIds, replacements }, importedActorIds) {
+    try {
+      await ReplacementHistory.record(scene, {
+        runId: TokenReplacer.getRunId() ?? undefined,
+        originalTokens,
+        newTokenIds,
+        replacements,
+        importedActorIds
+      });
+    } catch (error) {
+      Logger.error("Failed to record replacement history", error);
+      ui.notifications.warn(game.i18n.localize("NPC_REPLACER.ErrorHistorySave"));
     }
+  }
 
-    const summary = game.i18n.format("NPC_REPLACER.PreviewSummary", {
-      matched: matched.length,
-      total: matchResults.length
+  /**
+   * Show the revert confirmation dialog for a journal entry
+   * @param {Object} entry - The journal entry to revert
+   * @returns {Promise<{confirmed: boolean, deleteActors: boolean}>} The GM's choice
+   * @static
+   * @private
+   */
+  static async #showRevertDialog(entry) {
+    const message = game.i18n.format("NPC_REPLACER.RevertContent", {
+      count: entry.originalTokens.length,
+      date: new Date(entry.timestamp).toLocaleString()
     });
 
-    const content = `
-      <p>${summary}</p>
-      <div style="max-height: 300px; overflow-y: auto; margin: 10px 0;">
-        <table style="width: 100%; border-collapse: collapse;">
-          <thead>
-            <tr>
-              <th>${game.i18n.localize("NPC_REPLACER.PreviewColToken")}</th>
-              <th>${game.i18n.localize("NPC_REPLACER.PreviewColMatch")}</th>
-              <th>${game.i18n.localize("NPC_REPLACER.PreviewColSource")}</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${rowsHtml}
-          </tbody>
-        </table>
-      </div>
-    `;
-
-    const dialogOpts = {
-      title: game.i18n.localize("NPC_REPLACER.PreviewTitle"),
-      content,
-      yes: null,
-      no: null,
-      defaultYes: false,
-      close: null
-    };
-
-    // When all tokens are unmatched, disable the Replace/yes button
-    if (matched.length === 0) {
-      dialogOpts.render = (html) => {
-        html.find('.yes, [data-button="yes"]').prop("disabled", true);
-      };
+    let checkbox = "";
+    if (entry.importedActorIds.length > 0) {
+      checkbox = `
+        <div class="form-group">
+          <label>
+            <input type="checkbox" name="deleteActors">
+            ${game.i18n.format("NPC_REPLACER.RevertDeleteActors", { count: entry.importedActorIds.length })}
+          </label>
+        </div>`;
     }
 
+    const content = `<p>${message}</p>${checkbox}`;
+    const title = game.i18n.localize("NPC_REPLACER.RevertTitle");
+
     return new Promise(resolve => {
-      dialogOpts.yes = () => resolve(true);
-      dialogOpts.no = () => resolve(false);
-      dialogOpts.close = () => resolve(false);
-      // Feature-detect DialogV2 (Foundry v13+) with fallback to legacy Dialog (v12)
       const DialogV2 = foundry?.applications?.api?.DialogV2;
       if (DialogV2) {
-        // v13+ ApplicationV2-based dialog
         DialogV2.confirm({
-          window: { title: dialogOpts.title },
-          content: dialogOpts.content,
-          yes: { label: dialogOpts.buttons?.yes?.label ?? game.i18n.localize("NPC_REPLACER.ConfirmYes"), callback: () => resolve(true) },
-          no: { label: dialogOpts.buttons?.no?.label ?? game.i18n.localize("NPC_REPLACER.ConfirmNo"), callback: () => resolve(false) },
-          render: dialogOpts.render
+          window: { title },
+          content,
+          yes: {
+            label: game.i18n.localize("NPC_REPLACER.RevertYes"),
+            callback: (_event, button) => resolve({
+              confirmed: true,
+              deleteActors: !!button.form?.elements.deleteActors?.checked
+            })
+          },
+          no: { label: game.i18n.localize("NPC_REPLACER.ConfirmNo"), callback: () => resolve({ confirmed: false, deleteActors: false }) }
         });
       } else {
-        // v12 legacy Dialog
-        Dialog.confirm(dialogOpts);
+        Dialog.confirm({
+          title,
+          content,
+          yes: (html) => resolve({
+            confirmed: true,
+            deleteActors: !!html?.find?.('input[name="deleteActors"]').prop("checked")
+          }),
+          no: () => resolve({ confirmed: false, deleteActors: false }),
+          close: () => resolve({ confirmed: false, deleteActors: false }),
+          defaultYes: false
+        });
       }
     });
   }
 
-  // Removed: #processToken — replacement logic inlined in replaceNPCTokens using pre-computed matches
-
   /**
-   * Report the results of a replacement session
-   * Displays appropriate notifications and logs details
-   * @param {number} replaced - Count of successfully replaced tokens
-   * @param {string[]} notFound - Names of tokens not found in compendiums
-   * @param {string[]} importFailed - Names of tokens that failed during import
-   * @param {string[]} creationFailed - Names of tokens that failed during creation
-   * @returns {void}
+   * Show the orphaned actor list with a checkbox per actor
+   * @param {Actor[]} actors - Orphaned imported actors
+   * @returns {Promise<string[]|null>} IDs of the ticked actors, or null if cancelled
    * @static
    * @private
    */
-  static #reportResults(replaced, notFound, importFailed, creationFailed) {
-    if (replaced > 0) {
-      ui.notifications.info(game.i18n.format("NPC_REPLACER.Complete", { count: replaced }));
-    }
-
-    if (notFound.length > 0) {
-      ui.notifications.warn(game.i18n.format("NPC_REPLACER.NotFoundCount", { count: notFound.length }));
-      Logger.log("Creatures not found in compendiums:", notFound);
-    }
-
-    const totalErrors = importFailed.length + creationFailed.length;
-    if (totalErrors > 0) {
-      ui.notifications.error(game.i18n.format("NPC_REPLACER.SummaryPartialFailure", {
-        replaced,
-        noMatch: notFound.length,
-        importFailed: importFailed.length,
-        creationFailed: creationFailed.length
-      }));
-      if (importFailed.length > 0) Logger.log("Import failures:", importFailed);
-      if (creationFailed.length > 0) Logger.log("Creation failures:", creationFailed);
-    }
+  static async #showCleanupDialog(actors) {
+    const rows = actors.map(actor => `
+      <div class="form-group">
+        <label><input type="checkbox" data-cleanup-id="${escapeHtml(actor.id)}" checked> ${escapeHtml(actor.name)}</label>
+      </div>`).join("");
+    const message = game.i18n.format("NPC_REPLACER.CleanupContent", { count: actors.length });
+    const content = `<p>${message}</p><div class="npc-replacer-cleanup">${rows}</div>`;
+    const title = game.i18n.localize("NPC_REPLACER.CleanupTitle");
+    const readSelection = root => Array.from(root?.querySelectorAll?.("input[data-cleanup-id]") ?? [])
+      .filter(input => input.checked)
+      .map(input => input.dataset.cleanupId);
 
-    Logger.log(`Replacement complete: ${replaced} replaced, ${notFound.length} not found, ${importFailed.length} import failures, ${creationFailed.length} creation failures`);
+    return new Promise(resolve => {
+      const DialogV2 = foundry?.applications?.api?.DialogV2;
+      if (DialogV2) {
+        DialogV2.confirm({
+          window: { title },
+          content,
+          yes: { label: game.i18n.localize("NPC_REPLACER.CleanupYes"), callback: (_event, button) => resolve(readSelection(button?.form)) },
+          no: { label: game.i18n.localize("NPC_REPLACER.ConfirmNo"), callback: () => resolve(null) }
+        });
+      } else {
+        Dialog.confirm({
+          title,
+          content,
+          yes: (html) => resolve(readSelection(html?.[0] ?? null)),
+          no: () => resolve(null),
+          close: () => resolve(null),
+          defaultYes: false
+        });
+      }
+    });
   }
 
   /**
-   * Main function to replace NPC tokens (selected or all in scene)
-   * Orchestrates the entire replacement workflow:
-   * 1. Validates prerequisites (GM, scene, compendiums)
-   * 2. Gets tokens to process (selected or all NPCs)
-   * 3. Shows confirmation dialog
-   * 4. Processes each token
-   * 5. Reports results
-   *
+   * Delete the actors imported by the module that no scene token references any more
+   * Scans every scene's tokens, lists the unused imported actors and deletes the ones
+   * the GM keeps ticked. Actors created by hand are never listed.
+   * @param {Object} [options={}] - Cleanup options
+   * @param {boolean} [options.confirm=true] - Ask before deleting; false deletes every orphan
    * @returns {Promise<void>}
    * @static
    * @example
-   * // Triggered by button click or console
-   * await NPCTokenReplacerController.replaceNPCTokens();
+   * // From the Actors directory button (asks for confirmation)
+   * await NPCTokenReplacerController.cleanupImportedActors();
    *
-   * // From debug API
-   * NPCTokenReplacer.replaceNPCTokens();
+   * // From the console, without a dialog
+   * NPCTokenReplacer.cleanupImportedActors({ confirm: false });
    */
-  static async replaceNPCTokens() {
-    // Prevent double execution — acquire lock immediately to avoid TOCTOU race
+  static async cleanupImportedActors({ confirm = true } = {}) {
     if (NPCTokenReplacerController.#isProcessing) {
-      Logger.log("Already processing tokens, ignoring duplicate call");
+      Logger.log("Already processing, ignoring cleanup request");
       return;
     }
     NPCTokenReplacerController.#isProcessing = true;
 
     try {
-      // Validate prerequisites
-      if (!NPCTokenReplacerController.validatePrerequisites()) {
+      if (!game.user.isGM) {
+        ui.notifications.warn(game.i18n.localize("NPC_REPLACER.GMOnly"));
         return;
       }
 
-      // Check if any compendiums are available
-      const enabledPacks = CompendiumManager.getEnabledCompendiums();
-      if (enabledPacks.length === 0) {
-        ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoCompendium"));
+      const orphans = ActorCleanup.getOrphanedActors();
+      if (orphans.length === 0) {
+        ui.notifications.info(game.i18n.localize("NPC_REPLACER.CleanupNothing"));
         return;
       }
 
-      // Load the combined monster index from all enabled compendiums
-      const index = await CompendiumManager.loadMonsterIndex();
-
-      if (index.length === 0) {
-        ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoCompendium"));
-        return;
+      let actorIds = orphans.map(actor => actor.id);
+      if (confirm) {
+        actorIds = await NPCTokenReplacerController.#showCleanupDialog(orphans);
+        if (!actorIds) {
+          Logger.log("Actor cleanup cancelled by user");
+          return;
+        }
       }
 
-      // Get NPC tokens to process (selected if any, otherwise all scene NPCs)
-      const { tokens: npcTokens, isSelection } = TokenReplacer.getNPCTokensToProcess();
-      if (npcTokens.length === 0) {
-        const message = isSelection
-          ? game.i18n.localize("NPC_REPLACER.NoSelectedNPCs")
-          : game.i18n.localize("NPC_REPLACER.NoTokens");
-        ui.notifications.info(message);
-        return;
+      try {
+        const deleted = await ActorCleanup.deleteActors(actorIds);
+        ui.notifications.info(game.i18n.format("NPC_REPLACER.CleanupComplete", { count: deleted }));
+      } catch (error) {
+        Logger.error("Failed to delete orphaned imported actors", error);
+        ui.notifications.error(game.i18n.localize("NPC_REPLACER.ErrorCleanup"));
       }
+    } finally {
+      NPCTokenReplacerController.#isProcessing = false;
+    }
+  }
 
-      const sourceDesc = isSelection ? "selected" : "in scene";
-      Logger.log(`Found ${npcTokens.length} NPC tokens ${sourceDesc}`);
-
-      // Pre-compute matches (scan phase with progress)
-      const scanProgress = new ProgressReporter();
-      const matchResults = NPCTokenReplacerController.computeMatches(npcTokens, index, scanProgress);
+  /**
+   * Revert the most recent replacement run in the current scene
+   * Restores the original tokens (with their original IDs) and removes the new ones.
+   * Without options the GM is asked to confirm; passing options skips the dialog.
+   * @param {Object} [options] - Revert options (skips the confirmation dialog when given)
+   * @param {boolean} [options.deleteActors=false] - Also delete actors imported by the run that are no longer used
+   * @returns {Promise<void>}
+   * @static
+   * @example
+   * // From the toolbar (asks for confirmation)
+   * await NPCTokenReplacerController.revertLastReplacement();
+   *
+   * // From the console, without a dialog
+   * NPCTokenReplacer.revertLastReplacement({ deleteActors: true });
+   */
+  static async revertLastReplacement(options) {
+    if (NPCTokenReplacerController.#isProcessing) {
+      Logger.log("Already processing tokens, ignoring revert request");
+      return;
+    }
+    NPCTokenReplacerController.#isProcessing = true;
 
-      // Show preview dialog with match results
-      const confirmed = await NPCTokenReplacerController.showPreviewDialog(matchResults);
-      if (!confirmed) {
-        Logger.log("Token replacement cancelled by user");
+    try {
+      if (!game.user.isGM) {
+        ui.notifications.warn(game.i18n.localize("NPC_REPLACER.GMOnly"));
         return;
       }
 
-      // Reset sequential counter and build actor lookup for this session
-      TokenReplacer.resetCounter();
-      TokenReplacer.buildActorLookup();
-
-      // Filter to only matched tokens for replacement
-      const toReplace = matchResults.filter(r => r.match !== null);
-      const notFoundNames = matchResults.filter(r => r.match === null).map(r => r.creatureName);
-
-      // TODO [MEDIUM] Performance: token processing loop is fully sequential — 2N socket round-trips.
-      // Split into parallel resolve phase (getDocument, import, wildcard) + batched mutation phase
-      // (single deleteEmbeddedDocuments + createEmbeddedDocuments call for all tokens).
-      // Track results
-      let replaced = 0;
-      const importFailed = [];
-      const creationFailed = [];
-      const processedIds = new Set();
-
-      // Start progress bar for replacement phase
-      const progress = new ProgressReporter();
-      progress.start(toReplace.length, game.i18n.format("NPC_REPLACER.ProgressStart", { count: toReplace.length }));
-
-      // Replace each matched token using pre-computed match data
-      for (const result of toReplace) {
-        const { tokenDoc, creatureName } = result;
+      const scene = canvas.scene;
+      if (!scene) {
+        ui.notifications.error(game.i18n.localize("NPC_REPLACER.NoScene"));
+        return;
+      }
 
-        // Skip if already processed (handles duplicate entries)
-        if (processedIds.has(tokenDoc.id)) {
-          Logger.log(`Skipping already processed token: ${tokenDoc.name}`);
-          continue;
-        }
+      const entry = ReplacementHistory.getLastEntry(scene);
+      if (!entry) {
+        ui.notifications.info(game.i18n.localize("NPC_REPLACER.RevertNoHistory"));
+        return;
+      }
 
-        // Check if token still exists in scene (may have been deleted during preview)
-        if (!canvas.scene.tokens.has(tokenDoc.id)) {
-          Logger.log(`Token "${tokenDoc.name}" no longer exists, skipping`);
-          continue;
+      let deleteActors = !!options?.deleteActors;
+      if (!options) {
+        const choice = await NPCTokenReplacerController.#showRevertDialog(entry);
+        if (!choice.confirmed) {
+          Logger.log("Revert cancelled by user");
+          return;
         }
+        deleteActors = choice.deleteActors;
+      }
 
-        processedIds.add(tokenDoc.id);
-
-        try {
-          await TokenReplacer.replaceToken(tokenDoc, result.match.entry, result.match.pack);
-          replaced++;
-        } catch (error) {
-          // Classify failure based on error message content.
-          // replaceToken throws from import stage (getDocument, #getOrImportWorldActor)
-          // or creation stage (createEmbeddedDocuments, deleteEmbeddedDocuments).
-          // Default to "creation_failed" since import is attempted first.
-          const msg = (error.message || "").toLowerCase();
-          const isImportError = msg.includes("import") ||
-                                msg.includes("failed to load") ||
-                                msg.includes("getdocument");
-          const status = isImportError ? "import_failed" : "creation_failed";
-          Logger.error(`Error replacing token ${tokenDoc.name} (${status})`, error);
-          if (status === "import_failed") {
-            importFailed.push(creatureName);
-          } else {
-            creationFailed.push(creatureName);
-          }
+      try {
+        const result = await ReplacementHistory.revert(scene, entry, { deleteActors });
+        ui.notifications.info(game.i18n.format("NPC_REPLACER.RevertComplete", { count: result.restored }));
+        if (result.deletedActors > 0) {
+          ui.notifications.info(game.i18n.format("NPC_REPLACER.RevertActorsDeleted", { count: result.deletedActors }));
         }
-
-        const processed = replaced + importFailed.length + creationFailed.length;
-        progress.update(processed,
-          game.i18n.format("NPC_REPLACER.ProgressUpdate", {
-            current: processed,
-            total: toReplace.length,
-            name: tokenDoc.name
-          }));
+      } catch (error) {
+        Logger.error("Failed to revert replacement run", error);
+        ui.notifications.error(game.i18n.localize("NPC_REPLACER.ErrorRevert"));
       }
-
-      progress.finish();
-
-      // Report results
-      NPCTokenReplacerController.#reportResults(replaced, notFoundNames, importFailed, creationFailed);
     } finally {
-      // Always release the lock and clean up session state
       NPCTokenReplacerController.#isProcessing = false;
-      TokenReplacer.clearActorLookup();
     }
   }
 
@@ -1415,6 +5120,11 @@ class NPCTokenReplacerController {
   static async initialize() {
     Logger.log("NPC Token Replacer is ready");
 
+    // Load the creature alias table, variant rules and fuzzy threshold into the matcher
+    AliasManager.syncMatcher();
+    NameMatcher.setVariantRules(NPCTokenReplacerController.getVariantRules());
+    NameMatcher.setFuzzyThreshold(NPCTokenReplacerController.getFuzzyThreshold());
+
     // Detect available WOTC compendiums
     const wotcPacks = CompendiumManager.detectWOTCCompendiums();
 
@@ -1444,6 +5154,11 @@ class NPCTokenReplacerController {
   static getDebugAPI() {
     return {
       replaceNPCTokens: () => NPCTokenReplacerController.replaceNPCTokens(),
+      replaceInScenes: (scenes) => NPCTokenReplacerController.replaceInScenes(scenes),
+      upgradeWorldActors: () => NPCTokenReplacerController.upgradeWorldActors(),
+      upgradeCompendium: (packOrId) => NPCTokenReplacerController.upgradeCompendium(packOrId),
+      cleanupImportedActors: (options) => NPCTokenReplacerController.cleanupImportedActors(options),
+      getProvenance: (token) => TokenReplacer.getProvenance(token),
       getMonsterManualPack: () => {
         // Legacy method - returns first enabled compendium pack
         const packs = CompendiumManager.getEnabledCompendiums();
@@ -1456,6 +5171,8 @@ class NPCTokenReplacerController {
       getEnabledCompendiums: () => CompendiumManager.getEnabledCompendiums(),
       clearCache: () => NPCTokenReplacerController.clearCache(),
       getLastLoadErrors: () => CompendiumManager.getLastLoadErrors(),
+      revertLastReplacement: (options) => NPCTokenReplacerController.revertLastReplacement(options),
+      getReplacementHistory: (scene = canvas.scene) => ReplacementHistory.getHistory(scene),
       get debugEnabled() { return Logger.debugEnabled; },
       set debugEnabled(v) { Logger.debugEnabled = v; }
     };
@@ -1484,6 +5201,80 @@ function registerSettings() {
     default: "sequential"
   });
 
+  // Hit points of new tokens (see TokenReplacer.HP_MODES)
+  game.settings.register(MODULE_ID, "hpMode", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.HpMode.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.HpMode.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      "average": game.i18n.localize("NPC_REPLACER.Settings.HpMode.Average"),
+      "roll": game.i18n.localize("NPC_REPLACER.Settings.HpMode.Roll"),
+      "max": game.i18n.localize("NPC_REPLACER.Settings.HpMode.Max"),
+      "keep": game.i18n.localize("NPC_REPLACER.Settings.HpMode.Keep")
+    },
+    default: "average"
+  });
+
+  // Linked or unlinked new tokens (see TokenReplacer.shouldLinkActor)
+  game.settings.register(MODULE_ID, "linkMode", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.LinkMode.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.LinkMode.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      "unlinked": game.i18n.localize("NPC_REPLACER.Settings.LinkMode.Unlinked"),
+      "prototype": game.i18n.localize("NPC_REPLACER.Settings.LinkMode.Prototype")
+    },
+    default: "unlinked"
+  });
+
+  game.settings.register(MODULE_ID, "linkedCreatures", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.LinkedCreatures.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.LinkedCreatures.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: ""
+  });
+
+  // Reuse unlinked world actors by name (see TokenReplacer.indexWorldActors)
+  game.settings.register(MODULE_ID, "reuseWorldActors", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.ReuseWorldActors.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.ReuseWorldActors.Hint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // Folder structure for imported actors (see FolderManager.resolveFolderPath)
+  game.settings.register(MODULE_ID, "importFolderTemplate", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.ImportFolderTemplate.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.ImportFolderTemplate.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+    onChange: () => FolderManager.clearCache()
+  });
+
+  // Delete-and-recreate or in-place update (see TokenReplacer.REPLACE_STRATEGIES)
+  game.settings.register(MODULE_ID, "replaceStrategy", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.ReplaceStrategy.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.ReplaceStrategy.Hint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      "recreate": game.i18n.localize("NPC_REPLACER.Settings.ReplaceStrategy.Recreate"),
+      "update": game.i18n.localize("NPC_REPLACER.Settings.ReplaceStrategy.Update")
+    },
+    default: "recreate"
+  });
+
   // Enabled compendiums setting (stored as JSON string for reliability)
   game.settings.register(MODULE_ID, "enabledCompendiums", {
     name: game.i18n.localize("NPC_REPLACER.Settings.EnabledCompendiums.Name"),
@@ -1494,6 +5285,26 @@ function registerSettings() {
     default: JSON.stringify(["default"])
   });
 
+  // Opt-in non-WotC compendiums: {packCollection: priority} (JSON string)
+  game.settings.register(MODULE_ID, "additionalSources", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.AdditionalSources.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.AdditionalSources.Hint"),
+    scope: "world",
+    config: false, // Managed through AdditionalSourcesForm
+    type: String,
+    default: JSON.stringify({})
+  });
+
+  // GM priority ranking of compendiums, highest first (JSON string, empty = built-in tiers)
+  game.settings.register(MODULE_ID, "compendiumRanking", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.CompendiumRanking.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.CompendiumRanking.Hint"),
+    scope: "world",
+    config: false, // Managed through CompendiumSelectorForm
+    type: String,
+    default: JSON.stringify([])
+  });
+
   // HTTP timeout setting for wildcard HEAD requests
   game.settings.register(MODULE_ID, "httpTimeout", {
     name: game.i18n.localize("NPC_REPLACER.Settings.HttpTimeout.Name"),
@@ -1505,6 +5316,73 @@ function registerSettings() {
     default: 5
   });
 
+  // Token state preservation groups (see TokenReplacer.PRESERVATION_GROUPS)
+  const preservationNames = {
+    combatState: "CombatState",
+    hitPoints: "HitPoints",
+    resources: "Resources",
+    tokenItems: "TokenItems",
+    displayName: "DisplayName",
+    lightingVision: "LightingVision",
+    bars: "Bars",
+    moduleFlags: "ModuleFlags"
+  };
+  for (const [key, group] of Object.entries(TokenReplacer.PRESERVATION_GROUPS)) {
+    game.settings.register(MODULE_ID, group.setting, {
+      name: game.i18n.localize(`NPC_REPLACER.Settings.Preserve${preservationNames[key]}.Name`),
+      hint: game.i18n.localize(`NPC_REPLACER.Settings.Preserve${preservationNames[key]}.Hint`),
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: group.default
+    });
+  }
+
+  // Minimum match confidence for a token to be ticked by default in the preview
+  game.settings.register(MODULE_ID, "minConfidence", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.MinConfidence.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.MinConfidence.Hint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 1, step: 0.05 },
+    default: 0.8
+  });
+
+  // Minimum similarity for the fuzzy (typo-tolerant) matching stage
+  game.settings.register(MODULE_ID, "fuzzyThreshold", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.FuzzyThreshold.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.FuzzyThreshold.Hint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0.5, max: 1, step: 0.05 },
+    default: 0.8,
+    onChange: value => NameMatcher.setFuzzyThreshold(value)
+  });
+
+  // Creature alias table: normalized token name -> compendium UUID (JSON string)
+  game.settings.register(MODULE_ID, AliasManager.SETTING_KEY, {
+    name: game.i18n.localize("NPC_REPLACER.Settings.Aliases.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.Aliases.Hint"),
+    scope: "world",
+    config: false, // Managed through AliasManagerForm
+    type: String,
+    default: JSON.stringify({}),
+    onChange: () => AliasManager.syncMatcher()
+  });
+
+  // Extra name variant rules: {prefixes, suffixes, patterns} (JSON string)
+  game.settings.register(MODULE_ID, "variantRules", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.VariantRules.Name"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.VariantRules.Hint"),
+    scope: "world",
+    config: false, // Managed through VariantRulesForm
+    type: String,
+    default: JSON.stringify({ prefixes: [], suffixes: [], patterns: [] }),
+    onChange: () => NameMatcher.setVariantRules(NPCTokenReplacerController.getVariantRules())
+  });
+
   // Register the settings menu for compendium selection
   game.settings.registerMenu(MODULE_ID, "compendiumSelector", {
     name: game.i18n.localize("NPC_REPLACER.Settings.CompendiumSelector.Name"),
@@ -1514,6 +5392,36 @@ function registerSettings() {
     type: CompendiumSelectorForm,
     restricted: true
   });
+
+  // Register the settings menu for additional (non-WotC) compendiums
+  game.settings.registerMenu(MODULE_ID, "additionalSources", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.AdditionalSources.Name"),
+    label: game.i18n.localize("NPC_REPLACER.Settings.AdditionalSources.Label"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.AdditionalSources.Hint"),
+    icon: "fas fa-book-medical",
+    type: AdditionalSourcesForm,
+    restricted: true
+  });
+
+  // Register the settings menu for the creature alias table
+  game.settings.registerMenu(MODULE_ID, "aliasManager", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.Aliases.Name"),
+    label: game.i18n.localize("NPC_REPLACER.Settings.Aliases.Label"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.Aliases.Hint"),
+    icon: "fas fa-tags",
+    type: AliasManagerForm,
+    restricted: true
+  });
+
+  // Register the settings menu for the name variant rules
+  game.settings.registerMenu(MODULE_ID, "variantRules", {
+    name: game.i18n.localize("NPC_REPLACER.Settings.VariantRules.Name"),
+    label: game.i18n.localize("NPC_REPLACER.Settings.VariantRules.Label"),
+    hint: game.i18n.localize("NPC_REPLACER.Settings.VariantRules.Hint"),
+    icon: "fas fa-filter",
+    type: VariantRulesForm,
+    restricted: true
+  });
 }
 
 /**
@@ -1542,44 +5450,96 @@ class CompendiumSelectorForm extends FormApplication {
     });
   }
 
+  /**
+   * Open the form for a scene's compendium profile instead of the world settings
+   * @param {Scene} scene - The scene whose profile is edited
+   * @returns {CompendiumSelectorForm} The rendered form
+   * @static
+   * @example
+   * CompendiumSelectorForm.openForScene(canvas.scene);
+   */
+  static openForScene(scene) {
+    const form = new CompendiumSelectorForm(scene, {
+      id: `npc-replacer-compendium-selector-${scene.id}`,
+      title: game.i18n.format("NPC_REPLACER.Settings.SceneProfile.Title", { name: scene.name })
+    });
+    return form.render(true);
+  }
+
+  /**
+   * The scene being edited, or null for the world settings
+   * @type {Scene|null}
+   */
+  get scene() {
+    return this.object?.documentName === "Scene" ? this.object : null;
+  }
+
   /**
    * Prepare data for the form template
-   * Retrieves all available WOTC compendiums and current selection state
+   * Retrieves all available WOTC compendiums and current selection state,
+   * from the world settings or from the edited scene's profile
    * @returns {Object} Data object containing mode and compendiums array for template rendering
-   * @property {string} mode - Current selection mode: 'default', 'all', or 'custom'
+   * @property {string} mode - Current selection mode: 'world' (scenes only), 'default', 'all', or 'custom'
+   * @property {boolean} isScene - Whether a scene profile is being edited
+   * @property {Array<Object>} ranking - Rankable packs in their current priority order
    * @property {Array<Object>} compendiums - Array of compendium objects with selection state
    * @override
    */
   getData() {
     const allPacks = CompendiumManager.detectWOTCCompendiums();
+    const scene = this.scene;
+    const profile = scene ? CompendiumManager.getSceneProfile(scene) : null;
 
-    // Parse the JSON setting
+    // Parse the JSON setting (or take the scene profile's selection)
     let enabledPackIds;
-    try {
-      const settingValue = game.settings.get(MODULE_ID, "enabledCompendiums");
-      enabledPackIds = typeof settingValue === "string" ? JSON.parse(settingValue) : settingValue;
-    } catch (e) {
-      Logger.warn(`Error parsing enabledCompendiums in form (${e.name}: ${e.message}), displaying default selection`);
-      enabledPackIds = ["default"];
+    if (scene) {
+      enabledPackIds = profile?.enabledCompendiums ?? ["default"];
+    } else {
+      try {
+        const settingValue = game.settings.get(MODULE_ID, "enabledCompendiums");
+        enabledPackIds = typeof settingValue === "string" ? JSON.parse(settingValue) : settingValue;
+      } catch (e) {
+        Logger.warn(`Error parsing enabledCompendiums in form (${e.name}: ${e.message}), displaying default selection`);
+        enabledPackIds = ["default"];
+      }
     }
 
     // Determine current mode
     let mode = "custom";
-    if (!enabledPackIds || !Array.isArray(enabledPackIds) || enabledPackIds.length === 0 || enabledPackIds.includes("default")) {
+    if (scene && !profile) {
+      mode = "world";
+    } else if (!enabledPackIds || !Array.isArray(enabledPackIds) || enabledPackIds.length === 0 || enabledPackIds.includes("default")) {
       mode = "default";
     } else if (enabledPackIds.includes("all")) {
       mode = "all";
     }
 
-    Logger.log("CompendiumSelectorForm getData:", { enabledPackIds, mode });
+    Logger.log("CompendiumSelectorForm getData:", { scene: scene?.name, enabledPackIds, mode });
 
     // Build Set for O(1) lookup in custom mode
     const enabledSet = mode === "custom" ? new Set(enabledPackIds) : null;
 
+    // A scene without its own ranking follows the world ranking
+    const ownRanking = scene ? (profile?.ranking ?? []) : CompendiumManager.getWorldRanking();
+    const ranking = ownRanking.length > 0 ? ownRanking : CompendiumManager.getWorldRanking();
+
     return {
       mode,
+      isScene: !!scene,
+      hasRanking: ownRanking.length > 0,
+      ranking: CompendiumManager.getRankablePacks(ranking).map((pack, position) => {
+        const tier = CompendiumManager.getCompendiumTier(pack);
+        return {
+          id: pack.collection,
+          name: pack.metadata.label,
+          module: pack.metadata.packageName,
+          position: position + 1,
+          tier,
+          tierLabel: CompendiumManager.PRIORITY_LABELS[tier] || "UNKNOWN"
+        };
+      }),
       compendiums: allPacks.map((pack, index) => {
-        const priority = CompendiumManager.getCompendiumPriority(pack);
+        const priority = CompendiumManager.getCompendiumTier(pack);
         return {
           index,
           id: pack.collection,
@@ -1595,10 +5555,55 @@ class CompendiumSelectorForm extends FormApplication {
   }
 
   /**
-   * Process form submission and save the compendium selection
+   * Activate drag-and-drop reordering of the priority list
+   * Dropping a pack records the new order in the hidden "ranking" input, so an
+   * untouched list does not freeze the built-in order into a ranking.
+   * @param {jQuery|HTMLElement} html - The rendered form
+   * @returns {void}
+   * @override
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+    const root = html?.[0] ?? html;
+    const list = root?.querySelector?.(".compendium-ranking");
+    const input = root?.querySelector?.("input[name=\"ranking\"]");
+    if (!list || !input) return;
+
+    let dragged = null;
+    list.addEventListener("dragstart", event => {
+      dragged = event.target.closest("[data-pack-id]");
+      if (!dragged) return;
+      dragged.classList.add("dragging");
+      event.dataTransfer?.setData("text/plain", dragged.dataset.packId);
+    });
+    list.addEventListener("dragover", event => {
+      const target = event.target.closest("[data-pack-id]");
+      if (!dragged || !target) return;
+      event.preventDefault();
+      if (target === dragged) return;
+      const { top, height } = target.getBoundingClientRect();
+      const after = event.clientY > top + height / 2;
+      list.insertBefore(dragged, after ? target.nextSibling : target);
+    });
+    list.addEventListener("drop", event => event.preventDefault());
+    list.addEventListener("dragend", () => {
+      if (!dragged) return;
+      dragged.classList.remove("dragging");
+      dragged = null;
+      const items = [...list.querySelectorAll("[data-pack-id]")];
+      items.forEach((item, i) => {
+        const position = item.querySelector(".rank-position");
+        if (position) position.textContent = String(i + 1);
+      });
+      input.value = JSON.stringify(items.map(item => item.dataset.packId));
+    });
+  }
+
+  /**
+   * Process form submission and save the compendium selection and ranking
    * Converts form data to the appropriate setting format and clears caches
    * @param {Event} event - The form submission event
-   * @param {Object} formData - The form data object containing mode and compendium selections
+   * @param {Object} formData - The form data object containing mode, compendium selections, ranking and resetRanking
    * @returns {Promise<void>}
    * @override
    * @async
@@ -1608,6 +5613,19 @@ class CompendiumSelectorForm extends FormApplication {
 
     const mode = formData.mode;
     const allPacks = CompendiumManager.detectWOTCCompendiums();
+    const scene = this.scene;
+
+    if (scene && mode === "world") {
+      try {
+        await scene.unsetFlag(MODULE_ID, CompendiumManager.PROFILE_FLAG_KEY);
+        NPCTokenReplacerController.clearCache();
+        ui.notifications.info(game.i18n.format("NPC_REPLACER.Settings.SceneProfile.Cleared", { name: scene.name }));
+      } catch (e) {
+        Logger.error(`Failed to clear compendium profile of scene "${scene.name}" (${e.name}: ${e.message})`);
+        ui.notifications.error(game.i18n.localize("NPC_REPLACER.Settings.CompendiumSelector.SaveError"));
+      }
+      return;
+    }
 
     let enabledArray;
     if (mode === "default") {
@@ -1636,8 +5654,41 @@ class CompendiumSelectorForm extends FormApplication {
     const jsonValue = JSON.stringify(enabledArray);
     Logger.log("Saving enabledCompendiums:", jsonValue);
 
+    // Ranking: explicit reset, a reordered list, or unchanged
+    let ranking = null;
+    if (formData.resetRanking) {
+      ranking = [];
+    } else if (formData.ranking) {
+      try {
+        const parsed = JSON.parse(formData.ranking);
+        if (Array.isArray(parsed)) ranking = parsed.filter(id => typeof id === "string");
+      } catch (e) {
+        Logger.warn(`Ignoring malformed compendium ranking (${e.name}: ${e.message})`);
+      }
+    }
+
+    if (scene) {
+      const profile = {
+        enabledCompendiums: enabledArray,
+        ranking: ranking ?? CompendiumManager.getSceneProfile(scene)?.ranking ?? []
+      };
+      try {
+        await scene.setFlag(MODULE_ID, CompendiumManager.PROFILE_FLAG_KEY, profile);
+        NPCTokenReplacerController.clearCache();
+        ui.notifications.info(game.i18n.format("NPC_REPLACER.Settings.SceneProfile.Saved", { name: scene.name }));
+      } catch (e) {
+        Logger.error(`Failed to save compendium profile of scene "${scene.name}" (${e.name}: ${e.message})`);
+        ui.notifications.error(game.i18n.localize("NPC_REPLACER.Settings.CompendiumSelector.SaveError"));
+      }
+      return;
+    }
+
     try {
       await game.settings.set(MODULE_ID, "enabledCompendiums", jsonValue);
+      if (ranking) {
+        Logger.log("Saving compendiumRanking:", ranking);
+        await game.settings.set(MODULE_ID, "compendiumRanking", JSON.stringify(ranking));
+      }
 
       // Clear all caches to reload with new settings
       NPCTokenReplacerController.clearCache();
@@ -1650,6 +5701,252 @@ class CompendiumSelectorForm extends FormApplication {
   }
 }
 
+/**
+ * Custom FormApplication for opting non-WotC compendiums into matching
+ * Lists every other Actor compendium in the world; each ticked pack is used
+ * alongside the official ones with the priority the GM assigns to it.
+ * @class
+ * @extends FormApplication
+ */
+class AdditionalSourcesForm extends FormApplication {
+  /**
+   * Get the default options for the form application
+   * @returns {Object} Default options merged with parent class defaults
+   * @static
+   * @override
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "npc-replacer-additional-sources",
+      title: game.i18n.localize("NPC_REPLACER.Settings.AdditionalSources.Title"),
+      template: `modules/${MODULE_ID}/templates/additional-sources.html`,
+      width: 560,
+      height: "auto",
+      closeOnSubmit: true
+    });
+  }
+
+  /**
+   * Prepare data for the form template
+   * @returns {Object} Data object with the candidate packs and the priority choices
+   * @property {Array<Object>} sources - Rows with index, id, name, module, enabled and priority
+   * @property {Array<{value: number, label: string}>} priorities - Selectable priority levels
+   * @override
+   */
+  getData() {
+    const selected = CompendiumManager.getAdditionalSources();
+    return {
+      sources: CompendiumManager.getAdditionalSourceCandidates().map((pack, index) => ({
+        index,
+        id: pack.collection,
+        name: pack.metadata.label,
+        module: pack.metadata.packageName,
+        enabled: selected.has(pack.collection),
+        priority: selected.get(pack.collection) ?? 1
+      })),
+      priorities: Object.entries(CompendiumManager.PRIORITY_LABELS).map(([value, label]) => ({
+        value: Number(value),
+        label: `${value} - ${label}`
+      }))
+    };
+  }
+
+  /**
+   * Process form submission and save the additional sources
+   * Keeps the priority of every ticked pack and clears caches.
+   * @param {Event} event - The form submission event
+   * @param {Object} formData - The form data (source-enabled-N checkboxes, source-priority-N selects)
+   * @returns {Promise<void>}
+   * @override
+   * @async
+   */
+  async _updateObject(event, formData) {
+    const candidates = CompendiumManager.getAdditionalSourceCandidates();
+    const sources = {};
+    const prefix = "source-enabled-";
+    for (const [key, value] of Object.entries(formData)) {
+      if (!key.startsWith(prefix) || !value) continue;
+      const index = parseInt(key.substring(prefix.length), 10);
+      if (isNaN(index) || !candidates[index]) continue;
+      sources[candidates[index].collection] = Number(formData[`source-priority-${index}`]) || 1;
+    }
+
+    try {
+      await game.settings.set(MODULE_ID, "additionalSources", JSON.stringify(sources));
+      NPCTokenReplacerController.clearCache();
+      ui.notifications.info(game.i18n.localize("NPC_REPLACER.Settings.AdditionalSources.Saved"));
+    } catch (e) {
+      Logger.error(`Failed to save additional sources (${e.name}: ${e.message})`);
+      ui.notifications.error(game.i18n.localize("NPC_REPLACER.Settings.AdditionalSources.SaveError"));
+    }
+  }
+}
+
+/**
+ * Custom FormApplication for managing the creature alias table
+ * Lists every alias with the creature it resolves to, and lets the GM edit,
+ * delete or add aliases (creature name -> compendium entry UUID)
+ * @class
+ * @extends FormApplication
+ */
+class AliasManagerForm extends FormApplication {
+  /**
+   * Get the default options for the form application
+   * @returns {Object} Default options merged with parent class defaults
+   * @static
+   * @override
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "npc-replacer-alias-manager",
+      title: game.i18n.localize("NPC_REPLACER.Settings.Aliases.Title"),
+      template: `modules/${MODULE_ID}/templates/alias-manager.html`,
+      width: 600,
+      height: "auto",
+      closeOnSubmit: true
+    });
+  }
+
+  /**
+   * Prepare data for the form template
+   * Loads the monster index so aliased UUIDs can be shown as creature names
+   * and offered as choices.
+   * @returns {Promise<Object>} Data object with aliases and creature choices
+   * @property {Array<Object>} aliases - Rows with index, name, uuid and resolved label
+   * @property {Array<{uuid: string, label: string}>} choices - Creatures from the enabled compendiums
+   * @override
+   */
+  async getData() {
+    try {
+      await CompendiumManager.loadMonsterIndex();
+    } catch (error) {
+      Logger.error("Failed to load monster index for alias form", error);
+    }
+
+    const unresolved = game.i18n.localize("NPC_REPLACER.Settings.Aliases.Unresolved");
+    const aliases = Object.entries(AliasManager.getAliases()).map(([name, uuid], index) => {
+      const item = CompendiumManager.getIndexItemByUuid(uuid);
+      return {
+        index,
+        name,
+        uuid,
+        label: item ? NPCTokenReplacerController.getMatchLabel(item) : unresolved,
+        resolved: !!item
+      };
+    });
+
+    const choices = [...NPCTokenReplacerController.buildMatchChoices()].map(([label, item]) => ({
+      uuid: item.uuid ?? CompendiumManager.getEntryUuid(item.entry, item.pack),
+      label
+    }));
+
+    return { aliases, choices };
+  }
+
+  /**
+   * Process form submission and save the alias table
+   * Rows with an empty name or UUID, or with "delete" ticked, are dropped.
+   * @param {Event} event - The form submission event
+   * @param {Object} formData - The form data (alias-name-N, alias-uuid-N, alias-delete-N, plus the new row)
+   * @returns {Promise<void>}
+   * @override
+   * @async
+   */
+  async _updateObject(event, formData) {
+    const aliases = {};
+    const keys = Object.keys(formData).filter(key => key.startsWith("alias-name-"));
+    for (const key of keys) {
+      const suffix = key.substring("alias-name-".length);
+      if (formData[`alias-delete-${suffix}`]) continue;
+      const name = String(formData[key] ?? "").trim();
+      const uuid = String(formData[`alias-uuid-${suffix}`] ?? "").trim();
+      if (name && uuid) aliases[name] = uuid;
+    }
+
+    try {
+      await AliasManager.setAliases(aliases);
+      ui.notifications.info(game.i18n.localize("NPC_REPLACER.Settings.Aliases.Saved"));
+    } catch (e) {
+      Logger.error(`Failed to save creature aliases (${e.name}: ${e.message})`);
+      ui.notifications.error(game.i18n.localize("NPC_REPLACER.Settings.Aliases.SaveError"));
+    }
+  }
+}
+
+/**
+ * Custom FormApplication for editing the name variant rules
+ * Extra prefixes, suffixes and regular expressions are entered one per line
+ * and stripped from token names in addition to the built-in rules.
+ * @class
+ * @extends FormApplication
+ */
+class VariantRulesForm extends FormApplication {
+  /**
+   * Get the default options for the form application
+   * @returns {Object} Default options merged with parent class defaults
+   * @static
+   * @override
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "npc-replacer-variant-rules",
+      title: game.i18n.localize("NPC_REPLACER.Settings.VariantRules.Title"),
+      template: `modules/${MODULE_ID}/templates/variant-rules.html`,
+      width: 520,
+      height: "auto",
+      closeOnSubmit: true
+    });
+  }
+
+  /**
+   * Prepare data for the form template
+   * @returns {Object} Data object with the user rules as newline-separated text and the built-in words
+   * @override
+   */
+  getData() {
+    const rules = NPCTokenReplacerController.getVariantRules();
+    return {
+      prefixes: rules.prefixes.join("\n"),
+      suffixes: rules.suffixes.join("\n"),
+      patterns: rules.patterns.join("\n"),
+      defaultPrefixes: NameMatcher.DEFAULT_PREFIXES.join(", "),
+      defaultSuffixes: NameMatcher.DEFAULT_SUFFIXES.join(", ")
+    };
+  }
+
+  /**
+   * Process form submission and save the variant rules
+   * Invalid regular expressions are dropped and reported instead of saved.
+   * @param {Event} event - The form submission event
+   * @param {Object} formData - The form data (prefixes, suffixes, patterns textareas)
+   * @returns {Promise<void>}
+   * @override
+   * @async
+   */
+  async _updateObject(event, formData) {
+    const lines = value => [...new Set(String(value ?? "").split(/\r?\n/).map(l => l.trim()).filter(Boolean))];
+
+    const patterns = [];
+    for (const pattern of lines(formData.patterns)) {
+      const error = NameMatcher.validatePattern(pattern);
+      if (error) {
+        ui.notifications.warn(game.i18n.format("NPC_REPLACER.Settings.VariantRules.InvalidPattern", { pattern, error }));
+        continue;
+      }
+      patterns.push(pattern);
+    }
+
+    const rules = { prefixes: lines(formData.prefixes), suffixes: lines(formData.suffixes), patterns };
+    try {
+      await game.settings.set(MODULE_ID, "variantRules", JSON.stringify(rules));
+      ui.notifications.info(game.i18n.localize("NPC_REPLACER.Settings.VariantRules.Saved"));
+    } catch (e) {
+      Logger.error(`Failed to save variant rules (${e.name}: ${e.message})`);
+      ui.notifications.error(game.i18n.localize("NPC_REPLACER.Settings.VariantRules.SaveError"));
+    }
+  }
+}
+
 /**
  * Escape HTML special characters to prevent XSS
  * Utility function used in confirmation dialogs to safely display token names
@@ -1690,14 +5987,34 @@ function registerControlButton(controls) {
     // Note: Do NOT add onChange - it causes double execution with onClick
   };
 
+  const scenesToolConfig = {
+    name: "npcReplacerScenes",
+    title: game.i18n.localize("NPC_REPLACER.ScenesButton"),
+    icon: "fas fa-layer-group",
+    button: true,
+    visible: game.user.isGM,
+    onClick: () => NPCTokenReplacerController.replaceInScenes()
+  };
+
+  const revertToolConfig = {
+    name: "npcReplacerRevert",
+    title: game.i18n.localize("NPC_REPLACER.RevertButton"),
+    icon: "fas fa-undo",
+    button: true,
+    visible: game.user.isGM,
+    onClick: () => NPCTokenReplacerController.revertLastReplacement()
+  };
+
   // Foundry v13+ uses object structure
   if (controls.tokens && typeof controls.tokens === "object" && !Array.isArray(controls.tokens)) {
     controls.tokens.tools.npcReplacer = toolConfig;
+    controls.tokens.tools.npcReplacerScenes = scenesToolConfig;
+    controls.tokens.tools.npcReplacerRevert = revertToolConfig;
   } else if (Array.isArray(controls)) {
     // Foundry v12 and earlier uses array structure
     const tokenControls = controls.find(c => c.name === "token");
     if (tokenControls && Array.isArray(tokenControls.tools)) {
-      tokenControls.tools.push(toolConfig);
+      tokenControls.tools.push(toolConfig, scenesToolConfig, revertToolConfig);
     } else {
       Logger.error("Could not find token controls group — toolbar button not registered");
     }
@@ -1706,6 +6023,119 @@ function registerControlButton(controls) {
   }
 }
 
+/**
+ * Add the compendium profile button to the Scene configuration sheet
+ * Handles both the v12 SceneConfig (jQuery) and the v13 ApplicationV2 sheet (HTMLElement).
+ * @param {Application} app - The SceneConfig sheet
+ * @param {jQuery|HTMLElement} html - The rendered sheet
+ * @returns {void}
+ */
+function injectSceneProfileButton(app, html) {
+  if (!game.user.isGM) return;
+  const scene = app.document ?? app.object;
+  const root = html?.[0] ?? html;
+  if (!scene || !root?.querySelector || root.querySelector(".npc-replacer-scene-profile")) return;
+
+  const container = root.querySelector(".tab[data-tab=\"basic\"], .tab[data-tab=\"basics\"]") ?? root.querySelector("form") ?? root;
+  const profile = CompendiumManager.getSceneProfile(scene);
+
+  const group = document.createElement("div");
+  group.className = "form-group npc-replacer-scene-profile";
+  group.innerHTML = `
+    <label>${escapeHtml(game.i18n.localize("NPC_REPLACER.Settings.SceneProfile.Name"))}</label>
+    <div class="form-fields">
+      <button type="button" data-action="npc-replacer-scene-profile">
+        <i class="fas fa-book"></i> ${escapeHtml(game.i18n.localize("NPC_REPLACER.Settings.SceneProfile.Label"))}
+      </button>
+    </div>
+    <p class="hint">${escapeHtml(game.i18n.localize(profile
+    ? "NPC_REPLACER.Settings.SceneProfile.HintCustom"
+    : "NPC_REPLACER.Settings.SceneProfile.HintWorld"))}</p>`;
+  group.querySelector("button").addEventListener("click", event => {
+    event.preventDefault();
+    CompendiumSelectorForm.openForScene(scene);
+  });
+  container.appendChild(group);
+}
+
+/**
+ * Add the "Upgrade World Actors" button to the Actors directory header
+ * Handles both the v12 directory (jQuery) and the v13 ApplicationV2 directory (HTMLElement).
+ * @param {Application} app - The ActorDirectory
+ * @param {jQuery|HTMLElement} html - The rendered directory
+ * @returns {void}
+ */
+function injectActorUpgradeButton(app, html) {
+  if (!game.user.isGM) return;
+  const root = html?.[0] ?? html;
+  if (!root?.querySelector || root.querySelector(".npc-replacer-upgrade-actors")) return;
+
+  const container = root.querySelector(".header-actions") ?? root.querySelector(".directory-header");
+  if (!container) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "npc-replacer-upgrade-actors";
+  button.innerHTML = `<i class="fas fa-arrow-circle-up"></i> ${escapeHtml(game.i18n.localize("NPC_REPLACER.UpgradeButton"))}`;
+  button.addEventListener("click", event => {
+    event.preventDefault();
+    NPCTokenReplacerController.upgradeWorldActors();
+  });
+  container.appendChild(button);
+}
+
+/**
+ * Add the "Clean Up Imported Actors" button to the Actors directory header
+ * Handles both the v12 directory (jQuery) and the v13 ApplicationV2 directory (HTMLElement).
+ * @param {Application} app - The ActorDirectory
+ * @param {jQuery|HTMLElement} html - The rendered directory
+ * @returns {void}
+ */
+function injectActorCleanupButton(app, html) {
+  if (!game.user.isGM) return;
+  const root = html?.[0] ?? html;
+  if (!root?.querySelector || root.querySelector(".npc-replacer-cleanup-actors")) return;
+
+  const container = root.querySelector(".header-actions") ?? root.querySelector(".directory-header");
+  if (!container) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "npc-replacer-cleanup-actors";
+  button.innerHTML = `<i class="fas fa-broom"></i> ${escapeHtml(game.i18n.localize("NPC_REPLACER.CleanupButton"))}`;
+  button.addEventListener("click", event => {
+    event.preventDefault();
+    NPCTokenReplacerController.cleanupImportedActors();
+  });
+  container.appendChild(button);
+}
+
+/**
+ * Add the "Upgrade World Compendium" button to the Compendium directory header
+ * Handles both the v12 directory (jQuery) and the v13 ApplicationV2 directory (HTMLElement).
+ * @param {Application} app - The CompendiumDirectory
+ * @param {jQuery|HTMLElement} html - The rendered directory
+ * @returns {void}
+ */
+function injectPackUpgradeButton(app, html) {
+  if (!game.user.isGM) return;
+  const root = html?.[0] ?? html;
+  if (!root?.querySelector || root.querySelector(".npc-replacer-upgrade-pack")) return;
+
+  const container = root.querySelector(".header-actions") ?? root.querySelector(".directory-header");
+  if (!container) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "npc-replacer-upgrade-pack";
+  button.innerHTML = `<i class="fas fa-arrow-circle-up"></i> ${escapeHtml(game.i18n.localize("NPC_REPLACER.PackButton"))}`;
+  button.addEventListener("click", event => {
+    event.preventDefault();
+    NPCTokenReplacerController.upgradeCompendium();
+  });
+  container.appendChild(button);
+}
+
 /**
  * Module initialization hook (init phase)
  * Settings must be registered during init, before game.ready
@@ -1731,6 +6161,7 @@ Hooks.once("init", () => {
  * - NameMatcher: Provides name matching logic
  * - FolderManager: Manages import folders
  * - WildcardResolver: Resolves wildcard token paths
+ * - AliasManager: Loads the creature alias table into NameMatcher
  * - NPCTokenReplacerController: Main facade coordinating all operations
  */
 Hooks.once("ready", async () => {
@@ -1746,6 +6177,11 @@ Hooks.once("ready", async () => {
    *
    * Available methods:
    * - NPCTokenReplacer.replaceNPCTokens() - Run token replacement
+   * - NPCTokenReplacer.replaceInScenes(scenes) - Run token replacement in several scenes
+   * - NPCTokenReplacer.upgradeWorldActors() - Upgrade world NPC actors to their compendium versions
+   * - NPCTokenReplacer.upgradeCompendium(packId) - Upgrade the scenes or actors of a world compendium
+   * - NPCTokenReplacer.cleanupImportedActors(options) - Delete imported actors no token uses
+   * - NPCTokenReplacer.getProvenance(token) - Read where a replaced token or imported actor came from
    * - NPCTokenReplacer.detectWOTCCompendiums() - List detected compendiums
    * - NPCTokenReplacer.getEnabledCompendiums() - List enabled compendiums
    * - NPCTokenReplacer.clearCache() - Force index reload
@@ -1753,6 +6189,8 @@ Hooks.once("ready", async () => {
    * - NPCTokenReplacer.findInMonsterManual(name, index) - Find creature in index
    * - NPCTokenReplacer.getOrCreateImportFolder() - Get/create import folder
    * - NPCTokenReplacer.getMonsterManualPack() - Get first enabled compendium (legacy)
+   * - NPCTokenReplacer.revertLastReplacement(options) - Undo the last run in the current scene
+   * - NPCTokenReplacer.getReplacementHistory(scene) - List the reversible runs of a scene
    */
   window.NPCTokenReplacer = NPCTokenReplacerController.getDebugAPI();
 });
@@ -1762,5 +6200,25 @@ Hooks.once("ready", async () => {
  */
 Hooks.on("getSceneControlButtons", registerControlButton);
 
+/**
+ * Scene configuration hook: per-scene compendium profile button
+ */
+Hooks.on("renderSceneConfig", injectSceneProfileButton);
+
+/**
+ * Actors directory hook: upgrade world actors button
+ */
+Hooks.on("renderActorDirectory", injectActorUpgradeButton);
+
+/**
+ * Actors directory hook: clean up imported actors button
+ */
+Hooks.on("renderActorDirectory", injectActorCleanupButton);
+
+/**
+ * Compendium directory hook: upgrade world compendium button
+ */
+Hooks.on("renderCompendiumDirectory", injectPackUpgradeButton);
+
 // Named exports for testing — classes remain in main.js due to Foundry global dependencies
-export { FolderManager, CompendiumManager, TokenReplacer, NPCTokenReplacerController };
+export { FolderManager, CompendiumManager, TokenReplacer, ReplacementHistory, ActorUpgrader, PackUpgrader, ActorCleanup, AliasManager, NPCTokenReplacerController };
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { ActorCleanup, NPCTokenReplacerController } from "../scripts/main.js";
+
+/**
+ * ActorCleanup Unit Tests
+ *
+ * Tests finding the actors imported by the module that no scene token
+ * references any more, and the cleanup command that deletes them.
+ */
+
+const importedFlags = { "npc-token-replacer": { imported: true } };
+
+// Actor collection mock: iterable with get(), like game.actors
+const createActors = (actors) => Object.assign([...actors], {
+  get: id => actors.find(actor => actor.id === id)
+});
+
+const zombie = { id: "zombie", name: "Zombie", flags: importedFlags };
+const goblin = { id: "goblin", name: "Goblin", flags: importedFlags };
+const handMade = { id: "villain", name: "Homebrew Villain", flags: {} };
+
+let originalActors;
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  originalActors = game.actors;
+  game.actors = createActors([zombie, goblin, handMade]);
+  game.scenes = [{ tokens: [{ actorId: "goblin" }] }];
+  globalThis.Actor.deleteDocuments = vi.fn().mockResolvedValue([]);
+});
+
+afterEach(() => {
+  game.actors = originalActors;
+  game.scenes = [];
+});
+
+describe("ActorCleanup", () => {
+
+  it("recognises actors imported by the module", () => {
+    expect(ActorCleanup.isImported(zombie)).toBe(true);
+    expect(ActorCleanup.isImported(handMade)).toBe(false);
+    expect(ActorCleanup.isImported({ name: "No flags" })).toBe(false);
+  });
+
+  it("lists imported actors that no token in any scene references", () => {
+    expect(ActorCleanup.getOrphanedActors()).toEqual([zombie]);
+  });
+
+  it("deletes only actors that are still orphaned imports", async () => {
+    game.scenes = [{ tokens: [{ actorId: "zombie" }] }];
+
+    const deleted = await ActorCleanup.deleteActors(["zombie", "goblin", "villain", "gone"]);
+
+    expect(Actor.deleteDocuments).toHaveBeenCalledWith(["goblin"]);
+    expect(deleted).toBe(1);
+  });
+
+});
+
+describe("NPCTokenReplacerController.cleanupImportedActors", () => {
+
+  let capturedOptions;
+
+  beforeEach(() => {
+    capturedOptions = null;
+    game.user.isGM = true;
+    ui.notifications.info = vi.fn();
+    ui.notifications.warn = vi.fn();
+    ui.notifications.error = vi.fn();
+    game.i18n.localize = vi.fn(key => key);
+    game.i18n.format = vi.fn((key, data) => `${key}: ${JSON.stringify(data)}`);
+    globalThis.Dialog.confirm = vi.fn((opts) => {
+      capturedOptions = opts;
+    });
+  });
+
+  it("deletes the actors left ticked in the dialog", async () => {
+    game.scenes = [];
+    const promise = NPCTokenReplacerController.cleanupImportedActors();
+    await vi.waitFor(() => expect(capturedOptions).not.toBeNull());
+
+    const root = document.createElement("form");
+    root.innerHTML = capturedOptions.content;
+    expect(root.querySelectorAll("input[data-cleanup-id]")).toHaveLength(2);
+    root.querySelector('input[data-cleanup-id="goblin"]').checked = false;
+    capturedOptions.yes([root]);
+    await promise;
+
+    expect(Actor.deleteDocuments).toHaveBeenCalledWith(["zombie"]);
+    expect(game.i18n.format).toHaveBeenCalledWith("NPC_REPLACER.CleanupComplete", { count: 1 });
+  });
+
+  it("deletes nothing when the dialog is cancelled", async () => {
+    const promise = NPCTokenReplacerController.cleanupImportedActors();
+    await vi.waitFor(() => expect(capturedOptions).not.toBeNull());
+
+    capturedOptions.no();
+    await promise;
+
+    expect(Actor.deleteDocuments).not.toHaveBeenCalled();
+  });
+
+  it("deletes every orphan without a dialog when confirm is false", async () => {
+    await NPCTokenReplacerController.cleanupImportedActors({ confirm: false });
+
+    expect(Dialog.confirm).not.toHaveBeenCalled();
+    expect(Actor.deleteDocuments).toHaveBeenCalledWith(["zombie"]);
+  });
+
+  it("notifies when every imported actor is in use", async () => {
+    game.scenes = [{ tokens: [{ actorId: "zombie" }, { actorId: "goblin" }] }];
+
+    await NPCTokenReplacerController.cleanupImportedActors();
+
+    expect(ui.notifications.info).toHaveBeenCalledWith("NPC_REPLACER.CleanupNothing");
+    expect(Dialog.confirm).not.toHaveBeenCalled();
+  });
+
+  it("reports an error notification when the deletion fails", async () => {
+    Actor.deleteDocuments = vi.fn().mockRejectedValue(new Error("Permission denied"));
+
+    await NPCTokenReplacerController.cleanupImportedActors({ confirm: false });
+
+    expect(ui.notifications.error).toHaveBeenCalledWith("NPC_REPLACER.ErrorCleanup");
+  });
+
+  it("refuses to run for non-GM users", async () => {
+    game.user.isGM = false;
+
+    await NPCTokenReplacerController.cleanupImportedActors();
+
+    expect(ui.notifications.warn).toHaveBeenCalledWith("NPC_REPLACER.GMOnly");
+  });
+
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { ActorUpgrader, CompendiumManager, NPCTokenReplacerController } from "../scripts/main.js";
+import { NameMatcher } from "../scripts/lib/name-matcher.js";
+
+/**
+ * ActorUpgrader Unit Tests
+ *
+ * Tests upgrading world NPC actors in place: matching the Actors directory,
+ * skipping actors already imported from their match, and the update that
+ * keeps the actor's ID, folder and ownership.
+ */
+
+const pack = {
+  collection: "dnd-monster-manual.actors",
+  documentName: "Actor",
+  metadata: { label: "Monster Manual" },
+  getDocument: vi.fn()
+};
+const goblinMatch = { entry: { _id: "gob", name: "Goblin" }, pack };
+const GOBLIN_UUID = "Compendium.dnd-monster-manual.actors.Actor.gob";
+
+const createActor = (overrides = {}) => ({
+  id: "actor1",
+  name: "Goblin",
+  type: "npc",
+  _stats: { compendiumSource: "Compendium.dnd5e.monsters.Actor.srd-goblin" },
+  update: vi.fn().mockResolvedValue({}),
+  ...overrides
+});
+
+const createProgress = () => ({ start: vi.fn(), update: vi.fn(), finish: vi.fn() });
+
+let originalActors;
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  originalActors = game.actors;
+  pack.getDocument = vi.fn().mockResolvedValue({
+    name: "Goblin",
+    toObject: () => ({ _id: "gob", name: "Goblin", folder: "compendium-folder", sort: 100, ownership: { default: 0 }, system: { hp: 7 }, items: [{ name: "Scimitar" }] })
+  });
+});
+
+afterEach(() => {
+  game.actors = originalActors;
+});
+
+describe("ActorUpgrader matching", () => {
+
+  it("only lists NPC actors of the Actors directory", () => {
+    const npc = createActor();
+    game.actors = [npc, createActor({ id: "pc", type: "character" })];
+
+    expect(ActorUpgrader.getWorldNPCs()).toEqual([npc]);
+  });
+
+  it("skips actors already imported from their matched entry", () => {
+    vi.spyOn(NameMatcher, "findMatch").mockReturnValue(goblinMatch);
+    const oldGoblin = createActor();
+    const imported = createActor({ id: "actor2", _stats: { compendiumSource: GOBLIN_UUID } });
+    const legacy = createActor({ id: "actor3", _stats: {}, flags: { core: { sourceId: GOBLIN_UUID } } });
+
+    const results = ActorUpgrader.computeMatches([oldGoblin, imported, legacy], [], createProgress());
+
+    expect(results).toEqual([{ tokenDoc: null, actor: oldGoblin, creatureName: "Goblin", match: goblinMatch }]);
+  });
+
+  it("keeps unmatched actors so the preview can offer a manual match", () => {
+    vi.spyOn(NameMatcher, "findMatch").mockReturnValue(null);
+
+    const results = ActorUpgrader.computeMatches([createActor({ name: "Gruk" })], [], createProgress());
+
+    expect(results[0]).toMatchObject({ creatureName: "Gruk", match: null });
+  });
+
+});
+
+describe("ActorUpgrader upgrading", () => {
+
+  it("replaces the actor data but keeps its ID, folder, sort and ownership", async () => {
+    game.actors = Object.assign([], { fromCompendium: vi.fn(doc => ({ ...doc.toObject(), _stats: { compendiumSource: GOBLIN_UUID } })) });
+    const actor = createActor();
+
+    await ActorUpgrader.upgradeActor(actor, goblinMatch);
+
+    expect(pack.getDocument).toHaveBeenCalledWith("gob");
+    const [data, options] = actor.update.mock.calls[0];
+    expect(data).toEqual({ name: "Goblin", system: { hp: 7 }, items: [{ name: "Scimitar" }], _stats: { compendiumSource: GOBLIN_UUID } });
+    expect(options).toEqual({ diff: false, recursive: false });
+  });
+
+  it("keeps the world actor's flags and this module's flags over the compendium's", () => {
+    game.actors = [];
+    const compendiumActor = { toObject: () => ({ name: "Goblin", flags: { core: { sourceId: GOBLIN_UUID }, "npc-token-replacer": { stale: true } } }) };
+    const actor = createActor({
+      flags: { core: { sourceId: "old" }, "other-module": { tag: "boss" }, "npc-token-replacer": { imported: true } }
+    });
+
+    const data = ActorUpgrader.buildUpgradeData(compendiumActor, actor);
+
+    expect(data.flags).toEqual({
+      core: { sourceId: GOBLIN_UUID },
+      "other-module": { tag: "boss" },
+      "npc-token-replacer": { imported: true }
+    });
+  });
+
+  it("falls back to the compendium document's data without fromCompendium", () => {
+    game.actors = [];
+
+    const data = ActorUpgrader.buildUpgradeData({ toObject: () => ({ _id: "gob", folder: "f", name: "Goblin" }) });
+
+    expect(data).toEqual({ name: "Goblin" });
+  });
+
+  it("reports actors that fail to upgrade without stopping the others", async () => {
+    game.actors = [];
+    const broken = createActor({ id: "actor2", name: "Orc", update: vi.fn().mockRejectedValue(new Error("denied")) });
+    const progress = createProgress();
+
+    const outcome = await ActorUpgrader.upgradeActors([
+      { actor: createActor(), creatureName: "Goblin", match: goblinMatch },
+      { actor: broken, creatureName: "Orc", match: goblinMatch }
+    ], progress);
+
+    expect(outcome).toEqual({ upgraded: 1, failed: ["Orc"], statuses: ["upgraded", "failed"] });
+    expect(progress.finish).toHaveBeenCalled();
+  });
+
+});
+
+describe("NPCTokenReplacerController.upgradeWorldActors", () => {
+
+  beforeEach(() => {
+    game.user.isGM = true;
+    game.i18n.format = vi.fn((key, data) => `${key}: ${JSON.stringify(data)}`);
+    ui.notifications.info = vi.fn();
+    vi.spyOn(CompendiumManager, "detectWOTCCompendiums").mockReturnValue([pack]);
+    vi.spyOn(CompendiumManager, "loadMonsterIndex").mockResolvedValue([goblinMatch]);
+    vi.spyOn(NameMatcher, "findMatch").mockReturnValue(goblinMatch);
+  });
+
+  it("upgrades the actors ticked in the preview", async () => {
+    const keep = createActor({ id: "actor2" });
+    const upgrade = createActor();
+    game.actors = [upgrade, keep];
+    const previewSpy = vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockImplementation(async (results) => {
+      results[1].include = false;
+      return true;
+    });
+    const upgradeSpy = vi.spyOn(ActorUpgrader, "upgradeActor").mockResolvedValue({});
+
+    await NPCTokenReplacerController.upgradeWorldActors();
+
+    expect(previewSpy.mock.calls[0][1]).toEqual({ title: "NPC_REPLACER.UpgradeTitle", nameLabel: "NPC_REPLACER.UpgradeColActor" });
+    expect(upgradeSpy).toHaveBeenCalledTimes(1);
+    expect(upgradeSpy).toHaveBeenCalledWith(upgrade, goblinMatch);
+    expect(ui.notifications.info).toHaveBeenCalledWith("NPC_REPLACER.UpgradeComplete: {\"count\":1}");
+  });
+
+  it("does not open the preview when every actor is up to date", async () => {
+    game.actors = [createActor({ _stats: { compendiumSource: GOBLIN_UUID } })];
+    const previewSpy = vi.spyOn(NPCTokenReplacerController, "showPreviewDialog");
+
+    await NPCTokenReplacerController.upgradeWorldActors();
+
+    expect(previewSpy).not.toHaveBeenCalled();
+    expect(ui.notifications.info).toHaveBeenCalledWith("NPC_REPLACER.UpgradeNothing");
+  });
+
+});
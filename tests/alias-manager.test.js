@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { AliasManager, CompendiumManager, NPCTokenReplacerController, TokenReplacer } from "../scripts/main.js";
+import { NameMatcher } from "../scripts/lib/name-matcher.js";
+
+/**
+ * AliasManager Unit Tests
+ *
+ * Tests the world-scoped creature alias table (setting storage, NameMatcher
+ * sync) and the preview's "remember this match" flow.
+ */
+
+const UUID = "Compendium.dnd5e.monsters.Actor.orog";
+
+// In-memory settings store for the alias setting
+let stored;
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  stored = undefined;
+  game.settings.get = vi.fn(() => stored);
+  game.settings.set = vi.fn(async (_module, _key, value) => { stored = value; });
+  NameMatcher.setAliases({});
+});
+
+// ─── Test Group 1: storage ──────────────────────────────────────────────────
+
+describe("AliasManager storage", () => {
+
+  it("getAliases returns an empty table when the setting is unset or invalid", () => {
+    expect(AliasManager.getAliases()).toEqual({});
+
+    stored = "not json";
+    expect(AliasManager.getAliases()).toEqual({});
+
+    stored = "[\"all\"]";
+    expect(AliasManager.getAliases()).toEqual({});
+  });
+
+  it("getAliases drops entries without a UUID", () => {
+    stored = JSON.stringify({ "orog brute": UUID, broken: 3 });
+    expect(AliasManager.getAliases()).toEqual({ "orog brute": UUID });
+  });
+
+  it("setAliases normalizes names, saves JSON and updates NameMatcher", async () => {
+    await AliasManager.setAliases({ "Orog Brute": UUID, "": "x" });
+
+    expect(JSON.parse(stored)).toEqual({ "orog brute": UUID });
+    expect(NameMatcher.getAlias("Orog Brute")).toBe(UUID);
+  });
+
+  it("addAliases keeps existing aliases", async () => {
+    stored = JSON.stringify({ goblin: "Compendium.dnd5e.monsters.Actor.goblin" });
+
+    await AliasManager.addAliases([{ name: "Cultist Fanatic (Hooded)", uuid: UUID }]);
+
+    expect(JSON.parse(stored)).toEqual({
+      goblin: "Compendium.dnd5e.monsters.Actor.goblin",
+      "cultist fanatic hooded": UUID
+    });
+  });
+
+  it("syncMatcher loads the stored table into NameMatcher", () => {
+    stored = JSON.stringify({ "orog brute": UUID });
+
+    AliasManager.syncMatcher();
+
+    expect(NameMatcher.getAlias("orog brute")).toBe(UUID);
+  });
+
+});
+
+// ─── Test Group 2: UUID helpers ─────────────────────────────────────────────
+
+describe("CompendiumManager UUID helpers", () => {
+
+  it("getEntryUuid prefers the index entry's uuid", () => {
+    const pack = { collection: "dnd5e.monsters", documentName: "Actor" };
+    expect(CompendiumManager.getEntryUuid({ _id: "abc", uuid: "Compendium.x.y.Actor.abc" }, pack)).toBe("Compendium.x.y.Actor.abc");
+    expect(CompendiumManager.getEntryUuid({ _id: "abc" }, pack)).toBe("Compendium.dnd5e.monsters.Actor.abc");
+  });
+
+  it("getIndexItemByUuid returns null before the index is loaded", () => {
+    CompendiumManager.clearCache();
+    expect(CompendiumManager.getIndexItemByUuid(UUID)).toBeNull();
+  });
+
+});
+
+// ─── Test Group 3: remember this match ──────────────────────────────────────
+
+describe("replaceNPCTokens remember this match", () => {
+  const pack = { collection: "dnd5e.monsters", metadata: { id: "dnd5e.monsters", label: "Monsters" } };
+  const orog = { entry: { name: "Orog" }, pack, uuid: UUID, normalizedName: "orog" };
+  const token = { id: "t1", name: "Orog Brute", actor: { name: "Orog Brute" } };
+
+  beforeEach(() => {
+    game.user.isGM = true;
+    canvas.scene = { tokens: { has: vi.fn(() => true) } };
+    game.actors[Symbol.iterator] = function* () {};
+    ui.notifications.warn = vi.fn();
+    vi.spyOn(CompendiumManager, "detectWOTCCompendiums").mockReturnValue([pack]);
+    vi.spyOn(CompendiumManager, "getEnabledCompendiums").mockReturnValue([pack]);
+    vi.spyOn(CompendiumManager, "loadMonsterIndex").mockResolvedValue([orog]);
+    vi.spyOn(TokenReplacer, "getNPCTokensToProcess").mockReturnValue({ tokens: [token], isSelection: false });
+    vi.spyOn(TokenReplacer, "prepareReplacement").mockImplementation(async (tokenDoc, entry) => ({
+      tokenDoc, compendiumEntry: entry, newTokenData: { _id: "new-t1" }
+    }));
+    vi.spyOn(TokenReplacer, "resolvePreparedTexture").mockResolvedValue();
+    vi.spyOn(TokenReplacer, "commitReplacements").mockResolvedValue({ created: new Map(), failed: [] });
+  });
+
+  it("saves remembered matches as aliases", async () => {
+    vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockImplementation(async (results) => {
+      results[0].match = orog;
+      results[0].remember = true;
+      return true;
+    });
+
+    await NPCTokenReplacerController.replaceNPCTokens();
+
+    expect(JSON.parse(stored)).toEqual({ "orog brute": UUID });
+  });
+
+  it("does not save aliases for rows without remember", async () => {
+    vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockResolvedValue(true);
+    const addSpy = vi.spyOn(AliasManager, "addAliases");
+
+    await NPCTokenReplacerController.replaceNPCTokens();
+
+    expect(addSpy).not.toHaveBeenCalled();
+  });
+
+  it("warns but still replaces when saving aliases fails", async () => {
+    vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockImplementation(async (results) => {
+      results[0].match = orog;
+      results[0].remember = true;
+      return true;
+    });
+    game.settings.set = vi.fn().mockRejectedValue(new Error("Permission denied"));
+
+    await NPCTokenReplacerController.replaceNPCTokens();
+
+    expect(ui.notifications.warn).toHaveBeenCalledWith("NPC_REPLACER.ErrorAliasSave");
+    expect(TokenReplacer.prepareReplacement).toHaveBeenCalledWith(token, orog.entry, pack);
+  });
+
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from "vitest";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
 import { CompendiumManager } from "../scripts/main.js";
 
 /**
@@ -240,6 +240,167 @@ describe("CompendiumManager", () => {
 
   });
 
+  // ─── Test Group 3b: additional sources ────────────────────────────────────
+
+  describe("additional sources", () => {
+
+    const corePack = createMockPack("dnd-monster-manual", "Monster Manual");       // priority 2
+    const worldPack = { ...createMockPack("world", "Curated Monsters"), collection: "world.curated" };
+    const ddbPack = createMockPack("ddb-importer", "DDB Monsters");
+    const itemPack = createMockPack("homebrew-items", "Homebrew Items", "Item");
+
+    const settings = (values) => {
+      game.settings.get = vi.fn((module, key) => values[key]);
+    };
+
+    beforeEach(() => {
+      mockPacks = [corePack, worldPack, ddbPack, itemPack];
+    });
+
+    it("lists every non-WotC Actor compendium as a candidate", () => {
+      expect(CompendiumManager.getAdditionalSourceCandidates()).toEqual([worldPack, ddbPack]);
+    });
+
+    it("adds opted-in packs to every selection mode with their priority", () => {
+      settings({ enabledCompendiums: '["default"]', additionalSources: '{"world.curated": 4}' });
+
+      const result = CompendiumManager.getEnabledCompendiums();
+
+      expect(result).toEqual([corePack, worldPack]);
+      expect(CompendiumManager.getCompendiumPriority(worldPack)).toBe(4);
+      expect(CompendiumManager.getCompendiumPriority(ddbPack)).toBe(1);
+    });
+
+    it("ignores unknown priorities and non-Actor packs", () => {
+      settings({ enabledCompendiums: '["all"]', additionalSources: '{"ddb-importer.monsters": 9, "homebrew-items.monsters": 3}' });
+
+      expect(CompendiumManager.getEnabledCompendiums()).toEqual([corePack, ddbPack]);
+      expect(CompendiumManager.getCompendiumPriority(ddbPack)).toBe(1);
+    });
+
+    it("treats a corrupt setting as no additional sources", () => {
+      settings({ enabledCompendiums: '["all"]', additionalSources: "{broken" });
+
+      expect(CompendiumManager.getEnabledCompendiums()).toEqual([corePack]);
+      expect(CompendiumManager.getAdditionalSources().size).toBe(0);
+    });
+
+  });
+
+  // ─── Test Group 3c: compendium ranking ────────────────────────────────────
+
+  describe("compendium ranking", () => {
+
+    const srdPack = createMockPack("dnd5e", "SRD Monsters");                       // tier 1
+    const corePack = createMockPack("dnd-monster-manual", "Monster Manual");       // tier 2
+    const phandelverPack = createMockPack("dnd-phandelver-below", "Phandelver");   // tier 4
+    const toaPack = createMockPack("dnd-tomb-annihilation", "Tomb of Annihilation"); // tier 4
+
+    const settings = (values) => {
+      game.settings.get = vi.fn((module, key) => values[key]);
+    };
+
+    beforeEach(() => {
+      mockPacks = [srdPack, corePack, phandelverPack, toaPack];
+    });
+
+    it("uses the built-in tiers when no ranking is stored", () => {
+      settings({ compendiumRanking: "[]" });
+
+      expect(CompendiumManager.getCompendiumPriority(phandelverPack)).toBe(4);
+      expect(CompendiumManager.getCompendiumRank(phandelverPack)).toBe(-1);
+      expect(CompendiumManager.getRankablePacks()).toEqual([phandelverPack, toaPack, corePack, srdPack]);
+    });
+
+    it("ranks ranked packs above every tier, in ranking order", () => {
+      settings({ compendiumRanking: JSON.stringify([toaPack.collection, corePack.collection, phandelverPack.collection]) });
+
+      const priorities = [toaPack, corePack, phandelverPack, srdPack].map(p => CompendiumManager.getCompendiumPriority(p));
+
+      expect(priorities).toEqual([7, 6, 5, 1]);
+      expect(CompendiumManager.getCompendiumTier(corePack)).toBe(2);
+      expect(CompendiumManager.getRankablePacks()).toEqual([toaPack, corePack, phandelverPack, srdPack]);
+    });
+
+    it("keeps the default selection mode on the built-in tiers", () => {
+      settings({ enabledCompendiums: '["default"]', compendiumRanking: JSON.stringify([phandelverPack.collection]) });
+
+      expect(CompendiumManager.getEnabledCompendiums()).toEqual([srdPack, corePack]);
+    });
+
+    it("ignores a corrupt ranking", () => {
+      settings({ compendiumRanking: "[broken" });
+
+      expect(CompendiumManager.getCompendiumRanking()).toEqual([]);
+      expect(CompendiumManager.getCompendiumPriority(corePack)).toBe(2);
+    });
+
+  });
+
+  // ─── Test Group 3d: per-scene profiles ────────────────────────────────────
+
+  describe("scene compendium profiles", () => {
+
+    const srdPack = createMockPack("dnd5e", "SRD Monsters");                       // tier 1
+    const corePack = createMockPack("dnd-monster-manual", "Monster Manual");       // tier 2
+    const phandelverPack = createMockPack("dnd-phandelver-below", "Phandelver");   // tier 4
+
+    const createScene = (id, profile) => ({
+      id,
+      name: `Scene ${id}`,
+      getFlag: vi.fn((module, key) => (key === "compendiumProfile" ? profile : undefined))
+    });
+
+    let previousScene;
+
+    beforeEach(() => {
+      previousScene = canvas.scene;
+      mockPacks = [srdPack, corePack, phandelverPack];
+      game.settings.get = vi.fn((module, key) => ({
+        enabledCompendiums: '["default"]',
+        compendiumRanking: JSON.stringify([corePack.collection])
+      })[key]);
+    });
+
+    afterEach(() => {
+      canvas.scene = previousScene;
+    });
+
+    it("reads a scene profile and ignores malformed flags", () => {
+      expect(CompendiumManager.getSceneProfile(createScene("a", { enabledCompendiums: ["all"], ranking: ["x", 3] })))
+        .toEqual({ enabledCompendiums: ["all"], ranking: ["x"] });
+      expect(CompendiumManager.getSceneProfile(createScene("b", { ranking: [] }))).toBeNull();
+      expect(CompendiumManager.getSceneProfile(createScene("c", undefined))).toBeNull();
+      expect(CompendiumManager.getSceneProfile(null)).toBeNull();
+    });
+
+    it("uses the canvas scene's selection and ranking instead of the world settings", () => {
+      canvas.scene = createScene("dungeon", {
+        enabledCompendiums: [phandelverPack.collection, srdPack.collection],
+        ranking: [srdPack.collection, phandelverPack.collection]
+      });
+
+      expect(CompendiumManager.getEnabledCompendiums()).toEqual([srdPack, phandelverPack]);
+      expect(CompendiumManager.getCompendiumPriority(srdPack)).toBeGreaterThan(CompendiumManager.getCompendiumPriority(phandelverPack));
+    });
+
+    it("falls back to the world ranking when the profile has none", () => {
+      canvas.scene = createScene("wild", { enabledCompendiums: ["all"], ranking: [] });
+
+      expect(CompendiumManager.getEnabledCompendiums()).toEqual([srdPack, corePack, phandelverPack]);
+      expect(CompendiumManager.getCompendiumRanking()).toEqual([corePack.collection]);
+    });
+
+    it("switches selection when the canvas moves to another scene", () => {
+      canvas.scene = createScene("dungeon", { enabledCompendiums: [phandelverPack.collection], ranking: [] });
+      expect(CompendiumManager.getEnabledCompendiums()).toEqual([phandelverPack]);
+
+      canvas.scene = createScene("town", undefined);
+      expect(CompendiumManager.getEnabledCompendiums()).toEqual([srdPack, corePack]);
+    });
+
+  });
+
   // ─── Test Group 4: clearCache ─────────────────────────────────────────────
 
   describe("clearCache", () => {
@@ -352,6 +513,86 @@ describe("CompendiumManager", () => {
       expect(CompendiumManager.getIndexMap()).toBeNull();
     });
 
+    it("mergeIndexMaps combines indexes and keeps each entry once per name", () => {
+      const goblin = { uuid: "Compendium.mm.Actor.gob", normalizedName: "goblin" };
+      const srdGoblin = { uuid: "Compendium.srd.Actor.gob", normalizedName: "goblin" };
+      const orc = { uuid: "Compendium.mm.Actor.orc", normalizedName: "orc" };
+
+      const merged = CompendiumManager.mergeIndexMaps([
+        new Map([["goblin", [goblin]]]),
+        null,
+        new Map([["goblin", [{ ...goblin }, srdGoblin]], ["orc", [orc]]])
+      ]);
+
+      expect(merged.get("goblin")).toEqual([goblin, srdGoblin]);
+      expect(merged.get("orc")).toEqual([orc]);
+    });
+
+  });
+
+  // ─── loadMonsterIndex lookup structures ────────────────────────────────────
+
+  describe("loadMonsterIndex lookup structures", () => {
+
+    const indexedPack = () => {
+      const pack = createMockPack("dnd-monster-manual", "Monster Manual");
+      const contents = [
+        { _id: "gob", name: "Goblin" },
+        { _id: "owl", name: "Owlbear", uuid: "Compendium.dnd-monster-manual.monsters.Actor.owl" }
+      ];
+      pack.getIndex = vi.fn().mockResolvedValue();
+      pack.index = { contents, size: contents.length };
+      return pack;
+    };
+
+    beforeEach(() => {
+      mockPacks = [indexedPack()];
+      game.settings.get = vi.fn().mockReturnValue('["all"]');
+    });
+
+    it("indexes entries by UUID", async () => {
+      await CompendiumManager.loadMonsterIndex();
+
+      expect(CompendiumManager.getIndexItemByUuid("Compendium.dnd-monster-manual.monsters.Actor.gob").entry.name).toBe("Goblin");
+      expect(CompendiumManager.getIndexItemByUuid("Compendium.dnd-monster-manual.monsters.Actor.owl").entry.name).toBe("Owlbear");
+    });
+
+    it("precomputes trigrams and a trigram index for fuzzy matching", async () => {
+      const index = await CompendiumManager.loadMonsterIndex();
+
+      expect(index[0].trigrams).toContain("gob");
+      const trigramIndex = CompendiumManager.getTrigramIndex();
+      expect(trigramIndex.get("gob").map(item => item.entry.name)).toEqual(["Goblin"]);
+      expect(trigramIndex.get("owl").map(item => item.entry.name)).toEqual(["Owlbear"]);
+    });
+
+    it("clearCache drops the UUID and trigram indexes", async () => {
+      await CompendiumManager.loadMonsterIndex();
+      CompendiumManager.clearCache();
+
+      expect(CompendiumManager.getTrigramIndex()).toBeNull();
+      expect(CompendiumManager.getIndexItemByUuid("Compendium.dnd-monster-manual.monsters.Actor.gob")).toBeNull();
+    });
+
+    it("indexes both the Babele translated and original names", async () => {
+      const pack = indexedPack();
+      pack.index.contents = [
+        { _id: "owl", name: "Orso-gufo", originalName: "Owlbear" },
+        { _id: "gob", name: "Goblin", flags: { babele: { originalName: "Goblin" } } },
+        { _id: "wlf", name: "Lupo", flags: { babele: { originalName: "Wolf" } } }
+      ];
+      mockPacks = [pack];
+
+      const index = await CompendiumManager.loadMonsterIndex();
+
+      expect(index.map(item => item.normalizedName)).toEqual(["orsogufo", "owlbear", "goblin", "lupo", "wolf"]);
+      const map = CompendiumManager.getIndexMap();
+      expect(map.get("owlbear")[0].entry.name).toBe("Orso-gufo");
+      expect(map.get("wolf")[0].uuid).toBe("Compendium.dnd-monster-manual.monsters.Actor.wlf");
+      expect(CompendiumManager.getIndexItemByUuid("Compendium.dnd-monster-manual.monsters.Actor.owl").normalizedName).toBe("orsogufo");
+      expect(pack.getIndex).toHaveBeenCalledWith({ fields: ["name", "type", "flags.babele.originalName", "prototypeToken.actorLink"] });
+    });
+
   });
 
 });
@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from "vitest";
-import { NPCTokenReplacerController, CompendiumManager, TokenReplacer } from "../scripts/main.js";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { NPCTokenReplacerController, CompendiumManager, TokenReplacer, ReplacementHistory } from "../scripts/main.js";
 import { NameMatcher } from "../scripts/lib/name-matcher.js";
 
 // ---------------------------------------------------------------------------
@@ -205,6 +205,27 @@ describe("NPCTokenReplacerController.showPreviewDialog", () => {
     });
   });
 
+  it("lists the actor delta parts each token carries over", async () => {
+    vi.spyOn(TokenReplacer, "getPreservationGroups").mockReturnValue(["combatState", "hitPoints", "tokenItems"]);
+    const formatSpy = vi.spyOn(game.i18n, "format");
+    const results = createMatchResults({ unmatched: false });
+    results[0].tokenDoc.delta = {
+      system: { attributes: { hp: { value: 12, max: 27, temp: 4 } } },
+      effects: [{ name: "Prone" }],
+      items: [{ _id: "i1", name: "Potion of Healing" }]
+    };
+    await NPCTokenReplacerController.showPreviewDialog(results);
+
+    expect(formatSpy).toHaveBeenCalledWith("NPC_REPLACER.PreviewCarryHp", { hp: "12/27" });
+    expect(formatSpy).toHaveBeenCalledWith("NPC_REPLACER.PreviewCarryTempHp", { temp: 4 });
+    expect(formatSpy).toHaveBeenCalledWith("NPC_REPLACER.PreviewCarryItems", { count: 1 });
+    expect(formatSpy).toHaveBeenCalledWith("NPC_REPLACER.PreviewCarryOver", expect.objectContaining({
+      parts: expect.stringContaining("Prone")
+    }));
+    // The Orc token has no delta, so only one row gets a note
+    expect(capturedOptions.content.match(/npc-replacer-carry-over/g)).toHaveLength(1);
+  });
+
   it("disables the Replace button when all tokens are unmatched", async () => {
     const allUnmatched = createMatchResults({ matched: false, unmatched: true });
 
@@ -224,12 +245,14 @@ describe("NPCTokenReplacerController.showPreviewDialog", () => {
     expect(mockButton.prop).toHaveBeenCalledWith("disabled", true);
   });
 
-  it("does NOT provide render callback when some tokens are matched", async () => {
+  it("does NOT disable the Replace button when some tokens are matched", async () => {
     const someMatched = createMatchResults({ matched: true, unmatched: true });
     await NPCTokenReplacerController.showPreviewDialog(someMatched);
 
-    // render should be undefined when there are matches
-    expect(capturedOptions.render).toBeUndefined();
+    // The render callback only wires row controls; without a DOM it must leave the button alone
+    const mockHtml = { find: vi.fn(() => ({ prop: vi.fn() })) };
+    capturedOptions.render(mockHtml);
+    expect(mockHtml.find).not.toHaveBeenCalled();
   });
 
   it("resolves true on yes callback", async () => {
@@ -287,7 +310,8 @@ describe("replaceNPCTokens integration with preview flow", () => {
 
   let computeMatchesSpy;
   let showPreviewSpy;
-  let replaceTokenSpy;
+  let prepareSpy;
+  let commitSpy;
   let findMatchSpy;
 
   beforeEach(() => {
@@ -332,8 +356,17 @@ describe("replaceNPCTokens integration with preview flow", () => {
     // Mock showPreviewDialog to auto-confirm
     showPreviewSpy = vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockResolvedValue(true);
 
-    // Mock replaceToken to succeed
-    replaceTokenSpy = vi.spyOn(TokenReplacer, "replaceToken").mockResolvedValue();
+    // Mock the resolve and mutation phases to succeed
+    prepareSpy = vi.spyOn(TokenReplacer, "prepareReplacement").mockImplementation(async (tokenDoc, entry) => ({
+      tokenDoc,
+      compendiumEntry: entry,
+      newTokenData: { _id: `new-${tokenDoc.id}` }
+    }));
+    vi.spyOn(TokenReplacer, "resolvePreparedTexture").mockResolvedValue();
+    commitSpy = vi.spyOn(TokenReplacer, "commitReplacements").mockImplementation(async (_scene, prepared) => ({
+      created: new Map(prepared.map(p => [p.tokenDoc.id, { id: p.newTokenData._id }])),
+      failed: []
+    }));
     vi.spyOn(TokenReplacer, "resetCounter").mockImplementation(() => {});
     vi.spyOn(TokenReplacer, "buildActorLookup").mockImplementation(() => {});
   });
@@ -357,31 +390,40 @@ describe("replaceNPCTokens integration with preview flow", () => {
     expect(callOrder).toEqual(["computeMatches", "showPreviewDialog"]);
   });
 
-  it("does not call replaceToken when preview is cancelled", async () => {
+  it("does not resolve or commit replacements when preview is cancelled", async () => {
     showPreviewSpy.mockResolvedValue(false);
 
     await NPCTokenReplacerController.replaceNPCTokens();
 
-    expect(replaceTokenSpy).not.toHaveBeenCalled();
+    expect(prepareSpy).not.toHaveBeenCalled();
+    expect(commitSpy).not.toHaveBeenCalled();
   });
 
-  it("calls replaceToken with pre-computed match.entry and match.pack", async () => {
+  it("calls prepareReplacement with pre-computed match.entry and match.pack", async () => {
     await NPCTokenReplacerController.replaceNPCTokens();
 
     // Should be called for the 2 matched tokens (not the unmatched one)
-    expect(replaceTokenSpy).toHaveBeenCalledTimes(2);
-    expect(replaceTokenSpy).toHaveBeenCalledWith(
+    expect(prepareSpy).toHaveBeenCalledTimes(2);
+    expect(prepareSpy).toHaveBeenCalledWith(
       mockToken1,
       { name: "Goblin" },
       mockPack
     );
-    expect(replaceTokenSpy).toHaveBeenCalledWith(
+    expect(prepareSpy).toHaveBeenCalledWith(
       mockToken2,
       { name: "Orc" },
       mockPack
     );
   });
 
+  it("commits all resolved tokens in a single batch", async () => {
+    await NPCTokenReplacerController.replaceNPCTokens();
+
+    expect(commitSpy).toHaveBeenCalledTimes(1);
+    const [, prepared] = commitSpy.mock.calls[0];
+    expect(prepared.map(p => p.tokenDoc)).toEqual([mockToken1, mockToken2]);
+  });
+
   it("does NOT call NameMatcher.findMatch during replacement phase (no double-matching)", async () => {
     await NPCTokenReplacerController.replaceNPCTokens();
 
@@ -399,8 +441,8 @@ describe("replaceNPCTokens integration with preview flow", () => {
 
     await NPCTokenReplacerController.replaceNPCTokens();
 
-    // replaceToken should only be called once despite duplicate
-    expect(replaceTokenSpy).toHaveBeenCalledTimes(1);
+    // prepareReplacement should only be called once despite duplicate
+    expect(prepareSpy).toHaveBeenCalledTimes(1);
   });
 
   it("skips tokens deleted during preview (canvas.scene.tokens.has returns false)", async () => {
@@ -410,8 +452,8 @@ describe("replaceNPCTokens integration with preview flow", () => {
     await NPCTokenReplacerController.replaceNPCTokens();
 
     // Only Orc should be replaced (Goblin was "deleted")
-    expect(replaceTokenSpy).toHaveBeenCalledTimes(1);
-    expect(replaceTokenSpy).toHaveBeenCalledWith(
+    expect(prepareSpy).toHaveBeenCalledTimes(1);
+    expect(prepareSpy).toHaveBeenCalledWith(
       mockToken2,
       { name: "Orc" },
       mockPack
@@ -432,4 +474,547 @@ describe("replaceNPCTokens integration with preview flow", () => {
       { count: 1 }
     );
   });
+  it("replaces tokens with the match chosen in the preview", async () => {
+    const direWolf = { name: "Dire Wolf" };
+    showPreviewSpy.mockImplementation(async (matchResults) => {
+      matchResults[0].match = { entry: direWolf, pack: mockPack };
+      matchResults[1].match = null;
+      return true;
+    });
+
+    await NPCTokenReplacerController.replaceNPCTokens();
+
+    expect(prepareSpy).toHaveBeenCalledTimes(1);
+    expect(prepareSpy).toHaveBeenCalledWith(mockToken1, direWolf, mockPack);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests for manual match overrides in the preview
+// ---------------------------------------------------------------------------
+// ---------------------------------------------------------------------------
+// Tests for multi-scene replacement
+// ---------------------------------------------------------------------------
+describe("replaceInScenes", () => {
+  const mockPack = { collection: "dnd5e.monsters", metadata: { label: "Monsters" } };
+
+  function createScene(id, tokens) {
+    return {
+      id,
+      name: `Scene ${id}`,
+      tokens: { contents: tokens, has: vi.fn(() => true) }
+    };
+  }
+
+  const goblin = { id: "t1", name: "Goblin", actor: { name: "Goblin", type: "npc" }, toObject: () => ({ _id: "t1" }) };
+  const orc = { id: "t2", name: "Orc", actor: { name: "Orc", type: "npc" }, toObject: () => ({ _id: "t2" }) };
+  const pc = { id: "t3", name: "Hero", actor: { name: "Hero", type: "character" } };
+  let sceneA;
+  let sceneB;
+  let showPreviewSpy;
+  let commitSpy;
+  let recordSpy;
+  let targetScenes;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    CompendiumManager.clearCache();
+    TokenReplacer.clearActorLookup();
+    game.i18n.format = vi.fn((key, data) => `${key}: ${JSON.stringify(data)}`);
+    game.i18n.localize = vi.fn((key) => key);
+    game.user.isGM = true;
+
+    sceneA = createScene("a", [goblin, pc]);
+    sceneB = createScene("b", [orc]);
+    game.scenes = Object.assign([sceneA, sceneB], { get: id => [sceneA, sceneB].find(s => s.id === id) });
+
+    targetScenes = [];
+    vi.spyOn(CompendiumManager, "detectWOTCCompendiums").mockReturnValue([mockPack]);
+    vi.spyOn(CompendiumManager, "loadMonsterIndex").mockImplementation(async () => {
+      targetScenes.push(CompendiumManager.getTargetScene());
+      return [{ entry: { name: "Goblin" }, pack: mockPack }, { entry: { name: "Orc" }, pack: mockPack }];
+    });
+    vi.spyOn(NameMatcher, "findMatch").mockImplementation(name => ({ entry: { name }, pack: mockPack }));
+    showPreviewSpy = vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockResolvedValue(true);
+    vi.spyOn(TokenReplacer, "prepareReplacement").mockImplementation(async (tokenDoc, entry) => ({
+      tokenDoc,
+      compendiumEntry: entry,
+      newTokenData: { _id: `new-${tokenDoc.id}` }
+    }));
+    vi.spyOn(TokenReplacer, "resolvePreparedTexture").mockResolvedValue();
+    commitSpy = vi.spyOn(TokenReplacer, "commitReplacements").mockImplementation(async (_scene, prepared) => ({
+      created: new Map(prepared.map(p => [p.tokenDoc.id, { id: p.newTokenData._id }])),
+      failed: []
+    }));
+    recordSpy = vi.spyOn(ReplacementHistory, "record").mockResolvedValue({});
+    vi.spyOn(TokenReplacer, "buildActorLookup").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    game.scenes = [];
+  });
+
+  it("matches every selected scene against its own profile and shows one preview", async () => {
+    await NPCTokenReplacerController.replaceInScenes(["a", "b"]);
+
+    expect(targetScenes).toEqual([sceneA, sceneB]);
+    expect(CompendiumManager.getTargetScene()).toBe(canvas.scene ?? null);
+    expect(showPreviewSpy).toHaveBeenCalledTimes(1);
+    const [results] = showPreviewSpy.mock.calls[0];
+    expect(results.map(r => [r.scene.id, r.creatureName])).toEqual([["a", "Goblin"], ["b", "Orc"]]);
+  });
+
+  it("offers manual matches from the index of every scanned scene", async () => {
+    const forestWolf = { uuid: "Compendium.mm.Actor.wolf", entry: { name: "Wolf" }, pack: mockPack };
+    const cryptGhoul = { uuid: "Compendium.mm.Actor.ghoul", entry: { name: "Ghoul" }, pack: mockPack };
+    vi.spyOn(CompendiumManager, "getIndexMap")
+      .mockReturnValueOnce(new Map([["wolf", [forestWolf]]]))
+      .mockReturnValueOnce(new Map([["ghoul", [cryptGhoul]]]));
+
+    await NPCTokenReplacerController.replaceInScenes([sceneA, sceneB]);
+
+    const [, { indexMap }] = showPreviewSpy.mock.calls[0];
+    expect([...indexMap.keys()]).toEqual(["wolf", "ghoul"]);
+  });
+
+  it("replaces and journals each scene separately", async () => {
+    await NPCTokenReplacerController.replaceInScenes([sceneA, sceneB]);
+
+    expect(commitSpy.mock.calls.map(([scene, prepared]) => [scene.id, prepared.map(p => p.tokenDoc.id)]))
+      .toEqual([["a", ["t1"]], ["b", ["t2"]]]);
+    expect(recordSpy).toHaveBeenCalledTimes(2);
+    expect(recordSpy.mock.calls[1][0]).toBe(sceneB);
+    expect(recordSpy.mock.calls[1][1]).toMatchObject({ newTokenIds: ["new-t2"], replacements: [{ oldId: "t2", newId: "new-t2" }] });
+  });
+
+  it("passes match stages to the provenance and the session run ID to the journal", async () => {
+    NameMatcher.findMatch.mockImplementation(name => ({ entry: { name }, pack: mockPack, stage: "exact", confidence: 1 }));
+    const stageSpy = vi.spyOn(TokenReplacer, "setMatchStage");
+    vi.spyOn(TokenReplacer, "getRunId").mockReturnValue("run-1");
+
+    await NPCTokenReplacerController.replaceInScenes([sceneA, sceneB]);
+
+    expect(stageSpy.mock.calls).toEqual([["t1", "exact"], ["t2", "exact"]]);
+    expect(recordSpy.mock.calls.map(([, entry]) => entry.runId)).toEqual(["run-1", "run-1"]);
+  });
+
+  it("uses one progress bar for the whole run", async () => {
+    ui.notifications.info = vi.fn(() => ({ update: vi.fn() }));
+    ui.notifications.update = vi.fn();
+
+    await NPCTokenReplacerController.replaceInScenes(["a", "b"]);
+
+    const progressBars = ui.notifications.info.mock.calls.filter(([, options]) => options?.progress);
+    // One for scanning, one for replacing
+    expect(progressBars.map(([label]) => label)).toEqual([
+      "NPC_REPLACER.PreviewScanning",
+      "NPC_REPLACER.ProgressStart: {\"count\":2}"
+    ]);
+  });
+
+  it("does nothing when the scene dialog is cancelled", async () => {
+    vi.spyOn(NPCTokenReplacerController, "showSceneSelectionDialog").mockResolvedValue(null);
+
+    await NPCTokenReplacerController.replaceInScenes();
+
+    expect(showPreviewSpy).not.toHaveBeenCalled();
+    expect(commitSpy).not.toHaveBeenCalled();
+  });
+
+  it("lists every scene with its NPC count in the scene dialog", async () => {
+    let captured;
+    globalThis.Dialog.confirm = vi.fn(opts => {
+      captured = opts;
+      const root = document.createElement("div");
+      root.innerHTML = opts.content;
+      root.querySelector("input[data-scene-id=\"b\"]").checked = true;
+      opts.yes([root]);
+    });
+
+    const selected = await NPCTokenReplacerController.showSceneSelectionDialog();
+
+    expect(captured.content).toContain("Scene a");
+    expect(captured.content).toMatch(/Scene a<\/label><\/td>\s*<td[^>]*>1<\/td>/);
+    expect(selected).toEqual([sceneB]);
+  });
+});
+
+describe("Preview manual match overrides", () => {
+  const packMM = { collection: "dnd5e.mm", metadata: { id: "dnd5e.mm", label: "Monster Manual" } };
+  const packSRD = { collection: "dnd5e.srd", metadata: { id: "dnd5e.srd", label: "SRD" } };
+  const wolf = { entry: { name: "Wolf" }, pack: packMM, priority: 2 };
+  const direWolf = { entry: { name: "Dire Wolf" }, pack: packMM, priority: 2 };
+  const direWolfSRD = { entry: { name: "Dire Wolf" }, pack: packSRD, priority: 1 };
+  const indexMap = new Map([
+    ["wolf", [wolf]],
+    ["dire wolf", [direWolf, direWolfSRD]]
+  ]);
+
+  const createResults = () => [
+    { tokenDoc: { id: "t1" }, creatureName: "Wolf", match: wolf },
+    { tokenDoc: { id: "t2" }, creatureName: "Mystery Beast", match: null }
+  ];
+
+  let capturedOptions;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    capturedOptions = null;
+    vi.spyOn(CompendiumManager, "getIndexMap").mockReturnValue(indexMap);
+    globalThis.Dialog.confirm = vi.fn((opts) => {
+      capturedOptions = opts;
+    });
+  });
+
+  // Render the captured dialog content into a detached DOM element
+  const renderContent = () => {
+    const root = document.createElement("form");
+    root.innerHTML = `${capturedOptions.content}<button class="yes" data-button="yes"></button>`;
+    return root;
+  };
+
+  it("getMatchLabel includes the compendium label", () => {
+    expect(NPCTokenReplacerController.getMatchLabel(direWolf)).toBe("Dire Wolf (Monster Manual)");
+    expect(NPCTokenReplacerController.getMatchLabel(null)).toBe("");
+  });
+
+  it("buildMatchChoices lists every creature of the loaded index map", () => {
+    const choices = NPCTokenReplacerController.buildMatchChoices();
+
+    expect([...choices.keys()]).toEqual([
+      "Dire Wolf (Monster Manual)",
+      "Dire Wolf (SRD)",
+      "Wolf (Monster Manual)"
+    ]);
+    expect(choices.get("Dire Wolf (SRD)")).toBe(direWolfSRD);
+  });
+
+  it("buildMatchChoices returns an empty map when no index is loaded", () => {
+    CompendiumManager.getIndexMap.mockReturnValue(null);
+    expect(NPCTokenReplacerController.buildMatchChoices().size).toBe(0);
+  });
+
+  it("applyMatchOverrides replaces the match with the chosen creature", () => {
+    const results = createResults();
+    const changed = NPCTokenReplacerController.applyMatchOverrides(results, ["Dire Wolf (SRD)", "Wolf (Monster Manual)"]);
+
+    expect(changed).toBe(2);
+    expect(results[0].match).toMatchObject({ entry: direWolfSRD.entry, pack: direWolfSRD.pack, stage: "manual", confidence: 1 });
+    expect(results[0].overridden).toBe(true);
+    expect(results[1].match).toMatchObject({ entry: wolf.entry, pack: wolf.pack, stage: "manual", confidence: 1 });
+  });
+
+  it("applyMatchOverrides resolves a free-typed creature name by exact lookup", () => {
+    const results = createResults();
+    NPCTokenReplacerController.applyMatchOverrides(results, [" dire wolf "]);
+
+    // Highest-priority entry for the name wins
+    expect(results[0].match).toMatchObject({ entry: direWolf.entry, pack: direWolf.pack, stage: "manual", confidence: 1 });
+  });
+
+  it("applyMatchOverrides skips a token whose input was cleared", () => {
+    const results = createResults();
+    NPCTokenReplacerController.applyMatchOverrides(results, [""]);
+
+    expect(results[0].match).toBeNull();
+    expect(results[0].overridden).toBe(true);
+  });
+
+  it("applyMatchOverrides keeps unchanged and unknown selections", () => {
+    const results = createResults();
+    const changed = NPCTokenReplacerController.applyMatchOverrides(results, ["Wolf (Monster Manual)", "Owlbear"]);
+
+    expect(changed).toBe(0);
+    expect(results[0].match).toBe(wolf);
+    expect(results[0].overridden).toBeUndefined();
+    expect(results[1].match).toBeNull();
+  });
+
+  it("renders a searchable input per row backed by a datalist of choices", async () => {
+    NPCTokenReplacerController.showPreviewDialog(createResults());
+    const root = renderContent();
+
+    const inputs = root.querySelectorAll("input[data-match-index]");
+    expect(inputs).toHaveLength(2);
+    expect(inputs[0].value).toBe("Wolf (Monster Manual)");
+    expect(inputs[1].value).toBe("");
+    const datalist = root.querySelector(`datalist#${inputs[0].getAttribute("list")}`);
+    expect(datalist.querySelectorAll("option")).toHaveLength(3);
+  });
+
+  it("applies the edited inputs to matchResults on confirm", async () => {
+    const results = createResults();
+    const promise = NPCTokenReplacerController.showPreviewDialog(results);
+    const root = renderContent();
+    root.querySelector('input[data-match-index="1"]').value = "Dire Wolf (Monster Manual)";
+
+    capturedOptions.yes([root]);
+
+    expect(await promise).toBe(true);
+    expect(results[0].match).toBe(wolf);
+    expect(results[1].match).toMatchObject({ entry: direWolf.entry, pack: direWolf.pack, stage: "manual", confidence: 1 });
+  });
+
+  it("flags rows with \"remember this match\" ticked on confirm", async () => {
+    const results = createResults();
+    const promise = NPCTokenReplacerController.showPreviewDialog(results);
+    const root = renderContent();
+    root.querySelector('input[data-remember-index="0"]').checked = true;
+
+    capturedOptions.yes([root]);
+
+    await promise;
+    expect(results[0].remember).toBe(true);
+    expect(results[1].remember).toBeUndefined();
+  });
+
+  it("offers a linked checkbox per token, defaulting from the link rules", async () => {
+    game.settings.get = vi.fn((module, key) => (key === "linkedCreatures" ? "Wolf" : undefined));
+    const results = createResults();
+    const promise = NPCTokenReplacerController.showPreviewDialog(results);
+    const root = renderContent();
+    const link = root.querySelector('input[data-link-index="0"]');
+
+    expect(link.checked).toBe(true);
+    link.checked = false;
+    capturedOptions.yes([root]);
+
+    await promise;
+    expect(results[0].link).toBe(false);
+    // Unmatched rows start unlinked until a match is picked
+    expect(root.querySelector('input[data-link-index="1"]').checked).toBe(false);
+  });
+
+  it("leaves untouched link checkboxes to the link rules of the final match", async () => {
+    game.settings.get = vi.fn((module, key) => (key === "linkedCreatures" ? "Wolf" : undefined));
+    const results = createResults();
+    const promise = NPCTokenReplacerController.showPreviewDialog(results);
+    const root = renderContent();
+    root.querySelector('input[data-match-index="0"]').value = "Dire Wolf (Monster Manual)";
+
+    capturedOptions.yes([root]);
+
+    await promise;
+    expect(results[0].match.entry).toBe(direWolf.entry);
+    expect(results[0]).not.toHaveProperty("link");
+    expect(results[1]).not.toHaveProperty("link");
+  });
+
+  it("reports which matches reuse a world actor and which import one", async () => {
+    vi.spyOn(game.i18n, "format").mockImplementation((key, data) => `${key}: ${JSON.stringify(data)}`);
+    const originalActors = game.actors;
+    game.actors = [{ id: "w1", name: "Wolf (old)", _stats: { compendiumSource: "Compendium.dnd5e.mm.Actor.wolf" } }];
+    const results = [
+      { tokenDoc: { id: "t1" }, creatureName: "Wolf", match: { ...wolf, uuid: "Compendium.dnd5e.mm.Actor.wolf" } },
+      { tokenDoc: { id: "t2" }, creatureName: "Dire Wolf", match: { ...direWolf, uuid: "Compendium.dnd5e.mm.Actor.dire" } }
+    ];
+
+    try {
+      NPCTokenReplacerController.showPreviewDialog(results);
+    } finally {
+      game.actors = originalActors;
+    }
+    const notes = [...renderContent().querySelectorAll(".npc-replacer-actor-source")];
+
+    expect(notes.map(note => note.dataset.reuse)).toEqual(["true", "false"]);
+    expect(notes[0].textContent).toBe("NPC_REPLACER.PreviewReuseActor: {\"name\":\"Wolf (old)\"}");
+    expect(capturedOptions.content).toContain("NPC_REPLACER.PreviewActorSummary: {\"reuse\":1,\"import\":1}");
+  });
+
+  it("enables Replace once a match is picked when every token was unmatched", () => {
+    NPCTokenReplacerController.showPreviewDialog([createResults()[1]]);
+    const root = renderContent();
+    const button = root.querySelector(".yes");
+
+    capturedOptions.render([root]);
+    expect(button.disabled).toBe(true);
+
+    const input = root.querySelector("input[data-match-index]");
+    input.value = "Wolf (Monster Manual)";
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    expect(button.disabled).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests for per-row include checkboxes in the preview
+// ---------------------------------------------------------------------------
+describe("Preview include checkboxes", () => {
+  const pack = { collection: "dnd5e.mm", metadata: { id: "dnd5e.mm", label: "Monster Manual" } };
+  const goblin = { entry: { name: "Goblin" }, pack, normalizedName: "goblin" };
+  const orc = { entry: { name: "Orc" }, pack, normalizedName: "orc" };
+
+  const createResults = () => [
+    { tokenDoc: { id: "t1" }, creatureName: "Goblin", match: goblin },
+    { tokenDoc: { id: "t2" }, creatureName: "Orc Warrior", match: orc },
+    { tokenDoc: { id: "t3" }, creatureName: "Mystery Beast", match: null }
+  ];
+
+  let capturedOptions;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    capturedOptions = null;
+    vi.spyOn(CompendiumManager, "getIndexMap").mockReturnValue(new Map([["goblin", [goblin]], ["orc", [orc]]]));
+    globalThis.Dialog.confirm = vi.fn((opts) => {
+      capturedOptions = opts;
+    });
+  });
+
+  // Render the captured dialog content and wire its controls
+  const renderDialog = () => {
+    const root = document.createElement("form");
+    root.innerHTML = `${capturedOptions.content}<button class="yes" data-button="yes"></button>`;
+    capturedOptions.render([root]);
+    return root;
+  };
+  const checkbox = (root, index) => root.querySelector(`input[data-include-index="${index}"]`);
+
+  it("isExactMatch compares normalized token and compendium names", () => {
+    const [exact, variant, none] = createResults();
+    expect(NPCTokenReplacerController.isExactMatch(exact)).toBe(true);
+    expect(NPCTokenReplacerController.isExactMatch(variant)).toBe(false);
+    expect(NPCTokenReplacerController.isExactMatch(none)).toBe(false);
+  });
+
+  it("ticks matched rows and leaves unmatched rows unticked", () => {
+    NPCTokenReplacerController.showPreviewDialog(createResults());
+    const root = renderDialog();
+
+    expect(checkbox(root, 0).checked).toBe(true);
+    expect(checkbox(root, 1).checked).toBe(true);
+    expect(checkbox(root, 2).checked).toBe(false);
+  });
+
+  it("select none / only exact / all update the checkboxes and the Replace button", () => {
+    NPCTokenReplacerController.showPreviewDialog(createResults());
+    const root = renderDialog();
+    const button = root.querySelector(".yes");
+
+    root.querySelector('[data-select="none"]').click();
+    expect([0, 1, 2].map(i => checkbox(root, i).checked)).toEqual([false, false, false]);
+    expect(button.disabled).toBe(true);
+
+    root.querySelector('[data-select="exact"]').click();
+    expect([0, 1, 2].map(i => checkbox(root, i).checked)).toEqual([true, false, false]);
+    expect(button.disabled).toBe(false);
+
+    root.querySelector('[data-select="all"]').click();
+    expect([0, 1, 2].map(i => checkbox(root, i).checked)).toEqual([true, true, false]);
+  });
+
+  it("writes include flags back into matchResults on confirm", async () => {
+    const results = createResults();
+    const promise = NPCTokenReplacerController.showPreviewDialog(results);
+    const root = renderDialog();
+    checkbox(root, 1).checked = false;
+
+    capturedOptions.yes([root]);
+
+    expect(await promise).toBe(true);
+    expect(results.map(r => r.include)).toEqual([true, false, false]);
+  });
+
+  it("replaceNPCTokens only replaces included tokens", async () => {
+    game.user.isGM = true;
+    canvas.scene = { tokens: { has: vi.fn(() => true) } };
+    game.actors[Symbol.iterator] = function* () {};
+    const tokens = [{ id: "t1", name: "Goblin", actor: { name: "Goblin" } }, { id: "t2", name: "Orc", actor: { name: "Orc" } }];
+    vi.spyOn(CompendiumManager, "detectWOTCCompendiums").mockReturnValue([pack]);
+    vi.spyOn(CompendiumManager, "getEnabledCompendiums").mockReturnValue([pack]);
+    vi.spyOn(CompendiumManager, "loadMonsterIndex").mockResolvedValue([goblin, orc]);
+    vi.spyOn(TokenReplacer, "getNPCTokensToProcess").mockReturnValue({ tokens, isSelection: false });
+    vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockImplementation(async (matchResults) => {
+      matchResults[0].include = false;
+      matchResults[1].include = true;
+      return true;
+    });
+    const prepareSpy = vi.spyOn(TokenReplacer, "prepareReplacement").mockImplementation(async (tokenDoc, entry) => ({
+      tokenDoc, compendiumEntry: entry, newTokenData: { _id: `new-${tokenDoc.id}` }
+    }));
+    vi.spyOn(TokenReplacer, "resolvePreparedTexture").mockResolvedValue();
+    vi.spyOn(TokenReplacer, "commitReplacements").mockImplementation(async (_scene, prepared) => ({
+      created: new Map(prepared.map(p => [p.tokenDoc.id, { id: p.newTokenData._id }])),
+      failed: []
+    }));
+
+    await NPCTokenReplacerController.replaceNPCTokens();
+
+    expect(prepareSpy).toHaveBeenCalledTimes(1);
+    expect(prepareSpy).toHaveBeenCalledWith(tokens[1], orc.entry, pack);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tests for match stage / confidence in the preview
+// ---------------------------------------------------------------------------
+describe("Preview match confidence", () => {
+  const pack = { collection: "dnd5e.mm", metadata: { id: "dnd5e.mm", label: "Monster Manual" } };
+  const createResults = () => [
+    { tokenDoc: { id: "t1" }, creatureName: "Goblin", match: { entry: { name: "Goblin" }, pack, stage: "exact", confidence: 1 } },
+    { tokenDoc: { id: "t2" }, creatureName: "Orc Brute", match: { entry: { name: "Orc" }, pack, stage: "partial", confidence: 0.38 } }
+  ];
+
+  let capturedOptions;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    capturedOptions = null;
+    vi.spyOn(CompendiumManager, "getIndexMap").mockReturnValue(null);
+    vi.spyOn(NPCTokenReplacerController, "getMinConfidence").mockReturnValue(0.8);
+    globalThis.Dialog.confirm = vi.fn((opts) => {
+      capturedOptions = opts;
+    });
+  });
+
+  const renderContent = () => {
+    const root = document.createElement("form");
+    root.innerHTML = capturedOptions.content;
+    return root;
+  };
+
+  it("getMinConfidence falls back to 0.8 for invalid setting values", () => {
+    NPCTokenReplacerController.getMinConfidence.mockRestore();
+    const getSpy = vi.spyOn(game.settings, "get");
+
+    getSpy.mockReturnValue(0.5);
+    expect(NPCTokenReplacerController.getMinConfidence()).toBe(0.5);
+    getSpy.mockReturnValue("[\"all\"]");
+    expect(NPCTokenReplacerController.getMinConfidence()).toBe(0.8);
+    getSpy.mockReturnValue(3);
+    expect(NPCTokenReplacerController.getMinConfidence()).toBe(0.8);
+  });
+
+  it("shows a colour-coded stage badge with the confidence", () => {
+    NPCTokenReplacerController.showPreviewDialog(createResults());
+    const badges = renderContent().querySelectorAll(".npc-replacer-stage");
+
+    expect(badges).toHaveLength(2);
+    expect(badges[0].dataset.stage).toBe("exact");
+    expect(badges[0].textContent).toBe("NPC_REPLACER.PreviewStageExact 100%");
+    expect(badges[1].textContent).toBe("NPC_REPLACER.PreviewStagePartial 38%");
+    expect(badges[1].getAttribute("style")).toContain(NPCTokenReplacerController.STAGE_COLORS.partial);
+  });
+
+  it("leaves matches below the minimum confidence unticked", () => {
+    const formatSpy = vi.spyOn(game.i18n, "format");
+    NPCTokenReplacerController.showPreviewDialog(createResults());
+    const root = renderContent();
+
+    expect(root.querySelector('input[data-include-index="0"]').checked).toBe(true);
+    expect(root.querySelector('input[data-include-index="1"]').checked).toBe(false);
+    expect(formatSpy).toHaveBeenCalledWith("NPC_REPLACER.PreviewLowConfidence", { count: 1, threshold: 80 });
+  });
+
+  it("isAutoSelected trusts matches without a confidence", () => {
+    expect(NPCTokenReplacerController.isAutoSelected({ match: { entry: {} } }, 0.9)).toBe(true);
+    expect(NPCTokenReplacerController.isAutoSelected({ match: null }, 0)).toBe(false);
+  });
+
+  it("only exact matches uses the match stage", () => {
+    const [exact, partial] = createResults();
+    expect(NPCTokenReplacerController.isExactMatch(exact)).toBe(true);
+    expect(NPCTokenReplacerController.isExactMatch(partial)).toBe(false);
+    expect(NPCTokenReplacerController.isExactMatch({ creatureName: "Orc", match: { ...partial.match, stage: "alias" } })).toBe(true);
+  });
 });
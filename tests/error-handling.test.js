@@ -368,8 +368,8 @@ describe("ERR-02 — Failure classification via replaceNPCTokens", () => {
     // Mock showPreviewDialog to auto-confirm
     const dialogSpy = vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockResolvedValue(true);
 
-    // Mock TokenReplacer.replaceToken to throw an import error
-    const replaceSpy = vi.spyOn(TokenReplacer, "replaceToken")
+    // Mock the resolve phase to throw an import error
+    const replaceSpy = vi.spyOn(TokenReplacer, "prepareReplacement")
       .mockRejectedValue(new Error("Failed to import actor from compendium"));
 
     // Run the full flow
@@ -417,8 +417,11 @@ describe("ERR-02 — Failure classification via replaceNPCTokens", () => {
 
     const dialogSpy = vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockResolvedValue(true);
 
-    // Mock TokenReplacer.replaceToken to throw a creation error (no "import" keyword)
-    const replaceSpy = vi.spyOn(TokenReplacer, "replaceToken")
+    // Resolve phase succeeds; the batched creation throws (no "import" keyword)
+    const replaceSpy = vi.spyOn(TokenReplacer, "prepareReplacement")
+      .mockImplementation(async (tokenDoc, entry) => ({ tokenDoc, compendiumEntry: entry, newTokenData: {} }));
+    const textureSpy = vi.spyOn(TokenReplacer, "resolvePreparedTexture").mockResolvedValue();
+    const commitSpy = vi.spyOn(TokenReplacer, "commitReplacements")
       .mockRejectedValue(new Error("Failed to create new token for Dragon"));
 
     await NPCTokenReplacerController.replaceNPCTokens();
@@ -436,6 +439,8 @@ describe("ERR-02 — Failure classification via replaceNPCTokens", () => {
     getNPCSpy.mockRestore();
     dialogSpy.mockRestore();
     replaceSpy.mockRestore();
+    textureSpy.mockRestore();
+    commitSpy.mockRestore();
   });
 
   it("classifies mixed import and creation failures correctly", async () => {
@@ -460,10 +465,13 @@ describe("ERR-02 — Failure classification via replaceNPCTokens", () => {
 
     const dialogSpy = vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockResolvedValue(true);
 
-    // First token: import error; Second token: creation error
-    const replaceSpy = vi.spyOn(TokenReplacer, "replaceToken")
+    // First token: import error in the resolve phase; second token: not created by the batch
+    const replaceSpy = vi.spyOn(TokenReplacer, "prepareReplacement")
       .mockRejectedValueOnce(new Error("Failed to import actor"))
-      .mockRejectedValueOnce(new Error("Failed to create new token"));
+      .mockImplementationOnce(async (tokenDoc, entry) => ({ tokenDoc, compendiumEntry: entry, newTokenData: {} }));
+    const textureSpy = vi.spyOn(TokenReplacer, "resolvePreparedTexture").mockResolvedValue();
+    const commitSpy = vi.spyOn(TokenReplacer, "commitReplacements")
+      .mockImplementation(async (_scene, prepared) => ({ created: new Map(), failed: prepared }));
 
     await NPCTokenReplacerController.replaceNPCTokens();
 
@@ -480,6 +488,8 @@ describe("ERR-02 — Failure classification via replaceNPCTokens", () => {
     getNPCSpy.mockRestore();
     dialogSpy.mockRestore();
     replaceSpy.mockRestore();
+    textureSpy.mockRestore();
+    commitSpy.mockRestore();
   });
 
 });
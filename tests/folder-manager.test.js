@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { FolderManager } from "../scripts/main.js";
+
+/**
+ * FolderManager Unit Tests
+ *
+ * Tests the import folder template: placeholder resolution from the
+ * compendium actor and the on-demand creation of nested Actor folders.
+ */
+
+const pack = { metadata: { label: "Monster Manual" } };
+
+const createActor = (type, cr) => ({
+  name: "Zombie",
+  system: { details: { type: { value: type }, cr } }
+});
+
+describe("FolderManager folder template", () => {
+
+  let folders;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    FolderManager.clearCache();
+    folders = [];
+    game.settings.get = vi.fn((module, key) => (key === "importFolderTemplate" ? "Imported/{source}/{type}" : undefined));
+    game.folders.filter = vi.fn(predicate => folders.filter(predicate));
+    game.folders.has = vi.fn(id => folders.some(f => f.id === id));
+    Folder.create = vi.fn(async ({ name, parent }) => {
+      const folder = { id: `folder-${folders.length + 1}`, name, type: "Actor", folder: folders.find(f => f.id === parent) ?? null };
+      folders.push(folder);
+      return folder;
+    });
+  });
+
+  it("fills in the source, creature type and challenge rating", () => {
+    const actor = createActor("undead", 0.25);
+
+    expect(FolderManager.resolveFolderPath("Imported/{source}/{type}", actor, pack)).toEqual(["Imported", "Monster Manual", "Undead"]);
+    expect(FolderManager.resolveFolderPath("{crBand}/{cr}", actor, pack)).toEqual(["CR 0-4", "CR 1/4"]);
+    expect(FolderManager.resolveFolderPath("{crBand}", createActor("dragon", 17), pack)).toEqual(["CR 17+"]);
+  });
+
+  it("uses custom creature types and marks missing values as unknown", () => {
+    const custom = { system: { details: { type: { value: "custom", custom: "Swarm" } } } };
+
+    expect(FolderManager.resolveFolderPath("{type}", custom, pack)).toEqual(["Swarm"]);
+    expect(FolderManager.resolveFolderPath("{type}/{cr}", { system: {} }, pack)).toEqual([
+      "NPC_REPLACER.FolderUnknown", "NPC_REPLACER.FolderUnknown"
+    ]);
+  });
+
+  it("drops empty segments and merges segments beyond the folder depth limit", () => {
+    const actor = createActor("undead", 1);
+
+    expect(FolderManager.resolveFolderPath("/Imported//{type}/", actor, pack)).toEqual(["Imported", "Undead"]);
+    expect(FolderManager.resolveFolderPath("A/B/C/D/E", actor, pack)).toEqual(["A", "B", "C", "D - E"]);
+  });
+
+  it("creates the nested folders once and reuses existing ones", async () => {
+    folders.push({ id: "existing", name: "Imported", type: "Actor", folder: null });
+
+    const [first, second] = await Promise.all([
+      FolderManager.getOrCreateImportFolder(createActor("undead", 1), pack),
+      FolderManager.getOrCreateImportFolder(createActor("undead", 2), pack)
+    ]);
+
+    expect(first).toBe(second);
+    expect(Folder.create).toHaveBeenCalledTimes(2);
+    expect(Folder.create).toHaveBeenCalledWith(expect.objectContaining({ name: "Monster Manual", parent: "existing" }));
+    expect(FolderManager.getFolderPath(first)).toBe("/Imported/Monster Manual/Undead");
+  });
+
+  it("routes each creature type to its own folder", async () => {
+    const undead = await FolderManager.getOrCreateImportFolder(createActor("undead", 1), pack);
+    const beast = await FolderManager.getOrCreateImportFolder(createActor("beast", 1), pack);
+
+    expect(undead.name).toBe("Undead");
+    expect(beast.name).toBe("Beast");
+    expect(beast.folder).toBe(undead.folder);
+  });
+
+  it("shares parent folders between concurrent imports into different folders", async () => {
+    const [undead, beast] = await Promise.all([
+      FolderManager.getOrCreateImportFolder(createActor("undead", 1), pack),
+      FolderManager.getOrCreateImportFolder(createActor("beast", 1), pack)
+    ]);
+
+    expect(Folder.create).toHaveBeenCalledTimes(4);
+    expect(folders.filter(f => f.name === "Imported")).toHaveLength(1);
+    expect(folders.filter(f => f.name === "Monster Manual")).toHaveLength(1);
+    expect(beast.folder).toBe(undead.folder);
+  });
+
+  it("recognises folders inside the import folder tree", () => {
+    const imported = { name: "Imported", folder: null };
+    const undead = { name: "Undead", folder: { name: "Monster Manual", folder: imported } };
+    const legacy = { name: "Monsters - MonsterManual", folder: { name: "Monsters", folder: null } };
+
+    expect(FolderManager.isInImportTree(undead)).toBe(true);
+    expect(FolderManager.isInImportTree({ name: "Goblins", folder: legacy })).toBe(true);
+    expect(FolderManager.isInImportTree({ name: "MonsterManual", folder: null })).toBe(true);
+    expect(FolderManager.isInImportTree({ name: "Villains", folder: null })).toBe(false);
+    expect(FolderManager.isInImportTree(null)).toBe(false);
+
+    game.settings.get = vi.fn(() => "");
+    expect(FolderManager.isInImportTree(undead)).toBe(false);
+  });
+
+  it("keeps the single import folder when no template is set", async () => {
+    game.settings.get = vi.fn(() => "");
+
+    const folder = await FolderManager.getOrCreateImportFolder(createActor("undead", 1), pack);
+
+    expect(folder.name).toBe(FolderManager.FOLDER_NAME);
+  });
+
+});
@@ -103,6 +103,24 @@ describe("selectBestMatch", () => {
     mockCompendiumManager.getCompendiumPriority.mockReturnValue(4);
     expect(NameMatcher.selectBestMatch([a, b])).toBe(a); // "aaa" < "bbb"
   });
+
+  it("breaks priority ties by the compendium ranking before the collection name", () => {
+    const packA = { metadata: { packageName: "homebrew-a", label: "A" }, collection: "a.monsters" };
+    const packB = { metadata: { packageName: "homebrew-b", label: "B" }, collection: "b.monsters" };
+    const matches = [
+      { entry: { name: "Goblin" }, pack: packA, priority: 1 },
+      { entry: { name: "Goblin" }, pack: packB, priority: 1 }
+    ];
+
+    expect(NameMatcher.selectBestMatch(matches).pack).toBe(packA);
+
+    mockCompendiumManager.getCompendiumRank = vi.fn(pack => (pack === packB ? 0 : -1));
+    try {
+      expect(NameMatcher.selectBestMatch(matches).pack).toBe(packB);
+    } finally {
+      delete mockCompendiumManager.getCompendiumRank;
+    }
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -321,3 +339,263 @@ describe("findMatch - Stage 3 Partial Match", () => {
     expect(resultFail).toBeNull();
   });
 });
+
+// ---------------------------------------------------------------------------
+// Test group 6: findMatch -- Stage 0 Alias
+// ---------------------------------------------------------------------------
+describe("findMatch - Stage 0 Alias", () => {
+  const orog = {
+    entry: { name: "Orog" },
+    pack: { metadata: { packageName: "dnd-monster-manual", label: "MM" }, collection: "dnd-monster-manual.monsters" },
+    uuid: "Compendium.dnd-monster-manual.monsters.Actor.orog",
+    normalizedName: "orog",
+    significantWords: ["orog"],
+    priority: 2
+  };
+  const brute = {
+    entry: { name: "Brute" },
+    pack: { metadata: { packageName: "dnd5e", label: "SRD" }, collection: "dnd5e.monsters" },
+    uuid: "Compendium.dnd5e.monsters.Actor.brute",
+    normalizedName: "brute",
+    significantWords: ["brute"],
+    priority: 1
+  };
+
+  beforeEach(() => {
+    NameMatcher.setAliases({});
+    delete mockCompendiumManager.getIndexItemByUuid;
+  });
+
+  it("setAliases normalizes names and getAlias looks them up", () => {
+    NameMatcher.setAliases({ "Orog Brute!": orog.uuid, "": "ignored", "bad": 42 });
+
+    expect(NameMatcher.getAlias("orog brute")).toBe(orog.uuid);
+    expect(NameMatcher.getAlias("  OROG   Brute ")).toBe(orog.uuid);
+    expect(NameMatcher.getAlias("bad")).toBeNull();
+  });
+
+  it("alias wins over the partial match the name would otherwise get", () => {
+    NameMatcher.setAliases({ "orog brute": orog.uuid });
+
+    const result = NameMatcher.findMatch("Orog Brute", [brute, orog]);
+    expect(result.entry).toBe(orog.entry);
+  });
+
+  it("alias wins over an exact match", () => {
+    NameMatcher.setAliases({ brute: orog.uuid });
+
+    expect(NameMatcher.findMatch("Brute", [brute, orog])).toMatchObject({ entry: orog.entry, stage: "alias" });
+  });
+
+  it("resolves the aliased UUID through CompendiumManager when available", () => {
+    mockCompendiumManager.getIndexItemByUuid = vi.fn(() => orog);
+    NameMatcher.setAliases({ "cultist fanatic hooded": orog.uuid });
+
+    expect(NameMatcher.findMatch("Cultist Fanatic (Hooded)", [])).toMatchObject({ entry: orog.entry, stage: "alias" });
+    expect(mockCompendiumManager.getIndexItemByUuid).toHaveBeenCalledWith(orog.uuid);
+  });
+
+  it("falls through to the normal stages when the aliased entry is not loaded", () => {
+    NameMatcher.setAliases({ brute: "Compendium.missing.pack.Actor.x" });
+
+    expect(NameMatcher.findMatch("Brute", [brute])).toMatchObject({ entry: brute.entry, stage: "exact" });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Test group 7: findMatch -- stage and confidence reporting
+// ---------------------------------------------------------------------------
+describe("findMatch - stage and confidence", () => {
+  const pack = { metadata: { packageName: "dnd-monster-manual", label: "MM" }, collection: "dnd-monster-manual.monsters" };
+  const item = (name) => {
+    const normalizedName = NameMatcher.normalizeName(name);
+    return {
+      entry: { name },
+      pack,
+      normalizedName,
+      significantWords: normalizedName.split(" ").filter(w => w.length >= NameMatcher.MIN_PARTIAL_LENGTH),
+      priority: 2
+    };
+  };
+
+  beforeEach(() => {
+    NameMatcher.setAliases({});
+  });
+
+  it("reports exact matches with confidence 1", () => {
+    const result = NameMatcher.findMatch("Goblin", [item("Goblin")]);
+    expect(result).toMatchObject({ stage: "exact", confidence: 1 });
+  });
+
+  it("reports variant matches with the variant confidence", () => {
+    const result = NameMatcher.findMatch("Goblin Warrior", [item("Goblin")]);
+    expect(result).toMatchObject({ stage: "variant", confidence: NameMatcher.STAGE_CONFIDENCE.variant });
+  });
+
+  it("scores partial matches by word overlap, below the variant confidence", () => {
+    const full = NameMatcher.findMatch("Giant Spider Queen", [item("Giant Spider Queen Mother")]);
+    const half = NameMatcher.findMatch("Fire Giant", [item("Fire Giant Elder Champion")]);
+
+    expect(full.stage).toBe("partial");
+    expect(full.confidence).toBe(0.56); // 3 of 4 words * 0.75
+    expect(half.confidence).toBe(0.38); // 2 of 4 words * 0.75
+    expect(full.confidence).toBeLessThanOrEqual(NameMatcher.PARTIAL_MAX_CONFIDENCE);
+  });
+
+  it("does not mutate the cached index item", () => {
+    const goblin = item("Goblin");
+    NameMatcher.findMatch("Goblin", [goblin]);
+    expect(goblin.stage).toBeUndefined();
+    expect(goblin.confidence).toBeUndefined();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Test group 8: findMatch -- Stage 4 Fuzzy Match
+// ---------------------------------------------------------------------------
+describe("findMatch - Stage 4 Fuzzy Match", () => {
+  const pack = { metadata: { packageName: "dnd-monster-manual", label: "MM" }, collection: "dnd-monster-manual.monsters" };
+  const item = (name) => {
+    const normalizedName = NameMatcher.normalizeName(name);
+    return {
+      entry: { name },
+      pack,
+      normalizedName,
+      significantWords: normalizedName.split(" ").filter(w => w.length >= NameMatcher.MIN_PARTIAL_LENGTH),
+      trigrams: NameMatcher.trigrams(normalizedName),
+      priority: 2
+    };
+  };
+  const index = ["Goblin", "Owlbear", "Displacer Beast", "Orc"].map(item);
+
+  beforeEach(() => {
+    NameMatcher.setAliases({});
+    NameMatcher.setFuzzyThreshold(0.8);
+    delete mockCompendiumManager.getTrigramIndex;
+  });
+
+  it("trigrams pads word boundaries and removes duplicates", () => {
+    expect(NameMatcher.trigrams("orc")).toEqual([" or", "orc", "rc "]);
+    expect(NameMatcher.trigrams("aaaa")).toEqual([" aa", "aaa", "aa "]);
+    expect(NameMatcher.trigrams("")).toEqual([]);
+  });
+
+  it("editDistance counts adjacent transpositions as one edit", () => {
+    expect(NameMatcher.editDistance("gobiln", "goblin")).toBe(1);
+    expect(NameMatcher.editDistance("owlbaer", "owlbear")).toBe(1);
+    expect(NameMatcher.editDistance("kitten", "sitting")).toBe(3);
+    expect(NameMatcher.editDistance("", "abc")).toBe(3);
+  });
+
+  it("editDistance stops early above the bound", () => {
+    expect(NameMatcher.editDistance("goblin", "displacer beast", 2)).toBe(3);
+    expect(NameMatcher.editDistance("kitten", "sitting", 2)).toBe(3);
+  });
+
+  it.each([
+    ["Gobiln", "Goblin"],
+    ["Owlbaer", "Owlbear"],
+    ["Displacer-Beast", "Displacer Beast"]
+  ])("matches %s to %s", (tokenName, expected) => {
+    const result = NameMatcher.findMatch(tokenName, index);
+    expect(result.entry.name).toBe(expected);
+    expect(result.stage).toBe("fuzzy");
+    expect(result.confidence).toBeGreaterThan(0);
+    expect(result.confidence).toBeLessThanOrEqual(NameMatcher.FUZZY_MAX_CONFIDENCE);
+  });
+
+  it("rejects candidates below the threshold", () => {
+    expect(NameMatcher.findMatch("Gnoll", index)).toBeNull();
+  });
+
+  it("threshold 1 disables the fuzzy stage", () => {
+    NameMatcher.setFuzzyThreshold(1);
+    expect(NameMatcher.findMatch("Gobiln", index)).toBeNull();
+  });
+
+  it("setFuzzyThreshold resets invalid values to the default", () => {
+    NameMatcher.setFuzzyThreshold("nope");
+    expect(NameMatcher.getFuzzyThreshold()).toBe(NameMatcher.DEFAULT_FUZZY_THRESHOLD);
+    NameMatcher.setFuzzyThreshold(0.6);
+    expect(NameMatcher.getFuzzyThreshold()).toBe(0.6);
+  });
+
+  it("only compares candidates from the trigram index when available", () => {
+    const goblin = index[0];
+    const trigramIndex = new Map(goblin.trigrams.map(t => [t, [goblin]]));
+    mockCompendiumManager.getTrigramIndex = vi.fn(() => trigramIndex);
+    const spy = vi.spyOn(NameMatcher, "editDistance");
+
+    const result = NameMatcher.findMatch("Gobiln", []);
+
+    expect(result.entry.name).toBe("Goblin");
+    expect(spy).toHaveBeenCalledTimes(1);
+    spy.mockRestore();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Test group 9: configurable variant rules
+// ---------------------------------------------------------------------------
+describe("findMatch - variant rules", () => {
+  const pack = { metadata: { packageName: "dnd-monster-manual", label: "MM" }, collection: "dnd-monster-manual.monsters" };
+  const item = (name) => {
+    const normalizedName = NameMatcher.normalizeName(name);
+    return {
+      entry: { name },
+      pack,
+      normalizedName,
+      significantWords: normalizedName.split(" ").filter(w => w.length >= NameMatcher.MIN_PARTIAL_LENGTH),
+      trigrams: NameMatcher.trigrams(normalizedName),
+      priority: 2
+    };
+  };
+  const index = ["Goblin", "Zombie", "Cultist", "Orc", "Hobgoblin"].map(item);
+
+  beforeEach(() => {
+    NameMatcher.setAliases({});
+    NameMatcher.setFuzzyThreshold(1);
+    NameMatcher.setVariantRules(null);
+  });
+
+  it("strips trailing numbers and '#' counters", () => {
+    expect(NameMatcher.findMatch("Goblin 3", index)).toMatchObject({ entry: { name: "Goblin" }, stage: "variant" });
+    expect(NameMatcher.findMatch("Zombie #12", index)).toMatchObject({ entry: { name: "Zombie" }, stage: "variant" });
+  });
+
+  it("strips parenthetical notes and combines them with the other rules", () => {
+    expect(NameMatcher.findMatch("Cultist (Hooded)", index)).toMatchObject({ entry: { name: "Cultist" }, stage: "variant" });
+    expect(NameMatcher.findMatch("Goblin Scout [left flank] 2", index)).toMatchObject({ entry: { name: "Goblin" }, stage: "variant" });
+  });
+
+  it("does not match user words until they are configured", () => {
+    expect(NameMatcher.findMatch("Elite Orc", index)?.stage).not.toBe("variant");
+
+    NameMatcher.setVariantRules({ prefixes: ["Elite", "Veteran"], suffixes: ["Boss"] });
+
+    expect(NameMatcher.findMatch("Elite Orc", index)).toMatchObject({ entry: { name: "Orc" }, stage: "variant" });
+    expect(NameMatcher.findMatch("Veteran Hobgoblin Boss 2", index)).toMatchObject({ entry: { name: "Hobgoblin" }, stage: "variant" });
+    expect(NameMatcher.findMatch("Young Goblin", index)).toMatchObject({ entry: { name: "Goblin" }, stage: "variant" });
+  });
+
+  it("applies regex rules to the normalized name", () => {
+    NameMatcher.setVariantRules({ patterns: ["^frenzied\\s+", "\\bmk \\w+$"] });
+
+    expect(NameMatcher.findMatch("Frenzied Zombie", index)).toMatchObject({ entry: { name: "Zombie" }, stage: "variant" });
+    expect(NameMatcher.findMatch("Orc Mk II", index)).toMatchObject({ entry: { name: "Orc" }, stage: "variant" });
+  });
+
+  it("skips invalid regex rules and keeps the valid ones", () => {
+    NameMatcher.setVariantRules({ prefixes: ["  Elite ", "", 42], patterns: ["(", "^frenzied\\s+"] });
+
+    expect(NameMatcher.getVariantRules()).toEqual({ prefixes: ["elite"], suffixes: [], patterns: ["^frenzied\\s+"] });
+    expect(NameMatcher.validatePattern("(")).toEqual(expect.any(String));
+    expect(NameMatcher.validatePattern("boss$")).toBeNull();
+    expect(NameMatcher.findMatch("Frenzied Zombie", index)?.entry.name).toBe("Zombie");
+  });
+
+  it("getVariantNames excludes the normalized name itself", () => {
+    expect(NameMatcher.getVariantNames("Goblin")).toEqual([]);
+    expect(NameMatcher.getVariantNames("Zombie #12")).toEqual(["zombie"]);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { TaskPool } from "../../scripts/lib/task-pool.js";
+
+// Resolve after the given number of milliseconds
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe("TaskPool.mapSettled", () => {
+  it("returns settled results in input order", async () => {
+    const results = await TaskPool.mapSettled([30, 10, 20], ms => delay(ms, ms), 3);
+
+    expect(results).toEqual([
+      { status: "fulfilled", value: 30 },
+      { status: "fulfilled", value: 10 },
+      { status: "fulfilled", value: 20 }
+    ]);
+  });
+
+  it("records rejections without aborting the other tasks", async () => {
+    const error = new Error("boom");
+    const results = await TaskPool.mapSettled([1, 2, 3], n => {
+      if (n === 2) return Promise.reject(error);
+      return Promise.resolve(n * 10);
+    });
+
+    expect(results[0]).toEqual({ status: "fulfilled", value: 10 });
+    expect(results[1]).toEqual({ status: "rejected", reason: error });
+    expect(results[2]).toEqual({ status: "fulfilled", value: 30 });
+  });
+
+  it("catches synchronous throws from the worker", async () => {
+    const results = await TaskPool.mapSettled([1], () => { throw new Error("sync"); });
+    expect(results[0].status).toBe("rejected");
+    expect(results[0].reason.message).toBe("sync");
+  });
+
+  it("never runs more than `concurrency` tasks at once", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const items = Array.from({ length: 10 }, (_, i) => i);
+
+    await TaskPool.mapSettled(items, async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await delay(5);
+      inFlight--;
+    }, 3);
+
+    expect(peak).toBe(3);
+  });
+
+  it("passes the item index to the worker", async () => {
+    const results = await TaskPool.mapSettled(["a", "b"], (item, i) => Promise.resolve(`${item}${i}`));
+    expect(results.map(r => r.value)).toEqual(["a0", "b1"]);
+  });
+
+  it("handles an empty list and a non-positive concurrency", async () => {
+    expect(await TaskPool.mapSettled([], () => Promise.resolve())).toEqual([]);
+    const results = await TaskPool.mapSettled([1, 2], n => Promise.resolve(n), 0);
+    expect(results.map(r => r.value)).toEqual([1, 2]);
+  });
+});
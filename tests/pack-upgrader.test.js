@@ -0,0 +1,366 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { PackUpgrader, ActorUpgrader, CompendiumManager, NPCTokenReplacerController, TokenReplacer, ReplacementHistory } from "../scripts/main.js";
+import { NameMatcher } from "../scripts/lib/name-matcher.js";
+
+/**
+ * PackUpgrader Unit Tests
+ *
+ * Tests upgrading the contents of world compendiums: which packs qualify,
+ * unlocking and relocking, pack-local actors for compendium scenes, adventures,
+ * the per-document report and the scene and actor runs of
+ * NPCTokenReplacerController.upgradeCompendium.
+ */
+
+const sourcePack = { collection: "dnd-monster-manual.actors", documentName: "Actor", metadata: { label: "Monster Manual" } };
+const matchFor = name => ({ entry: { _id: name.toLowerCase(), name }, pack: sourcePack });
+
+const createWorldPack = (documentName, documents, { locked = true } = {}) => {
+  const pack = {
+    collection: `world.${documentName.toLowerCase()}s`,
+    documentName,
+    metadata: { name: `${documentName.toLowerCase()}s`, label: `My ${documentName}s`, packageType: "world" },
+    locked,
+    getDocuments: vi.fn().mockResolvedValue(documents),
+    configure: vi.fn(async ({ locked: value }) => { pack.locked = value; })
+  };
+  return pack;
+};
+
+const createScene = (id, tokens) => ({
+  id,
+  name: `Scene ${id}`,
+  documentName: "Scene",
+  tokens: { contents: tokens, has: () => true }
+});
+
+let originalJournal;
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  originalJournal = globalThis.JournalEntry;
+  globalThis.JournalEntry = { create: vi.fn(async data => ({ name: data.name })) };
+  game.user.isGM = true;
+  game.i18n.format = vi.fn((key, data) => `${key}: ${JSON.stringify(data)}`);
+  ui.notifications.info = vi.fn();
+  ui.notifications.warn = vi.fn();
+  ui.notifications.error = vi.fn();
+});
+
+afterEach(() => {
+  globalThis.JournalEntry = originalJournal;
+});
+
+describe("PackUpgrader", () => {
+
+  it("only accepts world Scene, Actor and Adventure compendiums", () => {
+    expect(PackUpgrader.isUpgradable(createWorldPack("Scene", []))).toBe(true);
+    expect(PackUpgrader.isUpgradable(createWorldPack("Actor", []))).toBe(true);
+    expect(PackUpgrader.isUpgradable(createWorldPack("Adventure", []))).toBe(true);
+    expect(PackUpgrader.isUpgradable(createWorldPack("JournalEntry", []))).toBe(false);
+    expect(PackUpgrader.isUpgradable(sourcePack)).toBe(false);
+  });
+
+  it("unlocks a locked pack for the task and relocks it, even when the task fails", async () => {
+    const pack = createWorldPack("Actor", []);
+    let lockedDuringTask;
+
+    await expect(PackUpgrader.withUnlockedPack(pack, async () => {
+      lockedDuringTask = pack.locked;
+      throw new Error("boom");
+    })).rejects.toThrow("boom");
+
+    expect(lockedDuringTask).toBe(false);
+    expect(pack.locked).toBe(true);
+  });
+
+  it("leaves an unlocked pack unlocked", async () => {
+    const pack = createWorldPack("Actor", [], { locked: false });
+
+    expect(await PackUpgrader.withUnlockedPack(pack, async () => "done")).toBe("done");
+    expect(pack.configure).not.toHaveBeenCalled();
+  });
+
+  it("reports every document of the pack", () => {
+    const goblin = { name: "Goblin", documentName: "Actor" };
+    const orc = { name: "Orc", documentName: "Actor" };
+    const gruk = { name: "Gruk", documentName: "Actor" };
+    const statue = { name: "Statue", documentName: "Actor" };
+    const results = [
+      { actor: goblin, match: matchFor("Goblin") },
+      { actor: orc, match: matchFor("Orc"), include: false },
+      { actor: gruk, match: null }
+    ];
+
+    const rows = PackUpgrader.buildReport([goblin, orc, gruk, statue], results, { actors: new Map([[goblin, "upgraded"]]) });
+
+    expect(rows).toEqual([
+      { name: "Goblin", changes: "NPC_REPLACER.PackReportUpgraded: {\"creature\":\"Goblin (Monster Manual)\"}" },
+      { name: "Orc", changes: "NPC_REPLACER.PackReportSkipped" },
+      { name: "Gruk", changes: "NPC_REPLACER.PackReportNoMatch" },
+      { name: "Statue", changes: "NPC_REPLACER.PackReportUnchanged" }
+    ]);
+  });
+
+  it("reports one line per scene and per adventure", () => {
+    const scene = { name: "Cave", documentName: "Scene" };
+    const adventure = { name: "Lost Mine", documentName: "Adventure" };
+    const results = [
+      { tokenDoc: {}, scene, match: matchFor("Goblin") },
+      { tokenDoc: {}, scene, match: null },
+      { tokenDoc: {}, adventure, match: matchFor("Goblin") },
+      { tokenDoc: null, adventure, match: matchFor("Orc"), include: false }
+    ];
+
+    const rows = PackUpgrader.buildReport([scene, adventure], results, {
+      scenes: [{ scene, replaced: 1, importFailed: [], creationFailed: [] }],
+      adventures: new Map([[adventure, { replaced: 1, upgraded: 0, failed: 0 }]])
+    });
+
+    expect(rows).toEqual([
+      { name: "Cave", changes: "NPC_REPLACER.PackReportTokens: {\"replaced\":1,\"failed\":0,\"unmatched\":1,\"skipped\":0}" },
+      { name: "Lost Mine", changes: "NPC_REPLACER.PackReportAdventure: {\"replaced\":1,\"upgraded\":0,\"failed\":0,\"unmatched\":0,\"skipped\":1}" }
+    ]);
+  });
+
+  describe("companion actor pack", () => {
+
+    const scenePack = createWorldPack("Scene", []);
+    const compendiumActor = (name) => ({
+      name,
+      uuid: `Compendium.dnd-monster-manual.actors.Actor.${name.toLowerCase()}`,
+      toObject: () => ({ name, type: "npc" })
+    });
+
+    it("reuses the companion pack of a Scene pack", async () => {
+      const actorPack = createWorldPack("Actor", []);
+      vi.spyOn(game.packs, "get").mockReturnValue(actorPack);
+
+      expect(await PackUpgrader.getOrCreateActorPack(scenePack)).toBe(actorPack);
+      expect(game.packs.get).toHaveBeenCalledWith("world.scenes-actors");
+    });
+
+    it("creates the companion pack when it does not exist", async () => {
+      const actorPack = createWorldPack("Actor", []);
+      vi.spyOn(game.packs, "get").mockReturnValue(undefined);
+      vi.stubGlobal("CompendiumCollection", { createCompendium: vi.fn().mockResolvedValue(actorPack) });
+
+      expect(await PackUpgrader.getOrCreateActorPack(scenePack)).toBe(actorPack);
+      expect(CompendiumCollection.createCompendium).toHaveBeenCalledWith({
+        type: "Actor",
+        name: "scenes-actors",
+        label: "NPC_REPLACER.PackActorsLabel: {\"label\":\"My Scenes\"}",
+        package: "world"
+      });
+    });
+
+    it("refuses a companion pack name taken by another compendium type", async () => {
+      vi.spyOn(game.packs, "get").mockReturnValue(createWorldPack("Item", []));
+
+      await expect(PackUpgrader.getOrCreateActorPack(scenePack)).rejects.toThrow("holds Item documents");
+    });
+
+    it("reuses the pack's actor imported from the same creature", async () => {
+      const existing = { name: "Goblin", _stats: { compendiumSource: compendiumActor("Goblin").uuid } };
+      const actorPack = createWorldPack("Actor", [existing]);
+      const createSpy = vi.spyOn(Actor, "create");
+
+      const resolve = await PackUpgrader.createPackActorResolver(actorPack);
+
+      expect(await resolve(compendiumActor("Goblin"))).toBe(existing);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    it("imports a creature into the pack once for all its tokens", async () => {
+      const actorPack = createWorldPack("Actor", []);
+      const created = { id: "a1", name: "Orc" };
+      const createSpy = vi.spyOn(Actor, "create").mockResolvedValue(created);
+
+      const resolve = await PackUpgrader.createPackActorResolver(actorPack);
+      const actors = await Promise.all([resolve(compendiumActor("Orc")), resolve(compendiumActor("Orc"))]);
+
+      expect(actors).toEqual([created, created]);
+      expect(createSpy).toHaveBeenCalledTimes(1);
+      expect(createSpy).toHaveBeenCalledWith({ name: "Orc", type: "npc" }, { pack: "world.actors" });
+    });
+
+    it("retries an import that failed", async () => {
+      const actorPack = createWorldPack("Actor", []);
+      const createSpy = vi.spyOn(Actor, "create").mockRejectedValueOnce(new Error("boom")).mockResolvedValue({ id: "a1" });
+
+      const resolve = await PackUpgrader.createPackActorResolver(actorPack);
+
+      await expect(resolve(compendiumActor("Orc"))).rejects.toThrow("boom");
+      expect(await resolve(compendiumActor("Orc"))).toEqual({ id: "a1" });
+      expect(createSpy).toHaveBeenCalledTimes(2);
+    });
+
+  });
+
+  describe("upgradeAdventure", () => {
+
+    const creature = (name) => ({
+      name,
+      uuid: `Compendium.dnd-monster-manual.actors.Actor.${name.toLowerCase()}`,
+      toObject: () => ({
+        name,
+        system: { source: "MM" },
+        _stats: { compendiumSource: `Compendium.dnd-monster-manual.actors.Actor.${name.toLowerCase()}` }
+      })
+    });
+    const monsterPack = {
+      collection: "dnd-monster-manual.actors",
+      metadata: { label: "Monster Manual" },
+      getDocument: vi.fn(async id => creature(id[0].toUpperCase() + id.slice(1)))
+    };
+    const monsterMatch = name => ({ entry: { _id: name.toLowerCase(), name }, pack: monsterPack });
+
+    it("upgrades the adventure's actors and points its replaced tokens at actors stored in it", async () => {
+      const orcActor = { id: "a1", name: "Orc", flags: {}, toObject: () => ({ _id: "a1", name: "Orc", flags: {} }) };
+      const scene = {
+        id: "s1",
+        toObject: () => ({ _id: "s1", tokens: [{ _id: "t1", name: "Goblin", x: 100 }, { _id: "t2", name: "Orc" }, { _id: "t3", name: "Statue" }] })
+      };
+      const adventure = { name: "Lost Mine", actors: [orcActor], scenes: [scene], update: vi.fn() };
+      const resolverSpy = vi.spyOn(TokenReplacer, "setActorResolver");
+      vi.spyOn(TokenReplacer, "prepareReplacement").mockImplementation(async (tokenDoc, entry, pack) => {
+        const actor = await resolverSpy.mock.lastCall[0](await pack.getDocument(entry._id), entry, pack);
+        return { tokenDoc, newTokenData: { _id: "new", name: entry.name, actorId: actor.id } };
+      });
+      vi.spyOn(TokenReplacer, "resolvePreparedTexture").mockResolvedValue();
+
+      const outcome = await PackUpgrader.upgradeAdventure(adventure, [
+        { tokenDoc: null, actor: orcActor, creatureName: "Orc", match: monsterMatch("Orc") },
+        { tokenDoc: { id: "t1", name: "Goblin", flags: {} }, scene, creatureName: "Goblin", match: monsterMatch("Goblin") },
+        { tokenDoc: { id: "t2", name: "Orc", flags: {} }, scene, creatureName: "Orc", match: monsterMatch("Orc") }
+      ]);
+
+      expect(outcome).toEqual({ replaced: 2, upgraded: 1, failed: 0 });
+      expect(resolverSpy.mock.lastCall[0]).toBeNull();
+      const { actors, scenes } = adventure.update.mock.calls[0][0];
+      expect(actors).toHaveLength(2);
+      expect(actors[0]).toMatchObject({ _id: "a1", name: "Orc", system: { source: "MM" } });
+      expect(actors[1]).toMatchObject({ name: "Goblin", _id: expect.any(String) });
+      expect(scenes[0].tokens).toEqual([
+        expect.objectContaining({ _id: "t1", name: "Goblin", x: 100, actorId: actors[1]._id }),
+        expect.objectContaining({ _id: "t2", name: "Orc", actorId: "a1" }),
+        { _id: "t3", name: "Statue" }
+      ]);
+    });
+
+    it("does not update an adventure when nothing was replaced", async () => {
+      const adventure = { name: "Lost Mine", actors: [], scenes: [], update: vi.fn() };
+
+      expect(await PackUpgrader.upgradeAdventure(adventure, [])).toEqual({ replaced: 0, upgraded: 0, failed: 0 });
+      expect(adventure.update).not.toHaveBeenCalled();
+    });
+
+  });
+
+});
+
+describe("NPCTokenReplacerController.upgradeCompendium", () => {
+
+  beforeEach(() => {
+    vi.spyOn(CompendiumManager, "detectWOTCCompendiums").mockReturnValue([sourcePack]);
+    vi.spyOn(CompendiumManager, "loadMonsterIndex").mockResolvedValue([matchFor("Goblin")]);
+    vi.spyOn(NameMatcher, "findMatch").mockImplementation(name => (name === "Goblin" ? matchFor("Goblin") : null));
+    vi.spyOn(NPCTokenReplacerController, "showPreviewDialog").mockResolvedValue(true);
+  });
+
+  it("refuses packs it cannot upgrade", async () => {
+    const pack = createWorldPack("JournalEntry", []);
+
+    await NPCTokenReplacerController.upgradeCompendium(pack);
+
+    expect(pack.getDocuments).not.toHaveBeenCalled();
+    expect(ui.notifications.warn).toHaveBeenCalled();
+  });
+
+  it("upgrades the NPC actors of an Actor pack and writes a report", async () => {
+    const goblin = { name: "Goblin", type: "npc", documentName: "Actor", _stats: {} };
+    const hero = { name: "Hero", type: "character", documentName: "Actor" };
+    const pack = createWorldPack("Actor", [goblin, hero]);
+    const upgradeSpy = vi.spyOn(ActorUpgrader, "upgradeActor").mockImplementation(async () => {
+      expect(pack.locked).toBe(false);
+    });
+
+    await NPCTokenReplacerController.upgradeCompendium(pack);
+
+    expect(upgradeSpy).toHaveBeenCalledWith(goblin, matchFor("Goblin"));
+    expect(pack.locked).toBe(true);
+    const [journal] = JournalEntry.create.mock.calls[0];
+    expect(journal.name).toBe("NPC_REPLACER.PackReportTitle: {\"label\":\"My Actors\"}");
+    expect(journal.pages[0].text.content).toContain("Goblin (Monster Manual)");
+    expect(journal.pages[0].text.content).toContain("Hero");
+  });
+
+  it("replaces the NPC tokens of a Scene pack, matching unresolved tokens by name", async () => {
+    const token = { id: "t1", name: "Goblin", actor: null, toObject: () => ({ _id: "t1" }) };
+    const scene = createScene("s1", [token]);
+    const pack = createWorldPack("Scene", [scene, createScene("s2", [])]);
+    vi.spyOn(TokenReplacer, "prepareReplacement").mockImplementation(async (tokenDoc, entry) => ({
+      tokenDoc, compendiumEntry: entry, newTokenData: { _id: "new1" }
+    }));
+    vi.spyOn(TokenReplacer, "resolvePreparedTexture").mockResolvedValue();
+    const commitSpy = vi.spyOn(TokenReplacer, "commitReplacements").mockResolvedValue({
+      created: new Map([["t1", { id: "new1" }]]), failed: []
+    });
+    vi.spyOn(TokenReplacer, "buildActorLookup").mockImplementation(() => {});
+    vi.spyOn(ReplacementHistory, "record").mockResolvedValue({});
+    const actorPack = createWorldPack("Actor", []);
+    vi.spyOn(game.packs, "get").mockImplementation(id => (id === "world.scenes-actors" ? actorPack : undefined));
+    const resolverSpy = vi.spyOn(TokenReplacer, "setActorResolver");
+    commitSpy.mockImplementation(async () => {
+      // Tokens are committed while their actors resolve into the unlocked companion pack
+      expect(resolverSpy.mock.lastCall[0]).toBeTypeOf("function");
+      expect(actorPack.locked).toBe(false);
+      return { created: new Map([["t1", { id: "new1" }]]), failed: [] };
+    });
+
+    await NPCTokenReplacerController.upgradeCompendium(pack);
+
+    expect(commitSpy).toHaveBeenCalledWith(scene, [expect.objectContaining({ tokenDoc: token })]);
+    expect(resolverSpy.mock.lastCall[0]).toBeNull();
+    expect(actorPack.locked).toBe(true);
+    const content = JournalEntry.create.mock.calls[0][0].pages[0].text.content;
+    expect(content).toContain("NPC_REPLACER.PackReportTokens: {&quot;replaced&quot;:1,&quot;failed&quot;:0,&quot;unmatched&quot;:0,&quot;skipped&quot;:0}");
+    expect(content).toContain("Scene s2</td><td>NPC_REPLACER.PackReportUnchanged");
+    expect(pack.locked).toBe(true);
+  });
+
+  it("upgrades the scene tokens and NPC actors of an Adventure pack together", async () => {
+    const token = { id: "t1", name: "Goblin", actor: null };
+    const goblin = { id: "a1", name: "Goblin", type: "npc", _stats: {} };
+    const adventure = {
+      name: "Lost Mine",
+      documentName: "Adventure",
+      scenes: [createScene("s1", [token])],
+      actors: [goblin, { id: "a2", name: "Hero", type: "character" }]
+    };
+    const pack = createWorldPack("Adventure", [adventure]);
+    const upgradeSpy = vi.spyOn(PackUpgrader, "upgradeAdventure").mockResolvedValue({ replaced: 1, upgraded: 1, failed: 0 });
+    vi.spyOn(TokenReplacer, "buildActorLookup").mockImplementation(() => {});
+
+    await NPCTokenReplacerController.upgradeCompendium(pack);
+
+    const [upgraded, results] = upgradeSpy.mock.calls[0];
+    expect(upgraded).toBe(adventure);
+    expect(results).toEqual([
+      expect.objectContaining({ tokenDoc: token, scene: adventure.scenes[0], adventure }),
+      expect.objectContaining({ tokenDoc: null, actor: goblin, adventure })
+    ]);
+    const content = JournalEntry.create.mock.calls[0][0].pages[0].text.content;
+    expect(content).toContain("NPC_REPLACER.PackReportAdventure: {&quot;replaced&quot;:1,&quot;upgraded&quot;:1,&quot;failed&quot;:0,&quot;unmatched&quot;:0,&quot;skipped&quot;:0}");
+  });
+
+  it("does not write a report when the preview is cancelled", async () => {
+    NPCTokenReplacerController.showPreviewDialog.mockResolvedValue(false);
+    const pack = createWorldPack("Actor", [{ name: "Goblin", type: "npc", documentName: "Actor" }]);
+
+    await NPCTokenReplacerController.upgradeCompendium(pack);
+
+    expect(JournalEntry.create).not.toHaveBeenCalled();
+    expect(pack.locked).toBe(true);
+  });
+
+});
@@ -0,0 +1,286 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { ReplacementHistory, NPCTokenReplacerController } from "../scripts/main.js";
+
+/**
+ * ReplacementHistory Unit Tests
+ *
+ * Tests the per-scene replacement journal stored in scene flags and the
+ * revert flow that restores original tokens and removes their replacements.
+ */
+
+// Minimal scene mock with an in-memory flag store and token collection
+function createMockScene(tokenIds = []) {
+  const flags = {};
+  const tokens = new Set(tokenIds);
+  return {
+    name: "Dungeon",
+    getFlag: vi.fn((scope, key) => flags[`${scope}.${key}`]),
+    setFlag: vi.fn(async (scope, key, value) => { flags[`${scope}.${key}`] = value; }),
+    tokens: { has: vi.fn(id => tokens.has(id)), [Symbol.iterator]: function* () {} },
+    createEmbeddedDocuments: vi.fn(async (_type, data) => {
+      data.forEach(d => tokens.add(d._id));
+      return data;
+    }),
+    deleteEmbeddedDocuments: vi.fn(async (_type, ids) => {
+      ids.forEach(id => tokens.delete(id));
+      return ids;
+    })
+  };
+}
+
+const createEntry = (overrides = {}) => ({
+  originalTokens: [{ _id: "old-1", name: "Goblin" }, { _id: "old-2", name: "Orc" }],
+  newTokenIds: ["new-1", "new-2"],
+  replacements: [{ oldId: "old-1", newId: "new-1" }, { oldId: "old-2", newId: "new-2" }],
+  importedActorIds: ["actor-1"],
+  ...overrides
+});
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  game.scenes = [];
+  game.actors.has = vi.fn(() => true);
+  globalThis.Actor.deleteDocuments = vi.fn().mockResolvedValue([]);
+});
+
+// ─── Test Group 1: journal storage ──────────────────────────────────────────
+
+describe("ReplacementHistory journal", () => {
+
+  it("getHistory returns an empty array for a scene without history", () => {
+    expect(ReplacementHistory.getHistory(createMockScene())).toEqual([]);
+  });
+
+  it("getHistory returns an empty array when no scene is given", () => {
+    expect(ReplacementHistory.getHistory(null)).toEqual([]);
+  });
+
+  it("record appends an entry with runId and timestamp", async () => {
+    const scene = createMockScene();
+    const entry = await ReplacementHistory.record(scene, createEntry());
+
+    expect(entry.runId).toBeTruthy();
+    expect(typeof entry.timestamp).toBe("number");
+    expect(ReplacementHistory.getHistory(scene)).toHaveLength(1);
+    expect(ReplacementHistory.getLastEntry(scene).newTokenIds).toEqual(["new-1", "new-2"]);
+  });
+
+  it("record keeps the run ID it is given", async () => {
+    const entry = await ReplacementHistory.record(createMockScene(), createEntry({ runId: "session-run" }));
+
+    expect(entry.runId).toBe("session-run");
+  });
+
+  it("keeps at most MAX_ENTRIES runs, dropping the oldest", async () => {
+    const scene = createMockScene();
+    for (let i = 0; i < ReplacementHistory.MAX_ENTRIES + 2; i++) {
+      await ReplacementHistory.record(scene, createEntry({ newTokenIds: [`new-${i}`] }));
+    }
+
+    const history = ReplacementHistory.getHistory(scene);
+    expect(history).toHaveLength(ReplacementHistory.MAX_ENTRIES);
+    expect(history[0].newTokenIds).toEqual(["new-2"]);
+  });
+
+  it("removeEntry drops only the matching run", async () => {
+    const scene = createMockScene();
+    const first = await ReplacementHistory.record(scene, createEntry());
+    const second = await ReplacementHistory.record(scene, createEntry());
+
+    await ReplacementHistory.removeEntry(scene, second.runId);
+
+    const history = ReplacementHistory.getHistory(scene);
+    expect(history).toHaveLength(1);
+    expect(history[0].runId).toBe(first.runId);
+  });
+
+});
+
+// ─── Test Group 2: revert ───────────────────────────────────────────────────
+
+describe("ReplacementHistory.revert", () => {
+
+  it("recreates originals with keepId and deletes the new tokens", async () => {
+    const scene = createMockScene(["new-1", "new-2"]);
+    const entry = await ReplacementHistory.record(scene, createEntry());
+
+    const result = await ReplacementHistory.revert(scene, entry);
+
+    expect(scene.createEmbeddedDocuments).toHaveBeenCalledWith("Token", entry.originalTokens, { keepId: true });
+    expect(scene.deleteEmbeddedDocuments).toHaveBeenCalledWith("Token", ["new-1", "new-2"]);
+    expect(result).toEqual({ restored: 2, removed: 2, deletedActors: 0 });
+    expect(ReplacementHistory.getHistory(scene)).toEqual([]);
+  });
+
+  it("skips originals that already exist and new tokens that are gone", async () => {
+    const scene = createMockScene(["old-1", "new-2"]);
+    const entry = await ReplacementHistory.record(scene, createEntry());
+
+    const result = await ReplacementHistory.revert(scene, entry);
+
+    expect(scene.createEmbeddedDocuments).toHaveBeenCalledWith("Token", [{ _id: "old-2", name: "Orc" }], { keepId: true });
+    expect(scene.deleteEmbeddedDocuments).toHaveBeenCalledWith("Token", ["new-2"]);
+    expect(result.restored).toBe(1);
+    expect(result.removed).toBe(1);
+  });
+
+  it("hands combatants back to the restored originals", async () => {
+    const scene = { ...createMockScene(["new-1", "new-2"]), id: "scene-1" };
+    const entry = await ReplacementHistory.record(scene, createEntry({
+      originalTokens: [{ _id: "old-1", actorId: "srd-goblin" }, { _id: "old-2", actorId: "srd-orc" }]
+    }));
+    const combat = {
+      scene: { id: "scene-1" },
+      combatants: [{ id: "c1", sceneId: "scene-1", tokenId: "new-2" }],
+      updateEmbeddedDocuments: vi.fn().mockResolvedValue([])
+    };
+    game.combats = [combat];
+
+    try {
+      await ReplacementHistory.revert(scene, entry);
+    } finally {
+      game.combats = [];
+    }
+
+    expect(combat.updateEmbeddedDocuments).toHaveBeenCalledWith("Combatant", [{ _id: "c1", tokenId: "old-2", actorId: "srd-orc" }]);
+  });
+
+  it("pairs combatants with their original token even when a snapshot is missing", async () => {
+    const scene = { ...createMockScene(["new-1", "new-2"]), id: "scene-1" };
+    const entry = await ReplacementHistory.record(scene, createEntry({
+      originalTokens: [{ _id: "old-2", actorId: "srd-orc" }]
+    }));
+    const combat = {
+      scene: { id: "scene-1" },
+      combatants: [{ id: "c1", sceneId: "scene-1", tokenId: "new-1" }, { id: "c2", sceneId: "scene-1", tokenId: "new-2" }],
+      updateEmbeddedDocuments: vi.fn().mockResolvedValue([])
+    };
+    game.combats = [combat];
+
+    try {
+      await ReplacementHistory.revert(scene, entry);
+    } finally {
+      game.combats = [];
+    }
+
+    expect(combat.updateEmbeddedDocuments).toHaveBeenCalledWith("Combatant", [{ _id: "c2", tokenId: "old-2", actorId: "srd-orc" }]);
+  });
+
+  it("writes the original data back onto tokens updated in place", async () => {
+    const scene = { ...createMockScene(["old-1"]), id: "scene-1", updateEmbeddedDocuments: vi.fn().mockResolvedValue([]) };
+    const original = { _id: "old-1", name: "Goblin", actorId: "srd-goblin" };
+    const entry = await ReplacementHistory.record(scene, createEntry({ originalTokens: [original], newTokenIds: ["old-1"] }));
+    const combat = {
+      scene: { id: "scene-1" },
+      combatants: [{ id: "c1", sceneId: "scene-1", tokenId: "old-1" }],
+      updateEmbeddedDocuments: vi.fn().mockResolvedValue([])
+    };
+    game.combats = [combat];
+
+    let result;
+    try {
+      result = await ReplacementHistory.revert(scene, entry);
+    } finally {
+      game.combats = [];
+    }
+
+    expect(scene.updateEmbeddedDocuments).toHaveBeenCalledWith("Token", [original], { diff: false, recursive: false });
+    expect(scene.createEmbeddedDocuments).not.toHaveBeenCalled();
+    expect(scene.deleteEmbeddedDocuments).not.toHaveBeenCalled();
+    expect(combat.updateEmbeddedDocuments).toHaveBeenCalledWith("Combatant", [{ _id: "c1", tokenId: "old-1", actorId: "srd-goblin" }]);
+    expect(result).toEqual({ restored: 1, removed: 0, deletedActors: 0 });
+  });
+
+  it("does not delete imported actors unless requested", async () => {
+    const scene = createMockScene(["new-1", "new-2"]);
+    const entry = await ReplacementHistory.record(scene, createEntry());
+
+    await ReplacementHistory.revert(scene, entry);
+
+    expect(Actor.deleteDocuments).not.toHaveBeenCalled();
+  });
+
+  it("deletes only imported actors no longer referenced by any token", async () => {
+    const scene = createMockScene(["new-1", "new-2"]);
+    const entry = await ReplacementHistory.record(scene, createEntry({ importedActorIds: ["actor-1", "actor-2"] }));
+    game.scenes = [{ tokens: [{ actorId: "actor-2" }] }];
+
+    const result = await ReplacementHistory.revert(scene, entry, { deleteActors: true });
+
+    expect(Actor.deleteDocuments).toHaveBeenCalledWith(["actor-1"]);
+    expect(result.deletedActors).toBe(1);
+  });
+
+  it("ignores imported actors that were already deleted", async () => {
+    const scene = createMockScene(["new-1", "new-2"]);
+    const entry = await ReplacementHistory.record(scene, createEntry());
+    game.actors.has = vi.fn(() => false);
+
+    const result = await ReplacementHistory.revert(scene, entry, { deleteActors: true });
+
+    expect(Actor.deleteDocuments).not.toHaveBeenCalled();
+    expect(result.deletedActors).toBe(0);
+  });
+
+});
+
+// ─── Test Group 3: controller integration ───────────────────────────────────
+
+describe("NPCTokenReplacerController.revertLastReplacement", () => {
+
+  beforeEach(() => {
+    game.user.isGM = true;
+    ui.notifications.info = vi.fn();
+    ui.notifications.warn = vi.fn();
+    ui.notifications.error = vi.fn();
+    game.i18n.localize = vi.fn(key => key);
+    game.i18n.format = vi.fn((key, data) => `${key}: ${JSON.stringify(data)}`);
+  });
+
+  it("notifies when the scene has no history", async () => {
+    canvas.scene = createMockScene();
+
+    await NPCTokenReplacerController.revertLastReplacement({});
+
+    expect(ui.notifications.info).toHaveBeenCalledWith("NPC_REPLACER.RevertNoHistory");
+  });
+
+  it("refuses to run for non-GM users", async () => {
+    game.user.isGM = false;
+    canvas.scene = createMockScene();
+
+    await NPCTokenReplacerController.revertLastReplacement({});
+
+    expect(ui.notifications.warn).toHaveBeenCalledWith("NPC_REPLACER.GMOnly");
+  });
+
+  it("reverts the last run without a dialog when options are given", async () => {
+    const scene = createMockScene(["new-1", "new-2"]);
+    canvas.scene = scene;
+    await ReplacementHistory.record(scene, createEntry());
+    const revertSpy = vi.spyOn(ReplacementHistory, "revert");
+
+    await NPCTokenReplacerController.revertLastReplacement({ deleteActors: false });
+
+    expect(revertSpy).toHaveBeenCalledTimes(1);
+    expect(game.i18n.format).toHaveBeenCalledWith("NPC_REPLACER.RevertComplete", { count: 2 });
+  });
+
+  it("reports an error notification when the revert fails", async () => {
+    const scene = createMockScene(["new-1"]);
+    canvas.scene = scene;
+    await ReplacementHistory.record(scene, createEntry());
+    vi.spyOn(ReplacementHistory, "revert").mockRejectedValue(new Error("Permission denied"));
+
+    await NPCTokenReplacerController.revertLastReplacement({});
+
+    expect(ui.notifications.error).toHaveBeenCalledWith("NPC_REPLACER.ErrorRevert");
+  });
+
+  it("getDebugAPI exposes revertLastReplacement and getReplacementHistory", () => {
+    const api = NPCTokenReplacerController.getDebugAPI();
+    expect(typeof api.revertLastReplacement).toBe("function");
+    expect(typeof api.getReplacementHistory).toBe("function");
+  });
+
+});
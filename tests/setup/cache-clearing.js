@@ -15,6 +15,7 @@
  *
  *   FolderManager.clearCache()
  *     Clears: #importFolderCache (Actor folder for compendium imports)
+ *             #templateFolderCache (folders resolved from the folder template)
  *
  *   WildcardResolver.clearCache()
  *     Clears: #variantCache (resolved wildcard token paths)
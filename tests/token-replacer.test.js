@@ -0,0 +1,693 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { TokenReplacer, FolderManager } from "../scripts/main.js";
+
+/**
+ * TokenReplacer Unit Tests
+ *
+ * Tests what state is carried from the original token to its replacement:
+ * the always-preserved placement properties and the optional preservation
+ * groups toggled in the settings.
+ */
+
+const createTokenDoc = (overrides = {}) => {
+  const source = {
+    _id: "old1",
+    name: "Goblin Boss Gruk",
+    displayName: 50,
+    x: 100, y: 200, elevation: 5, width: 1, height: 1,
+    hidden: false, rotation: 90, disposition: -1, locked: true, alpha: 0.8,
+    actorLink: false,
+    light: { dim: 20, bright: 10 },
+    sight: { enabled: true, range: 60 },
+    detectionModes: [{ id: "seeInvisibility", range: 30 }],
+    displayBars: 40,
+    bar1: { attribute: "attributes.hp" },
+    bar2: { attribute: "attributes.ac.value" },
+    delta: {
+      system: { attributes: { hp: { value: 3, temp: 2, max: 7 } } },
+      effects: [{ name: "Prone", statuses: ["prone"] }]
+    },
+    flags: { "npc-token-replacer": { own: true }, "other-module": { note: "keep" } },
+    ...overrides
+  };
+  return { ...source, id: source._id, toObject: vi.fn(() => structuredClone(source)) };
+};
+
+const createPack = (prototypeToken) => ({
+  collection: "dnd-monster-manual.actors",
+  getDocument: vi.fn().mockResolvedValue({
+    uuid: "Compendium.dnd-monster-manual.actors.Actor.gob",
+    name: "Goblin",
+    prototypeToken: { toObject: () => structuredClone(prototypeToken) }
+  })
+});
+
+const prototype = {
+  name: "Goblin",
+  displayName: 0,
+  texture: { src: "goblin.webp" },
+  light: { dim: 0 },
+  flags: { "token-module": { ring: true } }
+};
+
+const ALL_GROUPS = Object.keys(TokenReplacer.PRESERVATION_GROUPS);
+
+describe("TokenReplacer preservation groups", () => {
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    TokenReplacer.clearActorLookup();
+    game.settings.get = vi.fn();
+    vi.spyOn(FolderManager, "getOrCreateImportFolder").mockResolvedValue(null);
+  });
+
+  it("only extracts the placement properties when no group is enabled", () => {
+    const props = TokenReplacer.extractTokenProperties(createTokenDoc(), []);
+
+    expect(Object.keys(props).sort()).toEqual([...TokenReplacer.PRESERVED_PROPERTIES].sort());
+  });
+
+  it("extracts the fields of every enabled group", () => {
+    const props = TokenReplacer.extractTokenProperties(createTokenDoc(), ALL_GROUPS);
+
+    expect(props).toMatchObject({
+      name: "Goblin Boss Gruk",
+      displayName: 50,
+      light: { dim: 20, bright: 10 },
+      sight: { enabled: true, range: 60 },
+      displayBars: 40,
+      bar1: { attribute: "attributes.hp" },
+      flags: { "other-module": { note: "keep" } }
+    });
+    expect(props.flags).not.toHaveProperty("npc-token-replacer");
+  });
+
+  it("keeps only effects and current/temporary HP from the combat state", () => {
+    const props = TokenReplacer.extractTokenProperties(createTokenDoc(), ["combatState"]);
+
+    expect(props.delta).toEqual({
+      effects: [{ name: "Prone", statuses: ["prone"] }],
+      system: { attributes: { hp: { value: 3, temp: 2 } } }
+    });
+  });
+
+  it("carries over rolled HP, resources and token items from the actor delta", () => {
+    const tokenDoc = createTokenDoc({
+      delta: {
+        system: {
+          attributes: { hp: { value: 30, max: 42, temp: null, tempmax: 5, formula: "6d8+12" } },
+          spells: { spell1: { value: 1 } },
+          resources: { legact: { value: 1 } },
+          abilities: { str: { value: 20 } }
+        },
+        items: [{ _id: "scimitar", name: "Scimitar" }, { _id: "potion", name: "Potion of Healing" }]
+      }
+    });
+    tokenDoc.baseActor = { items: new Map([["scimitar", {}]]) };
+
+    expect(TokenReplacer.extractActorDelta(tokenDoc, ["hitPoints", "resources", "tokenItems"])).toEqual({
+      system: {
+        attributes: { hp: { value: 30, max: 42, tempmax: 5 } },
+        spells: { spell1: { value: 1 } },
+        resources: { legact: { value: 1 } }
+      },
+      items: [{ _id: "potion", name: "Potion of Healing" }]
+    });
+  });
+
+  it("merges the delta parts of several groups into one delta", () => {
+    const props = TokenReplacer.extractTokenProperties(createTokenDoc(), ["combatState", "hitPoints"]);
+
+    expect(props.delta).toEqual({
+      effects: [{ name: "Prone", statuses: ["prone"] }],
+      system: { attributes: { hp: { value: 3, temp: 2, max: 7 } } }
+    });
+  });
+
+  it("returns no actor delta when no delta group is enabled", () => {
+    expect(TokenReplacer.extractActorDelta(createTokenDoc(), ["displayName", "bars"])).toBeNull();
+  });
+
+  it("ignores the actor delta of linked tokens", () => {
+    const props = TokenReplacer.extractTokenProperties(createTokenDoc({ actorLink: true }), ["combatState"]);
+
+    expect(props).not.toHaveProperty("delta");
+  });
+
+  it("carries over the status and temporary effects of a linked token's world actor", () => {
+    const tokenDoc = createTokenDoc({ actorLink: true });
+    const effect = (data, extra) => ({ ...extra, toObject: () => structuredClone(data) });
+    tokenDoc.actor = {
+      effects: [
+        effect({ name: "Poisoned", statuses: ["poisoned"] }, { statuses: new Set(["poisoned"]), isTemporary: false }),
+        effect({ name: "Bless", duration: { rounds: 10 } }, { statuses: new Set(), isTemporary: true }),
+        effect({ name: "Pack Tactics" }, { statuses: new Set(), isTemporary: false })
+      ]
+    };
+
+    expect(TokenReplacer.extractTokenProperties(tokenDoc, ["combatState"]).delta).toEqual({
+      effects: [{ name: "Poisoned", statuses: ["poisoned"] }, { name: "Bless", duration: { rounds: 10 } }]
+    });
+    expect(TokenReplacer.extractActorDelta(tokenDoc, ["hitPoints"])).toBeNull();
+  });
+
+  it("reads enabled groups from the settings, falling back to the defaults", () => {
+    game.settings.get = vi.fn((module, key) => (key === "preserveDisplayName" ? true : undefined));
+
+    expect(TokenReplacer.getPreservationGroups()).toEqual(["displayName"]);
+
+    game.settings.get = vi.fn(() => { throw new Error("not registered"); });
+    expect(TokenReplacer.getPreservationGroups()).toEqual([]);
+  });
+
+  it("applies the enabled groups to the new token data", async () => {
+    game.settings.get = vi.fn(() => true);
+    const worldActor = { id: "world1", name: "Goblin" };
+    TokenReplacer.buildActorLookup();
+    vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue(worldActor);
+
+    const prepared = await TokenReplacer.prepareReplacement(createTokenDoc(), { _id: "gob", name: "Goblin" }, createPack(prototype));
+
+    expect(prepared.newTokenData).toMatchObject({
+      name: "Goblin Boss Gruk",
+      displayName: 50,
+      texture: { src: "goblin.webp" },
+      light: { dim: 20, bright: 10 },
+      bar2: { attribute: "attributes.ac.value" },
+      delta: { system: { attributes: { hp: { value: 3, temp: 2 } } } },
+      flags: { "token-module": { ring: true }, "other-module": { note: "keep" } },
+      x: 100,
+      actorId: "world1",
+      actorLink: false
+    });
+  });
+
+  it("flags imported actors and puts them in the import folder", async () => {
+    game.settings.get = vi.fn(() => false);
+    FolderManager.getOrCreateImportFolder.mockResolvedValue({ id: "folder1", name: "MonsterManual" });
+    TokenReplacer.buildActorLookup();
+    const importSpy = vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue({ id: "world1", name: "Goblin" });
+
+    await TokenReplacer.prepareReplacement(createTokenDoc(), { _id: "gob", name: "Goblin" }, createPack(prototype));
+
+    expect(importSpy).toHaveBeenCalledWith(expect.anything(), "gob", {
+      folder: "folder1",
+      flags: { "npc-token-replacer": { imported: true, provenance: expect.objectContaining({ compendiumUuid: "Compendium.dnd-monster-manual.actors.Actor.gob" }) } }
+    });
+  });
+
+  it("keeps the prototype's values for disabled groups", async () => {
+    game.settings.get = vi.fn(() => false);
+    const worldActor = { id: "world1", name: "Goblin" };
+    TokenReplacer.buildActorLookup();
+    vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue(worldActor);
+
+    const prepared = await TokenReplacer.prepareReplacement(createTokenDoc(), { _id: "gob", name: "Goblin" }, createPack(prototype));
+
+    expect(prepared.newTokenData.name).toBe("Goblin");
+    expect(prepared.newTokenData.light).toEqual({ dim: 0 });
+    expect(prepared.newTokenData.flags).not.toHaveProperty("other-module");
+    expect(prepared.newTokenData.flags["token-module"]).toEqual({ ring: true });
+    expect(prepared.newTokenData).not.toHaveProperty("delta");
+  });
+
+});
+
+describe("TokenReplacer hit point modes", () => {
+
+  const zombie = { name: "Zombie", system: { attributes: { hp: { value: 15, max: 15, formula: "2d8+6" } } } };
+  let originalRoll;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    TokenReplacer.clearActorLookup();
+    game.settings.get = vi.fn();
+    vi.spyOn(FolderManager, "getOrCreateImportFolder").mockResolvedValue(null);
+    originalRoll = globalThis.Roll;
+    // Rolls the minimum, or the maximum when asked to maximize
+    globalThis.Roll = vi.fn(function (formula) {
+      this.formula = formula;
+      this.evaluate = vi.fn(async ({ maximize } = {}) => ({ total: maximize ? 22 : 8 }));
+    });
+  });
+
+  afterEach(() => {
+    globalThis.Roll = originalRoll;
+  });
+
+  it("reads the HP mode, falling back to average", () => {
+    game.settings.get = vi.fn(() => "roll");
+    expect(TokenReplacer.getHpMode()).toBe("roll");
+
+    game.settings.get = vi.fn(() => "bogus");
+    expect(TokenReplacer.getHpMode()).toBe("average");
+  });
+
+  it("keeps the compendium HP in average mode", async () => {
+    expect(await TokenReplacer.resolveHitPoints(zombie, createTokenDoc(), "average")).toBeNull();
+    expect(globalThis.Roll).not.toHaveBeenCalled();
+  });
+
+  it("rolls or maximizes the HP formula", async () => {
+    expect(await TokenReplacer.resolveHitPoints(zombie, createTokenDoc(), "roll")).toEqual({ value: 8, max: 8 });
+    expect(await TokenReplacer.resolveHitPoints(zombie, createTokenDoc(), "max")).toEqual({ value: 22, max: 22 });
+    expect(globalThis.Roll).toHaveBeenCalledWith("2d8+6");
+  });
+
+  it("falls back to average HP when the formula is missing or invalid", async () => {
+    expect(await TokenReplacer.resolveHitPoints({ name: "Statue", system: {} }, createTokenDoc(), "roll")).toBeNull();
+
+    globalThis.Roll = vi.fn(function () {
+      this.evaluate = vi.fn().mockRejectedValue(new Error("Unresolved term"));
+    });
+    expect(await TokenReplacer.resolveHitPoints(zombie, createTokenDoc(), "roll")).toBeNull();
+  });
+
+  it("keeps the original token's current and maximum HP", async () => {
+    const tokenDoc = createTokenDoc();
+    tokenDoc.actor = { system: { attributes: { hp: { value: 4, max: 19 } } } };
+
+    expect(await TokenReplacer.resolveHitPoints(zombie, tokenDoc, "keep")).toEqual({ value: 4, max: 19 });
+  });
+
+  it("writes rolled HP into the new token's delta under the preserved HP", async () => {
+    game.settings.get = vi.fn((module, key) => (key === "hpMode" ? "roll" : key === "preserveCombatState"));
+    TokenReplacer.buildActorLookup();
+    vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue({ id: "world1", name: "Zombie" });
+    const pack = createPack(prototype);
+    pack.getDocument.mockResolvedValue({ ...zombie, prototypeToken: { toObject: () => structuredClone(prototype) } });
+
+    const prepared = await TokenReplacer.prepareReplacement(createTokenDoc(), { _id: "zom", name: "Zombie" }, pack);
+
+    // The original token's delta had 3 HP left and 2 temporary HP
+    expect(prepared.newTokenData.delta.system.attributes.hp).toEqual({ value: 3, max: 8, temp: 2 });
+    expect(prepared.newTokenData.delta.effects).toHaveLength(1);
+  });
+
+
+  it("caps carried-over HP at the new creature's maximum in average mode", async () => {
+    game.settings.get = vi.fn((module, key) => key === "preserveCombatState");
+    TokenReplacer.buildActorLookup();
+    vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue({ id: "world1", name: "Zombie" });
+    const pack = createPack(prototype);
+    pack.getDocument.mockResolvedValue({ ...zombie, prototypeToken: { toObject: () => structuredClone(prototype) } });
+    const tokenDoc = createTokenDoc({ delta: { system: { attributes: { hp: { value: 40, temp: 2 } } } } });
+
+    const prepared = await TokenReplacer.prepareReplacement(tokenDoc, { _id: "zom", name: "Zombie" }, pack);
+
+    expect(prepared.newTokenData.delta.system.attributes.hp).toEqual({ value: 15, temp: 2 });
+  });
+
+});
+
+describe("TokenReplacer provenance flags", () => {
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    TokenReplacer.clearActorLookup();
+    game.settings.get = vi.fn();
+    vi.spyOn(FolderManager, "getOrCreateImportFolder").mockResolvedValue(null);
+    vi.spyOn(Date, "now").mockReturnValue(1700000000000);
+  });
+
+  it("tags the new token with its provenance and the imported actor with its import", async () => {
+    TokenReplacer.buildActorLookup();
+    TokenReplacer.setMatchStage("old1", "variant");
+    const importSpy = vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue({ id: "world1", name: "Goblin" });
+
+    const tokenDoc = createTokenDoc({ actorId: "srd1" });
+    tokenDoc.baseActor = { uuid: "Actor.srd1" };
+
+    const prepared = await TokenReplacer.prepareReplacement(tokenDoc, { _id: "gob", name: "Goblin" }, createPack(prototype));
+
+    const provenance = {
+      originalName: "Goblin Boss Gruk",
+      originalActorUuid: "Actor.srd1",
+      matchStage: "variant",
+      sourcePack: "dnd-monster-manual.actors",
+      runId: TokenReplacer.getRunId(),
+      timestamp: 1700000000000
+    };
+    expect(provenance.runId).toEqual(expect.any(String));
+    expect(prepared.newTokenData.flags["npc-token-replacer"].provenance).toEqual(provenance);
+    expect(importSpy.mock.calls[0][2].flags["npc-token-replacer"].provenance).toEqual({
+      sourcePack: "dnd-monster-manual.actors",
+      compendiumUuid: "Compendium.dnd-monster-manual.actors.Actor.gob",
+      runId: TokenReplacer.getRunId(),
+      timestamp: 1700000000000
+    });
+  });
+
+  it("keeps per-token details off an actor imported for two differently named tokens", async () => {
+    TokenReplacer.buildActorLookup();
+    TokenReplacer.setMatchStage("old1", "variant");
+    TokenReplacer.setMatchStage("old2", "exact");
+    const importSpy = vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue({ id: "world1", name: "Goblin" });
+    const pack = createPack(prototype);
+    const gruk = createTokenDoc();
+    const goblin = createTokenDoc({ _id: "old2", name: "Goblin" });
+
+    const [first, second] = await Promise.all([
+      TokenReplacer.prepareReplacement(gruk, { _id: "gob", name: "Goblin" }, pack),
+      TokenReplacer.prepareReplacement(goblin, { _id: "gob", name: "Goblin" }, pack)
+    ]);
+
+    expect(importSpy).toHaveBeenCalledTimes(1);
+    const actorProvenance = importSpy.mock.calls[0][2].flags["npc-token-replacer"].provenance;
+    expect(actorProvenance).not.toHaveProperty("originalName");
+    expect(actorProvenance).not.toHaveProperty("matchStage");
+    expect(actorProvenance).toMatchObject({ compendiumUuid: "Compendium.dnd-monster-manual.actors.Actor.gob", runId: TokenReplacer.getRunId() });
+    expect(first.newTokenData.flags["npc-token-replacer"].provenance).toMatchObject({ originalName: "Goblin Boss Gruk", matchStage: "variant" });
+    expect(second.newTokenData.flags["npc-token-replacer"].provenance).toMatchObject({ originalName: "Goblin", matchStage: "exact" });
+  });
+
+  it("records the original actor's real UUID, or null when it cannot be resolved", () => {
+    const pack = createPack(prototype);
+    const packToken = createTokenDoc({ actorId: "gob1" });
+    packToken.baseActor = { uuid: "Compendium.world.monsters.Actor.gob1" };
+
+    expect(TokenReplacer.buildProvenance(packToken, pack).originalActorUuid).toBe("Compendium.world.monsters.Actor.gob1");
+    expect(TokenReplacer.buildProvenance(createTokenDoc({ actorId: "missing" }), pack).originalActorUuid).toBeNull();
+  });
+
+  it("replaces the provenance of a token replaced before", async () => {
+    game.settings.get = vi.fn(() => true);
+    TokenReplacer.buildActorLookup();
+    vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue({ id: "world1", name: "Goblin" });
+    const tokenDoc = createTokenDoc({ flags: { "npc-token-replacer": { provenance: { runId: "old-run" } } } });
+
+    const prepared = await TokenReplacer.prepareReplacement(tokenDoc, { _id: "gob", name: "Goblin" }, createPack(prototype));
+
+    expect(prepared.newTokenData.flags["npc-token-replacer"].provenance.runId).toBe(TokenReplacer.getRunId());
+  });
+
+  it("starts a new run ID with every session", () => {
+    TokenReplacer.buildActorLookup();
+    const first = TokenReplacer.getRunId();
+    TokenReplacer.clearActorLookup();
+    expect(TokenReplacer.getRunId()).toBeNull();
+
+    TokenReplacer.buildActorLookup();
+    expect(TokenReplacer.getRunId()).not.toBe(first);
+  });
+
+  it("reads the provenance of token documents, token placeables and actors", () => {
+    const provenance = { originalName: "Zombie", runId: "run1" };
+    const tokenDoc = { flags: { "npc-token-replacer": { provenance } } };
+
+    expect(TokenReplacer.getProvenance(tokenDoc)).toEqual(provenance);
+    expect(TokenReplacer.getProvenance({ document: tokenDoc })).toEqual(provenance);
+    expect(TokenReplacer.getProvenance({ flags: {} })).toBeNull();
+    expect(TokenReplacer.getProvenance(null)).toBeNull();
+  });
+
+});
+
+describe("TokenReplacer world actor reuse by name", () => {
+
+  const importFolder = { name: "MonsterManual", folder: null };
+  const handImported = { id: "hand1", name: "goblin", type: "npc", folder: importFolder };
+  const elsewhere = { id: "hand2", name: "Orc", type: "npc", folder: { name: "Villains", folder: null } };
+  const linked = { id: "linked1", name: "Zombie", type: "npc", folder: importFolder, _stats: { compendiumSource: "Compendium.mm.actors.Actor.zom" } };
+  let originalActors;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    TokenReplacer.clearActorLookup();
+    vi.spyOn(FolderManager, "getOrCreateImportFolder").mockResolvedValue(null);
+    originalActors = game.actors;
+    const actors = [handImported, elsewhere, linked];
+    game.actors = Object.assign([...actors], {
+      has: id => actors.some(a => a.id === id),
+      importFromCompendium: vi.fn().mockResolvedValue({ id: "world1", name: "Goblin" })
+    });
+    game.settings.get = vi.fn((module, key) => key === "reuseWorldActors");
+  });
+
+  afterEach(() => {
+    game.actors = originalActors;
+    TokenReplacer.clearActorLookup();
+  });
+
+  it("indexes unlinked actors of the import folder tree by type and name", () => {
+    const lookup = TokenReplacer.indexWorldActors();
+
+    expect(TokenReplacer.findWorldActor(lookup, "Compendium.mm.actors.Actor.gob", "Goblin", "npc")).toBe(handImported);
+    expect(TokenReplacer.findWorldActor(lookup, "Compendium.mm.actors.Actor.orc", "Orc", "npc")).toBeNull();
+    expect(TokenReplacer.findWorldActor(lookup, "Compendium.mm.actors.Actor.gob", "Goblin", "character")).toBeNull();
+    expect(TokenReplacer.findWorldActor(lookup, "Compendium.mm.actors.Actor.zom", "Zombie", "npc")).toBe(linked);
+  });
+
+  it("only matches by compendium link when the setting is off", () => {
+    game.settings.get = vi.fn(() => false);
+
+    const lookup = TokenReplacer.indexWorldActors();
+
+    expect(lookup.byName.size).toBe(0);
+    expect(TokenReplacer.findWorldActor(lookup, "Compendium.mm.actors.Actor.gob", "Goblin", "npc")).toBeNull();
+  });
+
+  it("reuses the actor instead of importing a duplicate", async () => {
+    TokenReplacer.buildActorLookup();
+
+    const prepared = await TokenReplacer.prepareReplacement(createTokenDoc(), { _id: "gob", name: "Goblin" }, createPack(prototype));
+
+    expect(prepared.worldActor).toBe(handImported);
+    expect(prepared.newTokenData.actorId).toBe("hand1");
+    expect(game.actors.importFromCompendium).not.toHaveBeenCalled();
+  });
+
+});
+
+describe("TokenReplacer actor link rules", () => {
+
+  const settings = values => vi.fn((module, key) => values[key]);
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    TokenReplacer.clearActorLookup();
+    game.settings.get = vi.fn();
+    vi.spyOn(FolderManager, "getOrCreateImportFolder").mockResolvedValue(null);
+  });
+
+  it("links creatures in the linked creatures list by any of their names", () => {
+    game.settings.get = settings({ linkedCreatures: "Strahd von Zarovich,\n ireena kolyana" });
+
+    expect(TokenReplacer.shouldLinkActor(["Strahd", "Strahd von Zarovich"])).toBe(true);
+    expect(TokenReplacer.shouldLinkActor(["Ireena Kolyana"])).toBe(true);
+    expect(TokenReplacer.shouldLinkActor(["Zombie"], true)).toBe(false);
+  });
+
+  it("follows the compendium prototype only in prototype mode", () => {
+    game.settings.get = settings({ linkMode: "prototype" });
+    expect(TokenReplacer.shouldLinkActor(["Zombie"], true)).toBe(true);
+    expect(TokenReplacer.shouldLinkActor(["Zombie"], false)).toBe(false);
+
+    game.settings.get = settings({ linkMode: "bogus" });
+    expect(TokenReplacer.getLinkMode()).toBe("unlinked");
+    expect(TokenReplacer.shouldLinkActor(["Zombie"], true)).toBe(false);
+  });
+
+  it("creates a linked token without an actor delta for unique creatures", async () => {
+    game.settings.get = settings({ linkedCreatures: "Goblin Boss Gruk", preserveCombatState: true, hpMode: "roll" });
+    TokenReplacer.buildActorLookup();
+    vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue({ id: "world1", name: "Goblin" });
+
+    const prepared = await TokenReplacer.prepareReplacement(createTokenDoc(), { _id: "gob", name: "Goblin" }, createPack(prototype));
+
+    expect(prepared.newTokenData.actorLink).toBe(true);
+    expect(prepared.newTokenData).not.toHaveProperty("delta");
+  });
+
+  it("lets the preview's choice override the rules for the session", async () => {
+    game.settings.get = settings({ linkedCreatures: "Goblin Boss Gruk", preserveCombatState: true });
+    TokenReplacer.buildActorLookup();
+    vi.spyOn(game.actors, "importFromCompendium").mockResolvedValue({ id: "world1", name: "Goblin" });
+    TokenReplacer.setLinkOverride("old1", false);
+
+    const prepared = await TokenReplacer.prepareReplacement(createTokenDoc(), { _id: "gob", name: "Goblin" }, createPack(prototype));
+    expect(prepared.newTokenData.actorLink).toBe(false);
+    expect(prepared.newTokenData.delta.effects).toHaveLength(1);
+
+    // Overrides end with the session
+    TokenReplacer.clearActorLookup();
+    TokenReplacer.buildActorLookup();
+    const next = await TokenReplacer.prepareReplacement(createTokenDoc(), { _id: "gob", name: "Goblin" }, createPack(prototype));
+    expect(next.newTokenData.actorLink).toBe(true);
+  });
+
+});
+
+// Combat with an in-memory combatant collection
+function createMockCombat(combatants, { turn = 0, failUpdate = false } = {}) {
+  const list = combatants.map(c => ({ sceneId: "scene1", hidden: false, defeated: false, ...c }));
+  const combat = {
+    id: "combat1",
+    scene: { id: "scene1" },
+    turn,
+    get combatants() {
+      return Object.assign([...list], { get: id => list.find(c => c.id === id) });
+    },
+    get turns() {
+      return [...list].sort((a, b) => b.initiative - a.initiative);
+    },
+    get combatant() {
+      return this.turns[this.turn];
+    },
+    updateEmbeddedDocuments: vi.fn(async (_type, updates) => {
+      if (failUpdate) throw new Error("tokenId is immutable");
+      for (const u of updates) Object.assign(list.find(c => c.id === u._id), u);
+    }),
+    createEmbeddedDocuments: vi.fn(async (_type, data) => {
+      const created = data.map((d, i) => ({ id: `new-combatant-${i}`, ...d }));
+      list.push(...created);
+      return created;
+    }),
+    deleteEmbeddedDocuments: vi.fn(async (_type, ids) => {
+      ids.forEach(id => list.splice(list.findIndex(c => c.id === id), 1));
+    }),
+    update: vi.fn(async data => { Object.assign(combat, data); })
+  };
+  return combat;
+}
+
+describe("TokenReplacer combat tracker", () => {
+
+  const scene = { id: "scene1" };
+  const replacements = new Map([["old1", { id: "new1", actorId: "world1" }]]);
+
+  beforeEach(() => {
+    game.combats = [];
+  });
+
+  it("re-points combatants of replaced tokens in place", async () => {
+    const combat = createMockCombat([
+      { id: "c1", tokenId: "old1", actorId: "srd1", initiative: 15 },
+      { id: "c2", tokenId: "pc1", actorId: "pc", initiative: 12 }
+    ], { turn: 0 });
+    game.combats = [combat];
+
+    const moved = await TokenReplacer.transferCombatants(scene, replacements);
+
+    expect(moved).toBe(1);
+    expect(combat.updateEmbeddedDocuments).toHaveBeenCalledWith("Combatant", [{ _id: "c1", tokenId: "new1", actorId: "world1" }]);
+    expect(combat.combatant).toMatchObject({ id: "c1", tokenId: "new1", initiative: 15 });
+  });
+
+  it("ignores combats of other scenes", async () => {
+    const combat = createMockCombat([{ id: "c1", tokenId: "old1", sceneId: "elsewhere", initiative: 15 }]);
+    game.combats = [combat];
+
+    expect(await TokenReplacer.transferCombatants(scene, replacements)).toBe(0);
+    expect(combat.updateEmbeddedDocuments).not.toHaveBeenCalled();
+  });
+
+  it("recreates combatants with the same initiative and keeps the current turn", async () => {
+    const combat = createMockCombat([
+      { id: "c1", tokenId: "pc1", actorId: "pc", initiative: 20 },
+      { id: "c2", tokenId: "old1", actorId: "srd1", initiative: 15, defeated: true },
+      { id: "c3", tokenId: "pc2", actorId: "pc", initiative: 5 }
+    ], { turn: 1, failUpdate: true });
+    game.combats = [combat];
+
+    const moved = await TokenReplacer.transferCombatants(scene, replacements);
+
+    expect(moved).toBe(1);
+    expect(combat.createEmbeddedDocuments).toHaveBeenCalledWith("Combatant", [
+      { tokenId: "new1", actorId: "world1", sceneId: "scene1", initiative: 15, hidden: false, defeated: true }
+    ]);
+    expect(combat.deleteEmbeddedDocuments).toHaveBeenCalledWith("Combatant", ["c2"]);
+    expect(combat.combatant).toMatchObject({ tokenId: "new1", initiative: 15 });
+  });
+
+  it("moves combatants before deleting the originals in commitReplacements", async () => {
+    const combat = createMockCombat([{ id: "c1", tokenId: "old1", actorId: "srd1", initiative: 15 }]);
+    game.combats = [combat];
+    const order = [];
+    combat.updateEmbeddedDocuments.mockImplementation(async () => { order.push("combat"); });
+    const commitScene = {
+      id: "scene1",
+      tokens: { has: () => true },
+      createEmbeddedDocuments: vi.fn(async (_type, data) => data.map(d => ({ id: d._id, actorId: d.actorId }))),
+      deleteEmbeddedDocuments: vi.fn(async () => { order.push("delete"); })
+    };
+
+    await TokenReplacer.commitReplacements(commitScene, [
+      { tokenDoc: { id: "old1" }, compendiumEntry: { name: "Goblin" }, newTokenData: { _id: "new1", actorId: "world1" } }
+    ]);
+
+    expect(combat.updateEmbeddedDocuments).toHaveBeenCalledWith("Combatant", [{ _id: "c1", tokenId: "new1", actorId: "world1" }]);
+    expect(order).toEqual(["combat", "delete"]);
+  });
+
+});
+
+describe("TokenReplacer in-place replacement", () => {
+
+  const prepared = {
+    tokenDoc: { id: "old1", flags: { tagger: { tags: ["boss"] }, "other-module": { note: "old" } } },
+    compendiumEntry: { name: "Goblin" },
+    newTokenData: { _id: "new1", actorId: "world1", name: "Goblin", flags: { "other-module": { note: "new" } } }
+  };
+
+  const createScene = ({ failUpdate = false } = {}) => ({
+    id: "scene1",
+    tokens: { has: () => true },
+    updateEmbeddedDocuments: vi.fn(async (_type, data) => {
+      if (failUpdate) throw new Error("Update rejected");
+      return data.map(d => ({ id: d._id, actorId: d.actorId }));
+    }),
+    createEmbeddedDocuments: vi.fn(async (_type, data) => data.map(d => ({ id: d._id, actorId: d.actorId }))),
+    deleteEmbeddedDocuments: vi.fn().mockResolvedValue([])
+  });
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    game.combats = [];
+    game.settings.get = vi.fn((module, key) => (key === "replaceStrategy" ? "update" : undefined));
+  });
+
+  it("reads the replacement strategy, falling back to recreate", () => {
+    expect(TokenReplacer.getReplaceStrategy()).toBe("update");
+
+    game.settings.get = vi.fn(() => "bogus");
+    expect(TokenReplacer.getReplaceStrategy()).toBe("recreate");
+  });
+
+  it("keeps the token ID and its own flags and clears the actor delta", () => {
+    expect(TokenReplacer.buildInPlaceUpdate(prepared)).toEqual({
+      _id: "old1",
+      actorId: "world1",
+      name: "Goblin",
+      flags: { tagger: { tags: ["boss"] }, "other-module": { note: "new" } },
+      delta: {}
+    });
+  });
+
+  it("updates the tokens in one batch and re-points their combatants to the new actor", async () => {
+    const combat = createMockCombat([{ id: "c1", tokenId: "old1", actorId: "srd1", initiative: 15 }]);
+    game.combats = [combat];
+    const scene = createScene();
+
+    const { created, failed } = await TokenReplacer.commitReplacements(scene, [prepared]);
+
+    expect(scene.updateEmbeddedDocuments).toHaveBeenCalledWith("Token", [expect.objectContaining({ _id: "old1", actorId: "world1" })],
+      { diff: false, recursive: false });
+    expect(scene.createEmbeddedDocuments).not.toHaveBeenCalled();
+    expect(scene.deleteEmbeddedDocuments).not.toHaveBeenCalled();
+    expect(created.get("old1")).toEqual({ id: "old1", actorId: "world1" });
+    expect(failed).toEqual([]);
+    expect(combat.updateEmbeddedDocuments).toHaveBeenCalledWith("Combatant", [{ _id: "c1", tokenId: "old1", actorId: "world1" }]);
+  });
+
+  it("falls back to delete-and-recreate when the update is rejected", async () => {
+    const scene = createScene({ failUpdate: true });
+
+    const { created } = await TokenReplacer.commitReplacements(scene, [prepared]);
+
+    expect(scene.createEmbeddedDocuments).toHaveBeenCalledWith("Token", [prepared.newTokenData], { keepId: true });
+    expect(scene.deleteEmbeddedDocuments).toHaveBeenCalledWith("Token", ["old1"]);
+    expect(created.get("old1").id).toBe("new1");
+  });
+
+});